@@ -0,0 +1,145 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import TraceDetails from '@/components/admin/TraceDetails';
+
+// Recent chat and plan requests with their tool calls, upstream latency and token usage.
+// The admin key is kept for this browser tab only.
+export default function TracesPage() {
+  const [apiKey, setApiKey] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [traces, setTraces] = useState([]);
+  const [totals, setTotals] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setApiKey(sessionStorage.getItem('adminApiKey') || '');
+  }, []);
+
+  const adminFetch = useCallback(
+    async (url) => {
+      const response = await fetch(url, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed with status ${response.status}`);
+      }
+      return data;
+    },
+    [apiKey]
+  );
+
+  const fetchTraces = useCallback(async () => {
+    try {
+      const data = await adminFetch(`/api/admin/traces${statusFilter ? `?status=${statusFilter}` : ''}`);
+      setTraces(data.traces);
+      setTotals(data.totalsByModel);
+      setError(null);
+    } catch (err) {
+      console.error('Error listing traces:', err);
+      setError(err.message);
+    }
+  }, [adminFetch, statusFilter]);
+
+  useEffect(() => {
+    fetchTraces();
+  }, [fetchTraces]);
+
+  const showTrace = async (id) => {
+    try {
+      const data = await adminFetch(`/api/admin/traces/${id}`);
+      setSelected(data.trace);
+    } catch (err) {
+      console.error('Error loading trace:', err);
+      setError(err.message);
+    }
+  };
+
+  const saveKey = (value) => {
+    setApiKey(value);
+    sessionStorage.setItem('adminApiKey', value);
+  };
+
+  return (
+    <div className="traces-page">
+      <h1>Traces</h1>
+      <div className="traces-controls">
+        <input
+          type="password"
+          value={apiKey}
+          onChange={(e) => saveKey(e.target.value)}
+          placeholder="Admin API key"
+          aria-label="Admin API key"
+        />
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label="Status">
+          <option value="">All requests</option>
+          <option value="error">Failed only</option>
+        </select>
+        <button type="button" className="trip-action-button" onClick={fetchTraces}>
+          Refresh
+        </button>
+      </div>
+      {error && <p className="trace-error">{error}</p>}
+
+      {Object.keys(totals).length > 0 && (
+        <table className="trace-table">
+          <thead>
+            <tr>
+              <th>Model</th>
+              <th>Requests</th>
+              <th>Prompt tokens</th>
+              <th>Completion tokens</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(totals).map(([model, total]) => (
+              <tr key={model}>
+                <td>{model}</td>
+                <td>{total.requests}</td>
+                <td>{total.promptTokens}</td>
+                <td>{total.completionTokens}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <table className="trace-table">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Request</th>
+            <th>Tools</th>
+            <th>Upstream</th>
+            <th>Tokens</th>
+            <th>Duration</th>
+          </tr>
+        </thead>
+        <tbody>
+          {traces.map((trace) => (
+            <tr
+              key={trace.id}
+              className={`trace-row${trace.status === 'ok' ? '' : ' trace-failed'}`}
+              onClick={() => showTrace(trace.id)}
+            >
+              <td>{new Date(trace.startedAt).toLocaleString()}</td>
+              <td>
+                {trace.endpoint}: {trace.input?.prompt || `${trace.input?.origin} → ${trace.input?.destination}`}
+              </td>
+              <td>{trace.tools.join(', ') || '–'}</td>
+              <td>
+                {trace.upstreamCalls}
+                {trace.upstreamFailures > 0 && ` (${trace.upstreamFailures} failed)`}
+              </td>
+              <td>{trace.usage?.totalTokens ?? '–'}</td>
+              <td>{trace.durationMs != null ? `${(trace.durationMs / 1000).toFixed(1)} s` : '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {traces.length === 0 && !error && <p className="saved-trips-empty">No traces yet.</p>}
+
+      {selected && <TraceDetails trace={selected} />}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { authenticateAdmin } from "@/lib/auth";
+import { getTraceStore } from "@/lib/tracing";
+
+export const dynamic = 'force-dynamic';
+
+// One trace with its steps, tool calls and upstream calls
+export async function GET(req, { params }) {
+  const auth = authenticateAdmin(req);
+  if (!auth.success) {
+    return Response.json({ error: auth.message }, { status: auth.status });
+  }
+
+  const store = getTraceStore();
+  if (!store) {
+    return Response.json({ error: "Tracing is turned off (TRACES_STORE=none)." }, { status: 404 });
+  }
+
+  try {
+    const trace = await store.get(params.id);
+    if (!trace) {
+      return Response.json({ error: "Trace not found." }, { status: 404 });
+    }
+    return Response.json({ trace });
+  } catch (error) {
+    console.error("Error loading trace:", error);
+    return Response.json({ error: "Failed to load trace." }, { status: 500 });
+  }
+}
@@ -0,0 +1,37 @@
+import { authenticateAdmin } from "@/lib/auth";
+import { getTraceStore, summarizeTrace, totalsByModel } from "@/lib/tracing";
+
+export const dynamic = 'force-dynamic';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Newest traces first, optionally only failed ones (?status=error), with token totals per model
+export async function GET(req) {
+  const auth = authenticateAdmin(req);
+  if (!auth.success) {
+    return Response.json({ error: auth.message }, { status: auth.status });
+  }
+
+  const store = getTraceStore();
+  if (!store) {
+    return Response.json({ error: "Tracing is turned off (TRACES_STORE=none)." }, { status: 404 });
+  }
+
+  try {
+    const { searchParams } = new URL(req.url);
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const status = searchParams.get('status');
+
+    const traces = await store.list();
+    const matching = status ? traces.filter((t) => t.status === status) : traces;
+    return Response.json({
+      traces: matching.slice(0, limit).map(summarizeTrace),
+      total: matching.length,
+      totalsByModel: totalsByModel(traces),
+    });
+  } catch (error) {
+    console.error("Error listing traces:", error);
+    return Response.json({ error: "Failed to list traces." }, { status: 500 });
+  }
+}
@@ -0,0 +1,8 @@
+import { getCacheStats } from "@/lib/cache";
+
+export const dynamic = 'force-dynamic';
+
+// Cache hit/miss statistics for the travel lookups
+export async function GET() {
+  return Response.json(getCacheStats());
+}
@@ -35,7 +35,14 @@ export default function Chat() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ message: userMessage.content }), // Pass user's message
+        // Send the whole conversation and ask for one JSON reply instead of the data stream
+        body: JSON.stringify({
+          messages: [...messages, userMessage].map((m) => ({
+            role: m.role === 'ai' ? 'assistant' : 'user',
+            content: m.content,
+          })),
+          stream: false,
+        }),
       });
 
       // Parse API response
@@ -49,7 +56,7 @@ export default function Chat() {
         setMessages((prevMessages) => [...prevMessages, aiMessage]);
       } else {
         // Display error message if response is not ok or data is missing
-        const errorMessage = { id: Date.now() + 1, content: 'Error: Failed to get AI response.', role: 'ai' };
+        const errorMessage = { id: Date.now() + 1, content: `Error: ${data?.error || 'Failed to get AI response.'}`, role: 'ai' };
         setMessages((prevMessages) => [...prevMessages, errorMessage]);
       }
     } catch (error) {
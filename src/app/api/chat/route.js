@@ -1,300 +1,166 @@
-import { createGoogleGenerativeAI } from "@ai-sdk/google";
-import { convertToCoreMessages, streamText } from "ai";
-import axios from "axios";
-import { z } from "zod";
-
-// Existing API key setup...
-const google = createGoogleGenerativeAI({
-  apiKey: process.env.GOOGLE_API_KEY,
-});
-const mapboxToken = process.env.mapboxToken;
-const foursquareApiKey = process.env.FOURSQUARE_API_KEY;
-
-const getCoordinates = async (location) => {
-  const geocodeUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(location)}.json?access_token=${mapboxToken}`;
-
-  try {
-    const response = await axios.get(geocodeUrl);
-    const results = response.data.features;
-
-    if (results.length === 0) {
-      return null;
-    }
-
-    const [lon, lat] = results[0].geometry.coordinates;
-    return { lat, lon };
-  } catch (error) {
-    console.error("Error fetching coordinates from Mapbox:", error);
-    return null;
-  }
-};
-const getRouteDetails = async (origin, destination, travelMode = 'driving') => {
-  try {
-    const routeUrl = `https://api.mapbox.com/directions/v5/mapbox/${travelMode}/${origin.lon},${origin.lat};${destination.lon},${destination.lat}?geometries=geojson&overview=full&steps=true&access_token=${mapboxToken}`;
-    const response = await axios.get(routeUrl);
-    const routes = response.data.routes;
-
-    if (!routes || routes.length === 0) {
-      return { success: false, message: "No routes found. Please check the origin and destination." };
-    }
-
-    const bestRoute = routes[0];
-    const { distance, duration, legs } = bestRoute;
-
-    // Extract more detailed directions and places along the route
-    const directions = [];
-    const places = [];
-    legs[0].steps.forEach((step) => {
-      directions.push(step.maneuver.instruction);
-      if (step.name && step.name !== "") {
-        places.push({
-          name: step.name,
-          instruction: step.maneuver.instruction,
-          distance: step.distance,
-          duration: step.duration,
-        });
+import { convertToCoreMessages, formatStreamPart, StreamData } from "ai";
+import { MAX_CONTEXT_MESSAGES, trimHistory } from "@/lib/chatHistory";
+import { chatRequestSchema, MAX_CHAT_BYTES } from "@/lib/chatRequest";
+import { createTools } from "@/lib/chatTools";
+import { generateTextWithFallback, getAllowedModels, getDefaultModel, streamTextWithFallback } from "@/lib/llm";
+import { resolveLocale } from "@/lib/locale";
+import { rateLimitHeaders } from "@/lib/ratelimit";
+import { guardRequest, parseJsonBody } from "@/lib/requestGuard";
+import { finishTrace, recordStep, runWithTrace, startTrace } from "@/lib/tracing";
+
+const STREAM_ERROR_MESSAGE = "An error occurred.";
+
+// A dropped model connection errors the response stream itself, which none of the SDK callbacks hear about.
+// Such a stream is ended with an error part the chat page can show, and onError and onCancel report how it ended.
+const watchStream = (body, { onError, onCancel }) => {
+  const reader = body.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        onError(error);
+        controller.enqueue(new TextEncoder().encode(formatStreamPart('error', STREAM_ERROR_MESSAGE)));
+        controller.close();
       }
-    });
-
-    return {
-      success: true,
-      duration: `${Math.floor(duration / 60)} minutes`,
-      distance: `${(distance / 1000).toFixed(2)} km`,
-      directions: directions.join(' -> '),
-      places: places,
-    };
-  } catch (error) {
-    console.error("Error fetching route details from Mapbox:", error);
-    return { success: false, message: "Failed to get route details from Mapbox." };
-  }
+    },
+    cancel(reason) {
+      onCancel();
+      return reader.cancel(reason);
+    },
+  });
 };
 
-// Function to get popular places to visit using Wikipedia API
-const getPopularPlaces = async (location) => {
-  const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(location)} tourist attractions&format=json&origin=*`;
-  try {
-    const response = await axios.get(searchUrl);
-    const searchResults = response.data.query.search;
-
-    if (!searchResults || searchResults.length === 0) {
-      return { success: false, message: "No popular places found at the destination." };
-    }
-
-    // Fetch summaries for the top search results
-    const places = [];
-    for (let i = 0; i < Math.min(searchResults.length, 5); i++) {
-      const pageTitle = searchResults[i].title;
-      const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(pageTitle)}`;
-
-      const summaryResponse = await axios.get(summaryUrl);
-      const summaryData = summaryResponse.data;
-
-      places.push({
-        title: summaryData.title,
-        description: summaryData.extract,
-        url: summaryData.content_urls.desktop.page,
-      });
-    }
-
-    return {
-      success: true,
-      places,
-    };
-  } catch (error) {
-    console.error("Error fetching popular places from Wikipedia:", error);
-    return { success: false, message: "Failed to get popular places from Wikipedia." };
-  }
-};
-const getHistoricalInfo = async (location) => {
-  try {
-    // First, search for the location page
-    const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(location)}&format=json&origin=*`;
-    const searchResponse = await axios.get(searchUrl);
-    const pageId = searchResponse.data.query.search[0]?.pageid;
-
-    if (!pageId) {
-      return { success: false, message: "No historical information found." };
-    }
-
-    // Get the page content
-    const contentUrl = `https://en.wikipedia.org/w/api.php?action=query&prop=extracts&exintro=1&explaintext=1&pageids=${pageId}&format=json&origin=*`;
-    const contentResponse = await axios.get(contentUrl);
-    const extract = contentResponse.data.query.pages[pageId].extract;
-
-    // Get the page URL
-    const titleUrl = `https://en.wikipedia.org/w/api.php?action=query&prop=info&inprop=url&pageids=${pageId}&format=json&origin=*`;
-    const titleResponse = await axios.get(titleUrl);
-    const pageUrl = titleResponse.data.query.pages[pageId].fullurl;
-
-    return {
-      success: true,
-      history: {
-        summary: extract,
-        source: pageUrl
-      }
-    };
-  } catch (error) {
-    console.error("Error fetching historical information:", error);
-    return { success: false, message: "Failed to fetch historical information." };
-  }
-};
-
-
-
-// New function to get hotel recommendations from Foursquare
-const getHotelRecommendations = async (coordinates) => {
-  try {
-    const url = `https://api.foursquare.com/v3/places/search?query=hotel&ll=${coordinates.lat},${coordinates.lon}&sort=RATING&limit=5`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': foursquareApiKey,
-        'Accept': 'application/json'
-      }
-    });
-
-    const hotels = response.data.results.map(hotel => ({
-      name: hotel.name,
-      rating: hotel.rating || 'N/A',
-      address: hotel.location.formatted_address,
-      category: hotel.categories[0]?.name || 'Hotel',
-      link: `https://foursquare.com/v/${hotel.fsq_id}`
-    }));
-
-    return {
-      success: true,
-      hotels
-    };
-  } catch (error) {
-    console.error("Error fetching hotel recommendations:", error);
-    return { success: false, message: "Failed to fetch hotel recommendations." };
+// Updated POST handler with enhanced tools
+export async function POST(req) {
+  const guard = await guardRequest(req);
+  if (guard.response) {
+    return guard.response;
   }
-};
-
-// Enhanced getRouteAndDetails function
-const getRouteAndDetails = async (origin, destination, travelMode = 'driving') => {
-  const originCoords = await getCoordinates(origin);
-  const destinationCoords = await getCoordinates(destination);
-
-  if (!originCoords || !destinationCoords) {
-    return { success: false, message: "Failed to get coordinates for origin or destination." };
+  const { rateLimit, keyId } = guard;
+
+  const request = await parseJsonBody(req, chatRequestSchema, {
+    maxBytes: MAX_CHAT_BYTES,
+    invalidMessage: "Invalid chat request.",
+  });
+  if (request.response) {
+    return request.response;
   }
 
-  // Fetch all information in parallel
-  const [routeResult, popularPlaces, historicalInfo, hotels] = await Promise.all([
-    getRouteDetails(originCoords, destinationCoords, travelMode),
-    getPopularPlaces(destination),
-    getHistoricalInfo(destination),
-    getHotelRecommendations(destinationCoords)
-  ]);
-
-  if (!routeResult.success) {
-    return { success: false, message: routeResult.message };
+  // Clients may pick a model, but only one the deployment allows
+  const modelId = request.data.model || getDefaultModel();
+  if (!getAllowedModels().includes(modelId)) {
+    return Response.json({ error: `Model "${modelId}" is not available.` }, { status: 400 });
   }
 
-  const mapboxDirectionsUrl = `https://www.mapbox.com/directions/?start=${originCoords.lon},${originCoords.lat}&end=${destinationCoords.lon},${destinationCoords.lat}&profile=${travelMode}`;
-  const googleMapsDirectionsUrl = `https://www.google.com/maps/dir/?api=1&origin=${originCoords.lat},${originCoords.lon}&destination=${destinationCoords.lat},${destinationCoords.lon}&travelmode=${travelMode}`;
-
-  return {
-    success: true,
-    duration: routeResult.duration,
-    distance: routeResult.distance,
-    directions: routeResult.directions,
-    placesAlongRoute: routeResult.places,
-    popularPlaces: popularPlaces.success ? popularPlaces.places : [],
-    historicalInfo: historicalInfo.success ? historicalInfo.history : null,
-    hotels: hotels.success ? hotels.hotels : [],
-    mapboxUrl: mapboxDirectionsUrl,
-    googleMapsUrl: googleMapsDirectionsUrl,
-  };
-};
-
-// Updated POST handler with enhanced tools
-export async function POST(req) {
-  try {
-    const { messages } = await req.json();
-    const model = google("gemini-1.5-pro-002");
-
-    const tools = {
-      get_route: {
-        description: "Get comprehensive travel information including route details, historical information, and hotel recommendations.",
-        parameters: z.object({
-          origin: z.string(),
-          destination: z.string(),
-          travelMode: z.enum(['driving']).optional(),
-        }),
-        execute: async ({ origin, destination, travelMode = 'driving' }) => {
-          console.log("User input for travel planning:", origin, destination, travelMode);
-
-          try {
-            const result = await getRouteAndDetails(origin, destination, travelMode);
-
-            if (result.success) {
-              const placesAlongRouteDescription = result.placesAlongRoute
-                .slice(0, 5)
-                .map((p, index) => 
-                  `${index + 1}. ${p.name}: ${p.instruction} (${p.distance.toFixed(2)} m, ${Math.floor(p.duration / 60)} min)`
-                ).join('\n');
-
-              const popularPlacesDescription = result.popularPlaces
-                .map((p, index) => 
-                  `${index + 1}. [${p.title}](${p.url}): ${p.description}`
-                ).join('\n');
-
-              const hotelRecommendations = result.hotels
-                .map((h, index) => 
-                  `${index + 1}. [${h.name}](${h.link}) - ${h.category} (Rating: ${h.rating})\n   Address: ${h.address}`
-                ).join('\n');
-
-              return {
-                text: `Travel Plan: ${origin} to ${destination}
-
-Route Information:
-- Duration: ${result.duration}
-- Distance: ${result.distance}
-
-Detailed directions: ${result.directions}
-
-Historical Information about ${destination}:
-${result.historicalInfo ? result.historicalInfo.summary : 'No historical information available.'}
-${result.historicalInfo ? `\nRead more: ${result.historicalInfo.source}` : ''}
-
-Notable places along the route:
-${placesAlongRouteDescription}
-
-Popular places to visit at ${destination}:
-${popularPlacesDescription}
-
-Recommended Hotels:
-${hotelRecommendations}
-
-Interactive Maps:
-- [Google Maps Directions](${result.googleMapsUrl})
+  const { userLocation, stream } = request.data;
+  // Long conversations are cut to their most recent turns rather than rejected
+  const messages = request.data.messages
+    ? trimHistory(request.data.messages, { maxMessages: MAX_CONTEXT_MESSAGES })
+    : [{ role: 'user', content: request.data.message }];
+  const requestLocale = resolveLocale(request.data.locale);
+
+  // Every chat request is traced: model steps, tool calls, upstream calls and token usage
+  const trace = startTrace({
+    endpoint: 'chat',
+    stream: stream !== false,
+    requestedModel: modelId,
+    locale: requestLocale,
+    keyId,
+    input: { prompt: messages[messages.length - 1].content.slice(0, 500), messageCount: messages.length },
+  });
+
+  return runWithTrace(trace, async () => {
+    let progress;
+    try {
+      const options = {
+        // Departure times are relative to now, so the model needs to know the current time
+        system: `You are a travel planning assistant. The current time is ${new Date().toISOString()}. `
+          + `The user's locale is ${requestLocale}: answer in its language and use the units and formats the tools return, `
+          + `unless the user writes in or asks for another language or units.`
+          + (userLocation
+            ? ` The user has shared their current location: leave out origin to start from it, and use explore_nearby for places around them.`
+            : ''),
+        messages: convertToCoreMessages(messages),
+        maxSteps: 4,
+        onStepFinish: (step) => recordStep(trace, step),
+      };
+
+      // Non-streaming mode for integrations: the final text plus every tool result, in call order
+      if (stream === false) {
+        const { result, modelId: respondingModel } = await generateTextWithFallback(modelId, {
+          ...options,
+          tools: createTools({ userLocation, requestLocale, trace }),
+        });
+        trace.model = respondingModel;
+        await finishTrace(trace);
+        const toolResults = result.steps.flatMap((step) =>
+          step.toolResults.map(({ toolName, args, result: toolResult }) => ({ toolName, args, result: toolResult }))
+        );
+        return Response.json(
+          { reply: result.text, toolResults },
+          { headers: { ...rateLimitHeaders(rateLimit), 'X-LLM-Model': respondingModel, 'X-Trace-Id': trace.id } }
+        );
+      }
 
-Note: Click the links to view interactive maps and more details about places and hotels.`,
-              };
-            } else {
-              return { text: result.message };
-            }
-          } catch (error) {
-            console.error("Error in travel planning:", error);
-            return { text: "There was an error retrieving travel information." };
-          }
+      // Progress of slow tools goes to the page as stream data, so it can show what is being fetched
+      progress = new StreamData();
+      const onProgress = (event) => {
+        if (!progress.isClosed) {
+          progress.append({ type: 'progress', ...event, at: Date.now() });
+        }
+      };
+
+      // The stream ends when the client has read all of it, when it fails or when the client stops it
+      // (aborting the request or cancelling the body); whichever comes first closes the progress data and stores the trace
+      let ended = false;
+      const endStream = async (outcome) => {
+        if (ended) return;
+        ended = true;
+        if (!progress.isClosed) {
+          progress.close();
+        }
+        await finishTrace(trace, outcome);
+      };
+      const stopped = () => endStream({ error: "Stopped by the client." });
+      req.signal?.addEventListener('abort', stopped, { once: true });
+      const failed = (error) => {
+        console.error("Error streaming the chat response:", error);
+        endStream({ error });
+      };
+
+      const { result: text, modelId: respondingModel } = await streamTextWithFallback(modelId, {
+        ...options,
+        tools: createTools({ userLocation, requestLocale, trace, onProgress }),
+        generateDirectResponse: false,
+        onFinish: () => endStream(),
+      });
+      trace.model = respondingModel;
+
+      const response = text.toDataStreamResponse({
+        init: { headers: { ...rateLimitHeaders(rateLimit), 'X-LLM-Model': respondingModel, 'X-Trace-Id': trace.id } },
+        data: progress,
+        getErrorMessage: (error) => {
+          failed(error);
+          return STREAM_ERROR_MESSAGE;
         },
-      },
-    };
-
-    const text = await streamText({
-      model,
-      messages: convertToCoreMessages(messages),
-      maxSteps: 4,
-      tools,
-      generateDirectResponse: false,
-    });
-
-    return text.toDataStreamResponse();
-  } catch (error) {
-    console.error("Error handling POST request:", error);
-    return new Response(JSON.stringify({ error: error.message }), { status: 500 });
-  }
-}
\ No newline at end of file
+      });
+      return new Response(watchStream(response.body, { onError: failed, onCancel: stopped }), {
+        status: response.status,
+        headers: response.headers,
+      });
+    } catch (error) {
+      console.error("Error handling POST request:", error);
+      if (progress && !progress.isClosed) {
+        progress.close();
+      }
+      await finishTrace(trace, { error });
+      return Response.json({ error: "Failed to handle the chat request." }, { status: 500 });
+    }
+  });
+}
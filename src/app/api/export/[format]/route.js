@@ -0,0 +1,41 @@
+import { exporters, exportSchema, getDefaultDeparture, getExportFilename, MAX_EXPORT_BYTES } from "@/lib/export";
+import { rateLimitHeaders } from "@/lib/ratelimit";
+import { guardRequest, parseJsonBody } from "@/lib/requestGuard";
+
+// Turn a trip plan into a downloadable file: POST /api/export/ics, /api/export/gpx or /api/export/html
+export async function POST(req, { params }) {
+  const exporter = exporters[params.format];
+  if (!exporter) {
+    return Response.json({ error: `Unknown export format "${params.format}".` }, { status: 404 });
+  }
+
+  const guard = await guardRequest(req);
+  if (guard.response) {
+    return guard.response;
+  }
+
+  const request = await parseJsonBody(req, exportSchema, {
+    maxBytes: MAX_EXPORT_BYTES,
+    invalidMessage: "Invalid trip plan.",
+  });
+  if (request.response) {
+    return request.response;
+  }
+
+  const { plan, departAt = getDefaultDeparture(), timeZone } = request.data;
+
+  try {
+    const body = exporter.build(plan, { departAt, timeZone });
+    const disposition = params.format === 'html' ? 'inline' : 'attachment';
+    return new Response(body, {
+      headers: {
+        ...rateLimitHeaders(guard.rateLimit),
+        'Content-Type': exporter.contentType,
+        'Content-Disposition': `${disposition}; filename="${getExportFilename(plan, exporter.extension)}"`,
+      },
+    });
+  } catch (error) {
+    console.error(`Error exporting trip as ${params.format}:`, error);
+    return Response.json({ error: "Failed to export trip." }, { status: 500, headers: rateLimitHeaders(guard.rateLimit) });
+  }
+}
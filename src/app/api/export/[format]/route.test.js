@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { POST } from './route';
+
+const plan = {
+  type: 'trip_plan',
+  origin: { name: 'Paris', coords: { lat: 48.8566, lon: 2.3522 } },
+  destination: { name: 'Lyon', coords: { lat: 45.764, lon: 4.8357 } },
+  travelMode: 'driving',
+  route: { duration: '5 hours 6 mins', distance: '510.2 km', durationSeconds: 18360, distanceMeters: 510200 },
+  hotels: [{ name: 'Cour des Loges', address: '6 Rue du Bœuf, Lyon' }],
+};
+
+const exportPlan = (format, body) =>
+  POST(
+    new Request(`http://localhost/api/export/${format}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+    { params: { format } }
+  );
+
+describe('POST /api/export/[format]', () => {
+  it('exports a plan without links as a calendar', async () => {
+    const response = await exportPlan('ics', { plan, departAt: '2030-06-01T08:00:00Z' });
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="paris-to-lyon.ics"');
+    expect(body).toContain('DTSTART:20300601T080000Z');
+    expect(body).toContain('SUMMARY:Hotel: Cour des Loges');
+    expect(body).not.toContain('URL:');
+  });
+
+  it('adds the directions link when the plan has one', async () => {
+    const links = { googleMaps: 'https://www.google.com/maps/dir/?api=1&origin=48.8566,2.3522' };
+    const body = await (await exportPlan('ics', { plan: { ...plan, links } })).text();
+
+    expect(body).toContain('URL:https://www.google.com/maps/dir/?api=1&origin=48.8566,2.3522');
+  });
+
+  it('times the trip by its schedule when it has one', async () => {
+    const schedule = {
+      departAt: '2030-06-01T06:45:00.000Z',
+      arriveAt: '2030-06-01T12:21:00.000Z',
+      totalDuration: '5 hours 36 mins',
+      breaks: [{ durationSeconds: 900 }, { durationSeconds: 900 }],
+    };
+    const ics = await (await exportPlan('ics', { plan: { ...plan, schedule }, departAt: '2030-06-01T08:00:00Z' })).text();
+    const html = await (await exportPlan('html', { plan: { ...plan, schedule } })).text();
+
+    expect(ics).toContain('DTSTART:20300601T064500Z');
+    expect(ics).toContain('DTEND:20300601T122100Z');
+    expect(html).toContain('<tr><th>Arrival (estimated)</th><td>Sat, 01 Jun 2030 12:21:00 GMT</td></tr>');
+    expect(html).toContain('<tr><th>With rest breaks</th><td>5 hours 36 mins</td></tr>');
+  });
+
+  it('rejects plans with malformed links', async () => {
+    const response = await exportPlan('html', { plan: { ...plan, links: { googleMaps: 'not a link' } } });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects unknown time zones', async () => {
+    const response = await exportPlan('ics', { plan, timeZone: 'Mars/Olympus_Mons' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await exportPlan('pdf', { plan });
+
+    expect(response.status).toBe(404);
+  });
+});
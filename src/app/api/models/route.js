@@ -0,0 +1,8 @@
+import { getAllowedModels, getDefaultModel } from "@/lib/llm";
+
+export const dynamic = 'force-dynamic';
+
+// Models a chat request may ask for, so clients can offer a choice
+export async function GET() {
+  return Response.json({ models: getAllowedModels(), defaultModel: getDefaultModel() });
+}
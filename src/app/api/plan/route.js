@@ -0,0 +1,67 @@
+import { resolveLocale } from "@/lib/locale";
+import { buildTripPlan, getRouteAndDetails } from "@/lib/planner";
+import { MAX_PLAN_BYTES, planRequestSchema } from "@/lib/planRequest";
+import { rateLimitHeaders } from "@/lib/ratelimit";
+import { guardRequest, parseJsonBody } from "@/lib/requestGuard";
+import { finishTrace, runWithTrace, startTrace } from "@/lib/tracing";
+
+export const dynamic = 'force-dynamic';
+
+// Build a trip plan without the chat model: the same structured plan get_route returns
+export async function POST(req) {
+  const guard = await guardRequest(req);
+  if (guard.response) {
+    return guard.response;
+  }
+
+  const request = await parseJsonBody(req, planRequestSchema, {
+    maxBytes: MAX_PLAN_BYTES,
+    invalidMessage: "Invalid plan request.",
+  });
+  if (request.response) {
+    return request.response;
+  }
+
+  const {
+    origin, destination, travelMode, departAt, arriveBy, avoid, maxDrivingMinutes, breakMinutes, country, locale, userLocation,
+  } = request.data;
+  const trace = startTrace({
+    endpoint: 'plan',
+    locale: resolveLocale(locale),
+    keyId: guard.keyId,
+    input: { origin, destination, travelMode, departAt, arriveBy, avoid, country },
+  });
+  const headers = { ...rateLimitHeaders(guard.rateLimit), 'X-Trace-Id': trace.id };
+
+  return runWithTrace(trace, async () => {
+    try {
+      const result = await getRouteAndDetails(
+        origin,
+        destination,
+        travelMode,
+        departAt,
+        { country, proximity: userLocation },
+        trace.locale,
+        { avoid, arriveBy, restBreaks: { maxDrivingMinutes, breakMinutes } }
+      );
+      await finishTrace(trace, result.success ? {} : { error: result.message });
+
+      if (!result.success) {
+        // Ambiguous or unknown places are the caller's to fix; provider failures are ours
+        if (result.clarifications) {
+          return Response.json({ error: result.message, clarifications: result.clarifications }, { status: 422, headers });
+        }
+        if (result.reason) {
+          return Response.json({ error: result.message, reason: result.reason }, { status: 502, headers });
+        }
+        return Response.json({ error: result.message }, { status: 422, headers });
+      }
+
+      return Response.json({ plan: buildTripPlan(origin, destination, travelMode, result) }, { headers });
+    } catch (error) {
+      console.error("Error building trip plan:", error);
+      await finishTrace(trace, { error });
+      return Response.json({ error: "Failed to build the trip plan." }, { status: 500, headers });
+    }
+  });
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { POST } from './route';
+
+const plan = (body) =>
+  POST(new Request('http://localhost/api/plan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+
+describe('POST /api/plan', () => {
+  it('builds a trip plan', async () => {
+    const response = await plan({ origin: 'Paris', destination: 'Lyon', departAt: '2030-06-01T08:00:00Z' });
+    const { plan: tripPlan } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(tripPlan.type).toBe('trip_plan');
+    expect(tripPlan.destination.name).toBe('Lyon');
+    expect(tripPlan.route.distanceMeters).toBeGreaterThan(500 * 1000);
+    expect(tripPlan.hotels.map((h) => h.name)).toEqual(['Cour des Loges']);
+    expect(tripPlan.schedule.departAt).toBe('2030-06-01T08:00:00.000Z');
+  });
+
+  it('asks which place was meant when a name is ambiguous', async () => {
+    const response = await plan({ origin: 'Paris', destination: 'Springfield' });
+    const body = await response.json();
+
+    expect(response.status).toBe(422);
+    expect(body.clarifications[0].candidates).toHaveLength(3);
+  });
+
+  it('resolves an ambiguous name near the user', async () => {
+    const response = await plan({ origin: 'Paris', destination: 'Springfield', userLocation: { lat: 42.1, lon: -72.6 } });
+    const { plan: tripPlan } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(tripPlan.destination.coords).toEqual({ lat: 42.1015, lon: -72.5898 });
+  });
+
+  it('rejects malformed requests', async () => {
+    const response = await plan({ origin: 'Paris', departAt: 'tomorrow' });
+
+    expect(response.status).toBe(400);
+  });
+});
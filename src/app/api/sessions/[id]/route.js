@@ -0,0 +1,84 @@
+import { rateLimitHeaders } from "@/lib/ratelimit";
+import { guardSave, parseJsonBody } from "@/lib/requestGuard";
+import {
+  getMaxSessionsPerUser,
+  getSessionStore,
+  MAX_SESSION_BYTES,
+  saveSessionSchema,
+  sessionIdSchema,
+} from "@/lib/sessions";
+import { getOrCreateUserId } from "@/lib/user";
+
+export const dynamic = 'force-dynamic';
+
+// Load one chat session with its messages
+export async function GET(req, { params }) {
+  try {
+    const session = await getSessionStore().get(getOrCreateUserId(), params.id);
+    if (!session) {
+      return Response.json({ error: "Session not found." }, { status: 404 });
+    }
+    return Response.json({ session });
+  } catch (error) {
+    console.error("Error loading chat session:", error);
+    return Response.json({ error: "Failed to load session." }, { status: 500 });
+  }
+}
+
+// Create or replace a session; the chat page saves after every response
+export async function PUT(req, { params }) {
+  const guard = await guardSave(req);
+  if (guard.response) {
+    return guard.response;
+  }
+  const headers = rateLimitHeaders(guard.rateLimit);
+
+  if (!sessionIdSchema.safeParse(params.id).success) {
+    return Response.json({ error: "Session ids must be UUIDs." }, { status: 400, headers });
+  }
+
+  const request = await parseJsonBody(req, saveSessionSchema, {
+    maxBytes: MAX_SESSION_BYTES,
+    invalidMessage: "Invalid session.",
+    tooLargeMessage: "Session is too large to save.",
+  });
+  if (request.response) {
+    return request.response;
+  }
+
+  try {
+    const now = Date.now();
+    const session = await getSessionStore().save(getOrCreateUserId(), {
+      id: params.id,
+      title: request.data.title || 'New conversation',
+      messages: request.data.messages,
+      createdAt: now,
+      updatedAt: now,
+    }, { maxSessions: getMaxSessionsPerUser() });
+    // Replacing a session is always allowed; only new ones count against the cap
+    if (!session) {
+      return Response.json(
+        { error: "You have saved as many conversations as allowed. Delete some to save more." },
+        { status: 409, headers }
+      );
+    }
+    const { messages, ...summary } = session;
+    return Response.json({ session: summary }, { headers });
+  } catch (error) {
+    console.error("Error saving chat session:", error);
+    return Response.json({ error: "Failed to save session." }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const removed = await getSessionStore().remove(getOrCreateUserId(), params.id);
+    if (!removed) {
+      return Response.json({ error: "Session not found." }, { status: 404 });
+    }
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error("Error deleting chat session:", error);
+    return Response.json({ error: "Failed to delete session." }, { status: 500 });
+  }
+}
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { withFreshRoute } from '@/test/freshRoute';
+
+vi.mock('@/lib/user', () => ({ getOrCreateUserId: () => 'test-user' }));
+
+const current = withFreshRoute(() => import('./route'), (dir) => ({
+  SESSIONS_STORE: 'file',
+  SESSIONS_FILE: path.join(dir, 'sessions.json'),
+  SESSIONS_MAX_PER_USER: '2',
+}));
+
+const saveSession = (id = crypto.randomUUID(), content = 'Paris to Lyon') =>
+  current.route.PUT(
+    new Request(`http://localhost/api/sessions/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: [{ id: 'm1', role: 'user', content }] }),
+    }),
+    { params: { id } }
+  );
+
+describe('PUT /api/sessions/[id]', () => {
+  it('saves a session and answers with its summary', async () => {
+    const response = await saveSession();
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).session).toMatchObject({ title: 'New conversation' });
+    expect(response.headers.get('X-RateLimit-Limit')).toBe('30');
+  });
+
+  it('answers 409 for a new session once the user has as many as allowed', async () => {
+    expect((await saveSession()).status).toBe(200);
+    expect((await saveSession()).status).toBe(200);
+
+    const full = await saveSession();
+    expect(full.status).toBe(409);
+    expect((await full.json()).error).toMatch(/Delete some/);
+  });
+
+  it('keeps updating existing sessions at the cap', async () => {
+    const id = crypto.randomUUID();
+    await saveSession(id);
+    await saveSession();
+
+    expect((await saveSession(id, 'Paris to Nice')).status).toBe(200);
+  });
+
+  it('never goes over the cap when new sessions arrive together', async () => {
+    const statuses = (await Promise.all([saveSession(), saveSession(), saveSession()])).map((r) => r.status);
+
+    expect(statuses.sort()).toEqual([200, 200, 409]);
+  });
+
+  it('rejects a session over the size limit', async () => {
+    const response = await saveSession(crypto.randomUUID(), 'x'.repeat(600 * 1024));
+
+    expect(response.status).toBe(413);
+    expect((await response.json()).error).toBe('Session is too large to save.');
+  });
+
+  it('rate limits saving once the save budget is used up', async () => {
+    vi.stubEnv('RATE_LIMIT_SAVE', '1');
+    const id = crypto.randomUUID();
+    expect((await saveSession(id)).status).toBe(200);
+
+    const limited = await saveSession(id);
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBeTruthy();
+  });
+});
@@ -0,0 +1,16 @@
+import { getSessionStore } from "@/lib/sessions";
+import { getOrCreateUserId } from "@/lib/user";
+
+export const dynamic = 'force-dynamic';
+
+// List the current user's chat sessions, most recently updated first
+export async function GET() {
+  try {
+    const userId = getOrCreateUserId();
+    const sessions = await getSessionStore().list(userId);
+    return Response.json({ sessions });
+  } catch (error) {
+    console.error("Error listing chat sessions:", error);
+    return Response.json({ error: "Failed to list chat sessions." }, { status: 500 });
+  }
+}
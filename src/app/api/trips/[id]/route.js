@@ -0,0 +1,31 @@
+import { getTripStore } from "@/lib/trips";
+import { getOrCreateUserId } from "@/lib/user";
+
+export const dynamic = 'force-dynamic';
+
+// Load one saved trip, including its plan
+export async function GET(req, { params }) {
+  try {
+    const trip = await getTripStore().get(getOrCreateUserId(), params.id);
+    if (!trip) {
+      return Response.json({ error: "Trip not found." }, { status: 404 });
+    }
+    return Response.json({ trip });
+  } catch (error) {
+    console.error("Error loading saved trip:", error);
+    return Response.json({ error: "Failed to load trip." }, { status: 500 });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const removed = await getTripStore().remove(getOrCreateUserId(), params.id);
+    if (!removed) {
+      return Response.json({ error: "Trip not found." }, { status: 404 });
+    }
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error("Error deleting saved trip:", error);
+    return Response.json({ error: "Failed to delete trip." }, { status: 500 });
+  }
+}
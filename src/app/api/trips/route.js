@@ -0,0 +1,52 @@
+import { rateLimitHeaders } from "@/lib/ratelimit";
+import { guardSave, parseJsonBody } from "@/lib/requestGuard";
+import { createTrip, getMaxTripsPerUser, getTripStore, MAX_TRIP_BYTES, saveTripSchema } from "@/lib/trips";
+import { getOrCreateUserId } from "@/lib/user";
+
+export const dynamic = 'force-dynamic';
+
+// List the current user's saved trips, newest first
+export async function GET() {
+  try {
+    const userId = getOrCreateUserId();
+    const trips = await getTripStore().list(userId);
+    return Response.json({ trips });
+  } catch (error) {
+    console.error("Error listing saved trips:", error);
+    return Response.json({ error: "Failed to list saved trips." }, { status: 500 });
+  }
+}
+
+// Save a generated plan together with the inputs that produced it
+export async function POST(req) {
+  const guard = await guardSave(req);
+  if (guard.response) {
+    return guard.response;
+  }
+  const headers = rateLimitHeaders(guard.rateLimit);
+
+  const request = await parseJsonBody(req, saveTripSchema, {
+    maxBytes: MAX_TRIP_BYTES,
+    invalidMessage: "Invalid trip.",
+    tooLargeMessage: "Trip is too large to save.",
+  });
+  if (request.response) {
+    return request.response;
+  }
+
+  try {
+    const trip = await getTripStore().save(getOrCreateUserId(), createTrip(request.data), {
+      maxTrips: getMaxTripsPerUser(),
+    });
+    if (!trip) {
+      return Response.json(
+        { error: "You have saved as many trips as allowed. Delete some to save more." },
+        { status: 409, headers }
+      );
+    }
+    return Response.json({ trip }, { status: 201, headers });
+  } catch (error) {
+    console.error("Error saving trip:", error);
+    return Response.json({ error: "Failed to save trip." }, { status: 500, headers });
+  }
+}
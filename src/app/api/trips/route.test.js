@@ -0,0 +1,67 @@
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { withFreshRoute } from '@/test/freshRoute';
+
+vi.mock('@/lib/user', () => ({ getOrCreateUserId: () => 'test-user' }));
+
+const current = withFreshRoute(() => import('./route'), (dir) => ({
+  TRIPS_STORE: 'file',
+  TRIPS_FILE: path.join(dir, 'trips.json'),
+  TRIPS_MAX_PER_USER: '2',
+}));
+
+const plan = {
+  type: 'trip_plan',
+  origin: { name: 'Paris', coords: { lat: 48.8566, lon: 2.3522 } },
+  destination: { name: 'Lyon', coords: { lat: 45.764, lon: 4.8357 } },
+};
+
+const saveTrip = (body = JSON.stringify({ inputs: { origin: 'Paris', destination: 'Lyon' }, plan })) =>
+  current.route.POST(
+    new Request('http://localhost/api/trips', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    })
+  );
+
+describe('POST /api/trips', () => {
+  it('saves a trip with a title from its plan', async () => {
+    const response = await saveTrip();
+
+    expect(response.status).toBe(201);
+    expect((await response.json()).trip.title).toBe('Paris to Lyon');
+    expect(response.headers.get('X-RateLimit-Limit')).toBe('30');
+  });
+
+  it('answers 409 once the user has as many trips as allowed', async () => {
+    expect((await saveTrip()).status).toBe(201);
+    expect((await saveTrip()).status).toBe(201);
+
+    const full = await saveTrip();
+    expect(full.status).toBe(409);
+    expect((await full.json()).error).toMatch(/Delete some/);
+  });
+
+  it('never goes over the cap when saves arrive together', async () => {
+    const statuses = (await Promise.all([saveTrip(), saveTrip(), saveTrip()])).map((r) => r.status);
+
+    expect(statuses.sort()).toEqual([201, 201, 409]);
+  });
+
+  it('rejects a trip over the size limit', async () => {
+    const response = await saveTrip(JSON.stringify({ inputs: {}, plan: { ...plan, padding: 'x'.repeat(1024 * 1024) } }));
+
+    expect(response.status).toBe(413);
+    expect((await response.json()).error).toBe('Trip is too large to save.');
+  });
+
+  it('rate limits saving once the save budget is used up', async () => {
+    vi.stubEnv('RATE_LIMIT_SAVE', '1');
+    expect((await saveTrip()).status).toBe(201);
+
+    const limited = await saveTrip();
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBeTruthy();
+  });
+});
@@ -1,14 +1,71 @@
 'use client';
 
 import { useChat } from 'ai/react';
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import Markdown from 'markdown-to-jsx';
+import LocationToggle from '@/components/chat/LocationToggle';
+import ModelPicker from '@/components/chat/ModelPicker';
+import SessionSidebar from '@/components/chat/SessionSidebar';
+import ToolProgress from '@/components/chat/ToolProgress';
+import ToolResult from '@/components/trip/ToolResult';
+import SavedTrips from '@/components/trips/SavedTrips';
+import { MAX_SESSION_BYTES, MAX_SESSION_MESSAGES, trimForRequest, trimHistory } from '@/lib/chatHistory';
+
+// Random v4 UUID; crypto.randomUUID only exists in secure contexts, getRandomValues everywhere
+const newSessionId = () =>
+  '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, (c) =>
+    (c ^ (crypto.getRandomValues(new Uint8Array(1))[0] & (15 >> (c / 4)))).toString(16)
+  );
+
+// The fields the chat API reads from each message
+const toRequestMessage = ({ role, content, toolInvocations }) => ({ role, content, ...(toolInvocations && { toolInvocations }) });
+
+// Room a session save needs besides its messages (title)
+const SESSION_OVERHEAD_BYTES = 1024;
+
+// Sessions are titled after the conversation's first question
+const sessionTitle = (sessionMessages) =>
+  sessionMessages.find((m) => m.role === 'user')?.content.trim().slice(0, 80) || undefined;
 
 // ChatPage component using useChat hook from ai/react
 export default function ChatPage() {
-  // Destructure values from useChat hook
-  const { messages, input, handleInputChange, handleSubmit } = useChat();
+  const [model, setModel] = useState(null); // Chosen model; null until the server's default is known
+  const [locale, setLocale] = useState(null); // Browser locale for languages, units and formats
+  const [userLocation, setUserLocation] = useState(null); // { lat, lon } while the user shares their position
+  const [sessionId, setSessionId] = useState(null); // Current conversation; made here so saving is an upsert
+  const [sessionsVersion, setSessionsVersion] = useState(0); // Bumped to refresh the session list
+  const [editing, setEditing] = useState(null); // { id, content } of the user message being edited
+  const [sessionNotice, setSessionNotice] = useState(null); // Why the conversation was not saved in full
+
+  // Destructure values from useChat hook; the chosen model, locale and shared position go along with every request.
+  // Long conversations only send their most recent turns, so they stay within the chat API's limits.
+  const {
+    messages, input, handleInputChange, handleSubmit, setMessages, append, reload, stop, isLoading, data, error,
+  } = useChat({
+    experimental_prepareRequestBody: ({ messages: requestMessages }) => ({
+      messages: trimForRequest(requestMessages).map(toRequestMessage),
+      model: model || undefined,
+      locale: locale || undefined,
+      userLocation,
+    }),
+  });
+
+  // navigator and crypto only exist in the browser, so they are used after the first render
+  useEffect(() => {
+    setLocale(navigator.language);
+    setSessionId(newSessionId());
+  }, []);
+
+  // useChat keeps stream data across requests, so each request remembers where its progress starts
+  const progressStart = useRef(0);
+  // The session a running request belongs to; its answer is not saved into a session opened meanwhile
+  const requestSessionId = useRef(null);
+  const beginRequest = () => {
+    progressStart.current = data?.length || 0;
+    requestSessionId.current = sessionId;
+  };
   const [inputValue, setInputValue] = useState(input); // Local state for input value
+  const [savedTripsVersion, setSavedTripsVersion] = useState(0); // Bumped to refresh the saved trips list
 
   // Optimized input change handler
   const onInputChange = useCallback(
@@ -20,8 +77,10 @@ export default function ChatPage() {
     [handleInputChange]
   );
 
-  // Filter out empty or unwanted messages before rendering
-  const filteredMessages = messages.filter((m) => m.content.trim() !== "");
+  // Filter out empty or unwanted messages before rendering; tool results count as content
+  const filteredMessages = messages.filter(
+    (m) => m.content.trim() !== "" || m.toolInvocations?.some((t) => t.state === 'result')
+  );
 
   // Auto scroll to the bottom of chat container when messages update
   useEffect(() => {
@@ -37,53 +96,265 @@ export default function ChatPage() {
     console.log('Input Value:', inputValue);
   }, [filteredMessages, inputValue]);
 
+  const saveSession = useCallback(async (id, sessionMessages) => {
+    if (!id || sessionMessages.length === 0) return;
+    // Sessions have a size limit; past it only the most recent turns are kept
+    const storedMessages = trimHistory(sessionMessages, {
+      maxMessages: MAX_SESSION_MESSAGES,
+      maxBytes: MAX_SESSION_BYTES - SESSION_OVERHEAD_BYTES,
+    });
+    try {
+      const response = await fetch(`/api/sessions/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: sessionTitle(sessionMessages), messages: storedMessages }),
+      });
+      if (response.status === 409) {
+        setSessionNotice('There are too many saved conversations. Delete some to save this one.');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Saving failed with status ${response.status}`);
+      }
+      setSessionsVersion((v) => v + 1);
+      setSessionNotice(storedMessages.length < sessionMessages.length
+        ? 'This conversation is long, so only its most recent messages are saved.'
+        : null);
+    } catch (err) {
+      console.error('Error saving chat session:', err);
+      setSessionNotice('This conversation could not be saved.');
+    }
+  }, []);
+
+  // Save the conversation whenever a response finishes, including stopped and failed ones
+  const wasLoading = useRef(false);
+  useEffect(() => {
+    if (wasLoading.current && !isLoading && requestSessionId.current === sessionId) {
+      saveSession(sessionId, messages);
+    }
+    wasLoading.current = isLoading;
+  }, [isLoading, messages, sessionId, saveSession]);
+
+  // Leaving a conversation mid-response stops it and keeps what has arrived so far
+  const leaveSession = () => {
+    if (isLoading) {
+      stop();
+      saveSession(sessionId, messages);
+    }
+    setEditing(null);
+    setSessionNotice(null);
+  };
+
+  const startNewSession = () => {
+    leaveSession();
+    setMessages([]);
+    setSessionId(newSessionId());
+  };
+
+  const openSession = async (id) => {
+    if (id === sessionId) return;
+    try {
+      const response = await fetch(`/api/sessions/${id}`);
+      if (!response.ok) {
+        throw new Error(`Loading failed with status ${response.status}`);
+      }
+      const { session } = await response.json();
+      leaveSession();
+      setMessages(session.messages);
+      setSessionId(session.id);
+    } catch (err) {
+      console.error('Error loading chat session:', err);
+    }
+  };
+
+  const onSessionDeleted = (id) => {
+    if (id === sessionId) {
+      startNewSession();
+    }
+  };
+
+  // Answer the last question again, dropping the answer it got
+  const regenerate = () => {
+    const lastUserIndex = messages.map((m) => m.role).lastIndexOf('user');
+    if (lastUserIndex < 0) return;
+    beginRequest();
+    setMessages(messages.slice(0, lastUserIndex + 1));
+    reload();
+  };
+
+  // An edited question replaces the original and everything after it
+  const submitEdit = (e) => {
+    e.preventDefault();
+    const index = messages.findIndex((m) => m.id === editing.id);
+    if (index < 0 || editing.content.trim() === '') return;
+    beginRequest();
+    setMessages(messages.slice(0, index));
+    append({ role: 'user', content: editing.content.trim() });
+    setEditing(null);
+  };
+
+  const sendMessage = (content) => {
+    beginRequest();
+    append({ role: 'user', content });
+  };
+
+  // Put a saved trip back into the conversation as a get_route result, so the model can use it as context
+  const onLoadTrip = useCallback(
+    (trip) => {
+      const loadedMessages = [
+        ...messages,
+        {
+          id: `saved-${trip.id}-${Date.now()}`,
+          role: 'assistant',
+          content: `Loaded saved trip "${trip.title}".`,
+          toolInvocations: [
+            { state: 'result', toolCallId: `saved-${trip.id}`, toolName: 'get_route', args: trip.inputs, result: trip.plan },
+          ],
+        },
+      ];
+      setMessages(loadedMessages);
+      saveSession(sessionId, loadedMessages);
+    },
+    [messages, setMessages, saveSession, sessionId]
+  );
+
+  // Tools the model has called but that have not returned yet, with get_route's progress so far
+  const lastMessage = messages[messages.length - 1];
+  const pendingTools = lastMessage?.role === 'assistant'
+    ? (lastMessage.toolInvocations || []).filter((t) => t.state !== 'result').map((t) => t.toolName)
+    : [];
+  const progressEvents = isLoading
+    ? (data || []).slice(progressStart.current).filter((d) => d?.type === 'progress')
+    : [];
+
+  // The chat API answers rejected requests (rate limits, validation) with { error } JSON
+  const errorMessage = (() => {
+    if (!error) return null;
+    try {
+      return JSON.parse(error.message).error || error.message;
+    } catch {
+      return error.message;
+    }
+  })();
+
   // Submit handler that uses handleSubmit and resets the input
   const onSubmit = (e) => {
     e.preventDefault();
-    if (inputValue.trim() === '') return; // Prevent empty submissions
+    if (inputValue.trim() === '' || isLoading) return; // Prevent empty and overlapping submissions
+    beginRequest();
     handleSubmit(e); // Submit the form
     setInputValue(''); // Clear input after submit
   };
 
   return (
-    <div className="chat-container">
-      {/* Render chat messages */}
-      <div className="chat-messages">
-        {filteredMessages && filteredMessages.length > 0 ? (
-          filteredMessages.map((m) => (
-            <div
-              key={m.id}
-              className={m.role === 'user' ? 'user-message' : 'ai-message'}
-            >
-              <strong>{m.role === 'user' ? 'User: ' : 'AI: '}</strong>
-              {/* Display message content only if it's not empty */}
-              <Markdown>{m.content}</Markdown>
-            </div>
-          ))
-        ) : (
-          <p className="loading-indicator">No messages yet. Start the conversation!</p>
+    <div className="chat-layout">
+      <SessionSidebar
+        currentId={sessionId}
+        refreshKey={sessionsVersion}
+        onNew={startNewSession}
+        onOpen={openSession}
+        onDeleted={onSessionDeleted}
+      />
+      <div className="chat-container">
+        <SavedTrips refreshKey={savedTripsVersion} onLoad={onLoadTrip} />
+
+        <ModelPicker value={model} onChange={setModel} />
+        <LocationToggle value={userLocation} onChange={setUserLocation} />
+
+        {/* Render chat messages */}
+        <div className="chat-messages">
+          {filteredMessages && filteredMessages.length > 0 ? (
+            filteredMessages.map((m) => (
+              <div
+                key={m.id}
+                className={m.role === 'user' ? 'user-message' : 'ai-message'}
+              >
+                <strong>{m.role === 'user' ? 'User: ' : 'AI: '}</strong>
+                {editing?.id === m.id ? (
+                  <form onSubmit={submitEdit} className="message-edit">
+                    <input
+                      type="text"
+                      value={editing.content}
+                      onChange={(e) => setEditing({ id: m.id, content: e.target.value })}
+                      className="chat-input"
+                      aria-label="Edit message"
+                      autoFocus
+                    />
+                    <button type="submit" className="trip-action-button" disabled={!editing.content.trim()}>
+                      Send
+                    </button>
+                    <button type="button" className="trip-action-button" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  /* Display message content only if it's not empty */
+                  m.content.trim() !== "" && <Markdown>{m.content}</Markdown>
+                )}
+                {/* Structured tool results are rendered as cards, separate from the model's prose */}
+                {m.toolInvocations?.map((toolInvocation) => (
+                  <ToolResult
+                    key={toolInvocation.toolCallId}
+                    toolInvocation={toolInvocation}
+                    onTripSaved={() => setSavedTripsVersion((v) => v + 1)}
+                    onSendMessage={sendMessage}
+                  />
+                ))}
+                {m.role === 'user' && !isLoading && editing?.id !== m.id && (
+                  <button
+                    type="button"
+                    className="message-action"
+                    onClick={() => setEditing({ id: m.id, content: m.content })}
+                  >
+                    Edit
+                  </button>
+                )}
+              </div>
+            ))
+          ) : (
+            <p className="loading-indicator">No messages yet. Start the conversation!</p>
+          )}
+        </div>
+
+        {isLoading && <ToolProgress pendingTools={pendingTools} events={progressEvents} />}
+
+        {errorMessage && <p className="chat-error">{errorMessage}</p>}
+        {sessionNotice && <p className="chat-error">{sessionNotice}</p>}
+
+        {!isLoading && messages.some((m) => m.role === 'user') && (
+          <div className="chat-controls">
+            <button type="button" className="trip-action-button" onClick={regenerate}>
+              {lastMessage?.role === 'user' ? 'Retry' : 'Regenerate'}
+            </button>
+          </div>
         )}
-      </div>
 
-      {/* Chat input and submit button */}
-      <form onSubmit={onSubmit} className="chat-form">
-        <input
-          type="text"
-          value={inputValue} // Use local state for better control
-          placeholder="Say something..."
-          onChange={onInputChange} // Optimized change handler
-          className="chat-input"
-          autoComplete="off"
-          aria-label="Chat input"
-        />
-        <button
-          type="submit"
-          className="submit-button"
-          disabled={!inputValue.trim()} // Disable button if input is empty
-        >
-          Send
-        </button>
-      </form>
+        {/* Chat input and submit button */}
+        <form onSubmit={onSubmit} className="chat-form">
+          <input
+            type="text"
+            value={inputValue} // Use local state for better control
+            placeholder="Say something..."
+            onChange={onInputChange} // Optimized change handler
+            className="chat-input"
+            autoComplete="off"
+            aria-label="Chat input"
+          />
+          {isLoading ? (
+            <button type="button" className="submit-button" onClick={stop}>
+              Stop
+            </button>
+          ) : (
+            <button
+              type="submit"
+              className="submit-button"
+              disabled={!inputValue.trim()} // Disable button if input is empty
+            >
+              Send
+            </button>
+          )}
+        </form>
+      </div>
     </div>
   );
 }
\ No newline at end of file
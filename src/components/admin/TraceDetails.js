@@ -0,0 +1,106 @@
+'use client';
+
+const formatMs = (ms) => (ms == null ? '–' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+const formatTokens = (usage) =>
+  usage ? `${usage.promptTokens} in / ${usage.completionTokens} out` : '–';
+
+function UpstreamCalls({ calls }) {
+  if (calls.length === 0) {
+    return null;
+  }
+  return (
+    <table className="trace-table">
+      <thead>
+        <tr>
+          <th>Provider</th>
+          <th>Request</th>
+          <th>Status</th>
+          <th>Attempts</th>
+          <th>Latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        {calls.map((call, index) => (
+          <tr key={index} className={call.outcome === 'ok' ? '' : 'trace-failed'}>
+            <td>{call.provider}</td>
+            <td className="trace-url">{call.method} {call.url}</td>
+            <td>{call.status || call.error}</td>
+            <td>{call.attempts}</td>
+            <td>{formatMs(call.durationMs)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Everything recorded for one request: model steps, tool calls with their upstream calls, and errors
+export default function TraceDetails({ trace }) {
+  const cacheHits = (toolCall) =>
+    Object.entries(toolCall.cacheHits || {}).map(([source, count]) => `${source} ×${count}`).join(', ');
+
+  return (
+    <div className="trace-details">
+      <h3>
+        {trace.endpoint} · {new Date(trace.startedAt).toLocaleString()} · {trace.status}
+      </h3>
+      <p>
+        Model {trace.model || '–'}
+        {trace.requestedModel && trace.requestedModel !== trace.model && ` (requested ${trace.requestedModel})`}
+        {' · '}{formatMs(trace.durationMs)} · {formatTokens(trace.usage)}
+      </p>
+      {trace.error && <p className="trace-error">{trace.error}</p>}
+      <pre className="trace-json">{JSON.stringify(trace.input, null, 2)}</pre>
+
+      {trace.modelErrors.length > 0 && (
+        <>
+          <h4>Model errors</h4>
+          <ul>
+            {trace.modelErrors.map((error, index) => (
+              <li key={index} className="trace-error">{error.model}: {error.message}</li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {trace.steps.length > 0 && (
+        <>
+          <h4>Model steps</h4>
+          <ol>
+            {trace.steps.map((step, index) => (
+              <li key={index}>
+                {step.stepType} · {step.finishReason} · {formatTokens(step.usage)}
+                {step.toolCalls.length > 0 && ` · calls ${step.toolCalls.map((c) => c.toolName).join(', ')}`}
+                {step.text && <p className="trace-text">{step.text}</p>}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      {trace.toolCalls.length > 0 && (
+        <>
+          <h4>Tool calls</h4>
+          {trace.toolCalls.map((toolCall, index) => (
+            <div key={index} className="trace-tool-call">
+              <strong>{toolCall.toolName}</strong> · {toolCall.outcome} · {toolCall.resultType || '–'} · {formatMs(toolCall.durationMs)}
+              {cacheHits(toolCall) && ` · cached: ${cacheHits(toolCall)}`}
+              {toolCall.failedSections && ` · failed sections: ${toolCall.failedSections.join(', ')}`}
+              {(toolCall.error || toolCall.text) && <p className="trace-text">{toolCall.error || toolCall.text}</p>}
+              <pre className="trace-json">{JSON.stringify(toolCall.args, null, 2)}</pre>
+              <UpstreamCalls calls={toolCall.upstream} />
+            </div>
+          ))}
+        </>
+      )}
+
+      {trace.upstream.length > 0 && (
+        <>
+          <h4>Upstream calls</h4>
+          <UpstreamCalls calls={trace.upstream} />
+        </>
+      )}
+    </div>
+  );
+}
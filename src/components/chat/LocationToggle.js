@@ -0,0 +1,50 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Opt-in sharing of the browser's position with the chat, for "near me" questions and trips that start here.
+// The position is followed while sharing is on and forgotten when it is turned off.
+// onChange should be stable, such as a state setter, or the position is watched anew on every render.
+export default function LocationToggle({ value, onChange }) {
+  const [enabled, setEnabled] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    if (!navigator.geolocation) {
+      setError('This browser cannot share its location.');
+      setEnabled(false);
+      return undefined;
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        setError(null);
+        onChange({ lat: position.coords.latitude, lon: position.coords.longitude });
+      },
+      (err) => {
+        console.error('Error getting the current position:', err);
+        setError(err.code === err.PERMISSION_DENIED ? 'Location access was denied.' : 'Could not get your location.');
+        setEnabled(false);
+      },
+      { enableHighAccuracy: false, maximumAge: 60000, timeout: 15000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [enabled, onChange]);
+
+  const toggle = (e) => {
+    setEnabled(e.target.checked);
+    if (!e.target.checked) {
+      onChange(null);
+    }
+  };
+
+  return (
+    <label className="location-toggle">
+      <input type="checkbox" checked={enabled} onChange={toggle} /> Share my location
+      {enabled && !value && !error && <span className="saved-trip-date"> · locating…</span>}
+      {error && <span className="saved-trips-error"> · {error}</span>}
+    </label>
+  );
+}
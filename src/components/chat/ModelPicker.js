@@ -0,0 +1,41 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Lets the user choose between the models the server allows; hidden when there is only one.
+// onChange is a state setter: the server's default is only filled in while no model is chosen.
+export default function ModelPicker({ value, onChange }) {
+  const [models, setModels] = useState([]);
+
+  useEffect(() => {
+    const fetchModels = async () => {
+      try {
+        const response = await fetch('/api/models');
+        if (!response.ok) {
+          throw new Error(`Listing models failed with status ${response.status}`);
+        }
+        const data = await response.json();
+        setModels(data.models);
+        onChange((current) => current || data.defaultModel);
+      } catch (err) {
+        console.error('Error listing models:', err);
+      }
+    };
+    fetchModels();
+  }, [onChange]);
+
+  if (models.length < 2) return null;
+
+  return (
+    <label className="model-picker">
+      Model{' '}
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)}>
+        {models.map((model) => (
+          <option key={model} value={model}>
+            {model}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,74 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+
+// Lists the user's saved conversations with new, open and delete actions.
+// Bump refreshKey to refetch after the page saves a session.
+export default function SessionSidebar({ currentId, refreshKey, onNew, onOpen, onDeleted }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch('/api/sessions');
+      if (!response.ok) {
+        throw new Error(`Listing failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      setSessions(data.sessions);
+      setError(null);
+    } catch (err) {
+      console.error('Error listing chat sessions:', err);
+      setError('Could not load conversations.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions, refreshKey]);
+
+  const deleteSession = async (id) => {
+    try {
+      const response = await fetch(`/api/sessions/${id}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Deleting failed with status ${response.status}`);
+      }
+      setSessions((prevSessions) => prevSessions.filter((s) => s.id !== id));
+      onDeleted(id);
+    } catch (err) {
+      console.error('Error deleting chat session:', err);
+      setError('Could not delete that conversation.');
+    }
+  };
+
+  return (
+    <aside className="session-sidebar">
+      <button type="button" className="submit-button session-new" onClick={onNew}>
+        New chat
+      </button>
+      {error && <p className="saved-trips-error">{error}</p>}
+      {sessions.length === 0 ? (
+        <p className="saved-trips-empty">No conversations yet.</p>
+      ) : (
+        <ul>
+          {sessions.map((session) => (
+            <li key={session.id} className={`session-item${session.id === currentId ? ' session-current' : ''}`}>
+              <button type="button" className="session-open" onClick={() => onOpen(session.id)} title={session.title}>
+                {session.title}
+                <span className="saved-trip-date">{new Date(session.updatedAt).toLocaleString()}</span>
+              </button>
+              <button
+                type="button"
+                className="session-delete"
+                onClick={() => deleteSession(session.id)}
+                aria-label={`Delete ${session.title}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
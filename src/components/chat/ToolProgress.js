@@ -0,0 +1,66 @@
+'use client';
+
+const TOOL_LABELS = {
+  get_current_location: 'Finding where you are',
+  explore_nearby: 'Looking around',
+  get_route: 'Planning the trip',
+  get_directions: 'Getting directions',
+  find_hotels: 'Looking for hotels',
+  find_attractions: 'Looking for attractions',
+  get_place_history: 'Reading up on the history',
+  find_stops_along_route: 'Looking for stops along the route',
+  plan_multi_stop_route: 'Planning the stops',
+  plan_itinerary: 'Planning the itinerary',
+  estimate_budget: 'Estimating the budget',
+  check_route_weather: 'Checking the weather',
+  compare_travel_modes: 'Comparing travel modes',
+};
+
+// get_route sections in the order they are fetched
+const SECTION_LABELS = {
+  geocoding: 'Finding the places',
+  route: 'Route',
+  attractions: 'Attractions',
+  history: 'History',
+  hotels: 'Hotels',
+  weather: 'Weather along the route',
+};
+
+const STATUS_ICONS = { started: '…', done: '✓', failed: '✗' };
+
+// Shown while the model is answering: the tools still running and, for get_route, each data source as it
+// is fetched. events are the { type: 'progress', toolName, section, status } stream data of this request.
+export default function ToolProgress({ pendingTools, events }) {
+  // Later events replace earlier ones, so each section shows its latest status
+  const sections = {};
+  events
+    .filter((event) => event.toolName === 'get_route')
+    .forEach((event) => {
+      sections[event.section] = event.status;
+    });
+
+  return (
+    <div className="tool-progress" role="status">
+      {pendingTools.length === 0 ? (
+        <p className="loading-indicator">Thinking…</p>
+      ) : (
+        pendingTools.map((toolName, index) => (
+          <p key={index} className="loading-indicator">
+            {TOOL_LABELS[toolName] || `Running ${toolName}`}…
+          </p>
+        ))
+      )}
+      {Object.keys(sections).length > 0 && (
+        <ul>
+          {Object.entries(SECTION_LABELS)
+            .filter(([section]) => sections[section])
+            .map(([section, label]) => (
+              <li key={section} className={`tool-progress-${sections[section]}`}>
+                {STATUS_ICONS[sections[section]]} {label}
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+}
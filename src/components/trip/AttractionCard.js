@@ -0,0 +1,24 @@
+import Image from 'next/image';
+
+// An attraction with its Wikipedia thumbnail and summary
+export default function AttractionCard({ attraction }) {
+  return (
+    <div className="trip-card attraction-card">
+      {attraction.thumbnail && (
+        <Image
+          src={attraction.thumbnail.source}
+          alt={attraction.title}
+          width={attraction.thumbnail.width}
+          height={attraction.thumbnail.height}
+          className="attraction-card-image"
+        />
+      )}
+      <div className="attraction-card-body">
+        <a href={attraction.url} target="_blank" rel="noopener noreferrer" className="attraction-card-title">
+          {attraction.title}
+        </a>
+        <p className="attraction-card-description">{attraction.description}</p>
+      </div>
+    </div>
+  );
+}
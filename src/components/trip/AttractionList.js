@@ -0,0 +1,17 @@
+import AttractionCard from './AttractionCard';
+
+// Grid of attraction cards under a heading
+export default function AttractionList({ attractions, title = 'Things to see' }) {
+  if (!attractions || attractions.length === 0) return null;
+
+  return (
+    <section>
+      <h4 className="trip-section-title">{title}</h4>
+      <div className="trip-card-grid">
+        {attractions.map((attraction) => (
+          <AttractionCard key={attraction.url || attraction.title} attraction={attraction} />
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,60 @@
+import { formatMoney } from '@/lib/budget';
+import { formatDistance } from '@/lib/format';
+
+// Trip cost line by line, with the assumptions behind it so the user knows what to ask to change
+export default function BudgetEstimate({ budget }) {
+  const { assumptions, locale } = budget;
+  const money = (amount) => formatMoney(amount, assumptions.currency, locale);
+
+  return (
+    <div className="trip-card">
+      <h3 className="trip-card-title">
+        Budget: {budget.origin.name} → {budget.destination.name}
+      </h3>
+      <table className="trip-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Quantity</th>
+            <th>Unit cost</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {budget.lineItems.map((line) => (
+            <tr key={line.item}>
+              <td>{line.item}</td>
+              <td>
+                {line.quantity} {line.unit}
+              </td>
+              <td>{money(line.unitCost)}</td>
+              <td>{money(line.total)}</td>
+            </tr>
+          ))}
+          <tr className="trip-table-highlight">
+            <td colSpan={3}>Total</td>
+            <td>{money(budget.total)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <ul className="schedule-note">
+        <li>
+          {formatDistance(budget.drivenKm * 1000, locale)} {assumptions.roundTrip ? 'round trip' : 'one way'} by{' '}
+          {assumptions.travelMode}
+        </li>
+        <li>
+          {assumptions.fuelEfficiencyLitersPer100Km} L/100 km at {money(assumptions.fuelPricePerLiter)} per liter
+        </li>
+        <li>
+          Price tier {assumptions.priceTier} at {money(assumptions.lodgingPricePerNight)} per room night, {assumptions.rooms}{' '}
+          {assumptions.rooms === 1 ? 'room' : 'rooms'} for {assumptions.nights} {assumptions.nights === 1 ? 'night' : 'nights'}
+        </li>
+        <li>
+          {money(assumptions.foodPerDay)} food and {money(assumptions.activitiesPerDay)} activities per person per day for{' '}
+          {assumptions.days} {assumptions.days === 1 ? 'day' : 'days'}, {assumptions.travelers}{' '}
+          {assumptions.travelers === 1 ? 'traveler' : 'travelers'}
+        </li>
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+// Buttons for each candidate when a place name matched several places; choosing one answers the model
+export default function ClarificationChoices({ clarifications, onChoose }) {
+  return (
+    <div className="trip-card clarification-choices">
+      {clarifications.map(({ query, candidates }) => (
+        <div key={query}>
+          <h4 className="trip-card-title">Which &ldquo;{query}&rdquo; did you mean?</h4>
+          <div className="clarification-options">
+            {candidates.map((candidate) => (
+              <button
+                key={candidate.name}
+                type="button"
+                className="trip-action-button"
+                onClick={() => onChoose?.(`By "${query}" I meant ${candidate.name}.`)}
+              >
+                {candidate.name}
+                {candidate.placeType && <span className="clarification-type"> · {candidate.placeType}</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
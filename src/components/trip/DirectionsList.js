@@ -0,0 +1,22 @@
+import { formatDistance } from '@/lib/format';
+
+// Turn-by-turn instructions, collapsed by default since long routes have hundreds of steps
+export default function DirectionsList({ steps, locale }) {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <details className="trip-card directions-list">
+      <summary className="trip-card-title">Turn-by-turn directions ({steps.length} steps)</summary>
+      <ol>
+        {steps.map((step, index) => (
+          <li key={index}>
+            {step.instruction}
+            {step.distanceMeters > 0 && (
+              <span className="directions-step-distance"> · {formatDistance(step.distanceMeters, locale)}</span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
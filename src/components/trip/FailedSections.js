@@ -0,0 +1,27 @@
+const sectionLabels = {
+  attractions: 'Attractions',
+  history: 'History',
+  hotels: 'Hotels',
+  weather: 'Weather',
+  places: 'Places',
+  landmarks: 'Landmarks',
+};
+
+// Parts of a trip plan that could not be loaded, so missing cards are not mistaken for "nothing found"
+export default function FailedSections({ sections }) {
+  if (!sections || sections.length === 0) return null;
+
+  return (
+    <div className="trip-card failed-sections">
+      <h4 className="trip-card-title">Partly unavailable</h4>
+      <ul>
+        {sections.map(({ section, message, reason }) => (
+          <li key={section}>
+            <strong>{sectionLabels[section] || section}:</strong> {message}
+            {reason && ` (${reason})`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
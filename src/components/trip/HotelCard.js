@@ -0,0 +1,15 @@
+// One hotel recommendation with its rating badge
+export default function HotelCard({ hotel }) {
+  return (
+    <div className="trip-card hotel-card">
+      <div className="hotel-card-header">
+        <a href={hotel.link} target="_blank" rel="noopener noreferrer" className="hotel-card-name">
+          {hotel.name}
+        </a>
+        <span className="hotel-card-rating">{hotel.rating === 'N/A' ? 'No rating' : `★ ${hotel.rating}`}</span>
+      </div>
+      <div className="hotel-card-category">{hotel.category}</div>
+      {hotel.address && <div className="hotel-card-address">{hotel.address}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import HotelCard from './HotelCard';
+
+// Grid of hotel cards under a heading
+export default function HotelList({ hotels, title = 'Where to stay' }) {
+  if (!hotels || hotels.length === 0) return null;
+
+  return (
+    <section>
+      <h4 className="trip-section-title">{title}</h4>
+      <div className="trip-card-grid">
+        {hotels.map((hotel) => (
+          <HotelCard key={hotel.link} hotel={hotel} />
+        ))}
+      </div>
+    </section>
+  );
+}
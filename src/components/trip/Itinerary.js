@@ -0,0 +1,49 @@
+// A day-by-day itinerary: each day's visits with the travel before them and the hotel for the night
+export default function Itinerary({ itinerary }) {
+  return (
+    <>
+      <h3 className="trip-section-title">
+        {itinerary.days} {itinerary.days === 1 ? 'day' : 'days'} in {itinerary.destination} ({itinerary.dayStart}–{itinerary.dayEnd})
+      </h3>
+      {itinerary.schedule.map((day) => (
+        <div key={day.day} className="trip-card schedule">
+          <h4 className="trip-card-title">Day {day.day}</h4>
+          {day.slots.length === 0 && <p className="schedule-note">Free day</p>}
+          <ol>
+            {day.slots.map((slot) => (
+              <li key={slot.start} className="schedule-entry">
+                <span className="schedule-time">
+                  {slot.start}–{slot.end}
+                </span>
+                <span>
+                  {slot.url ? (
+                    <a href={slot.url} target="_blank" rel="noopener noreferrer">
+                      {slot.title}
+                    </a>
+                  ) : (
+                    slot.title
+                  )}
+                </span>
+                {slot.travelMinutes > 0 && <span className="schedule-distance">{slot.travelMinutes} min travel</span>}
+              </li>
+            ))}
+          </ol>
+          {day.hotel && (
+            <p className="schedule-note">
+              Night:{' '}
+              <a href={day.hotel.link} target="_blank" rel="noopener noreferrer">
+                {day.hotel.name}
+              </a>
+            </p>
+          )}
+        </div>
+      ))}
+      {itinerary.unscheduled.length > 0 && (
+        <p className="schedule-note">Not scheduled: {itinerary.unscheduled.join(', ')}</p>
+      )}
+      {itinerary.alternativeHotels.length > 0 && (
+        <p className="schedule-note">Other hotels: {itinerary.alternativeHotels.join(', ')}</p>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+// A road trip through several stops: the order they are visited in, each leg and the totals
+export default function MultiStopRoute({ route }) {
+  const names = route.roundTrip ? [...route.stops, route.stops[0]] : route.stops;
+
+  return (
+    <div className="trip-card">
+      <h3 className="trip-card-title">{names.join(' → ')}</h3>
+      <div className="route-summary-stats">
+        <span>{route.totalDuration}</span>
+        <span>{route.totalDistance}</span>
+        <span className="route-summary-mode">{route.travelMode}</span>
+      </div>
+      {route.optimized && <p className="schedule-note">Stops reordered for the shortest trip</p>}
+      {route.withoutTraffic && (
+        <p className="schedule-warning">Planned without live traffic, which is only available for up to 3 points</p>
+      )}
+      <table className="trip-table">
+        <tbody>
+          {route.legs.map((leg, index) => (
+            <tr key={index}>
+              <td>
+                {leg.from} → {leg.to}
+              </td>
+              <td>{leg.duration}</td>
+              <td>{leg.distance}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="trip-card-links">
+        <a href={route.googleMapsUrl} target="_blank" rel="noopener noreferrer">
+          Google Maps
+        </a>
+        <a href={route.mapboxUrl} target="_blank" rel="noopener noreferrer">
+          Mapbox
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// Places found around the user or a named place, nearest first. Directions asks the chat for the way there,
+// which starts from the user's position when they have shared it.
+export default function NearbyPlaces({ places, title, onDirections }) {
+  if (!places || places.length === 0) {
+    return (
+      <div className="trip-card">
+        <p>No matching places were found nearby.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trip-card route-stops">
+      <h4 className="trip-card-title">{title}</h4>
+      <ol>
+        {places.map((place) => (
+          <li key={place.id || place.link}>
+            {place.distance && <span className="route-stop-distance">{place.distance}</span>}
+            {place.categoryName && <span className="route-stop-category">{place.categoryName}</span>}
+            <a href={place.link} target="_blank" rel="noopener noreferrer">
+              {place.name}
+            </a>
+            {onDirections && (
+              <button
+                type="button"
+                className="message-action nearby-directions"
+                onClick={() => onDirections(`How do I get to ${place.name}${place.address ? `, ${place.address}` : ''}?`)}
+              >
+                Directions
+              </button>
+            )}
+            {place.address && <div className="route-stop-address">{place.address}</div>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import 'mapbox-gl/dist/mapbox-gl.css';
+
+const mapboxToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+
+const markerColors = {
+  origin: '#2e7d32',
+  destination: '#c62828',
+  hotel: '#1976d2',
+  attraction: '#7b1fa2',
+  stop: '#ef6c00',
+  break: '#546e7a',
+  place: '#00838f',
+};
+
+// Popup content is built as DOM nodes so names from the APIs are never parsed as HTML
+const buildPopupContent = ({ title, link, lines = [] }) => {
+  const container = document.createElement('div');
+  container.className = 'route-map-popup';
+
+  const heading = document.createElement(link ? 'a' : 'strong');
+  heading.textContent = title;
+  if (link) {
+    heading.href = link;
+    heading.target = '_blank';
+    heading.rel = 'noopener noreferrer';
+  }
+  container.appendChild(heading);
+
+  lines.filter(Boolean).forEach((line) => {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = line;
+    container.appendChild(paragraph);
+  });
+  return container;
+};
+
+// Everything on the map besides the route line. Plans without a destination are searches around the origin.
+const getMarkers = (plan) => [
+  { kind: 'origin', coords: plan.origin.coords, title: plan.origin.name, lines: [plan.destination ? 'Start' : 'Search center'] },
+  ...(plan.destination ? [{
+    kind: 'destination',
+    coords: plan.destination.coords,
+    title: plan.destination.name,
+    lines: [`${plan.route.duration} · ${plan.route.distance}`],
+  }] : []),
+  ...(plan.hotels || []).map((h) => ({
+    kind: 'hotel',
+    coords: h.coords,
+    title: h.name,
+    link: h.link,
+    lines: [h.rating === 'N/A' ? null : `Rating: ${h.rating}`, h.address],
+  })),
+  ...(plan.attractions || []).map((a) => ({
+    kind: 'attraction',
+    coords: a.coords,
+    title: a.title,
+    link: a.url,
+    lines: [a.description],
+  })),
+  ...(plan.stops || []).map((s) => ({
+    kind: 'stop',
+    coords: s.coords,
+    title: s.name,
+    link: s.link,
+    lines: [s.distanceAlong, s.detour, s.address],
+  })),
+  ...(plan.places || []).map((p) => ({
+    kind: 'place',
+    coords: p.coords,
+    title: p.name,
+    link: p.link,
+    lines: [p.categoryName, p.distance, p.address],
+  })),
+  ...(plan.schedule?.breaks || []).map((b) => ({
+    kind: 'break',
+    coords: b.coords,
+    title: 'Rest break',
+    lines: [b.distanceAlong, new Date(b.at).toLocaleTimeString(plan.locale || [], { hour: '2-digit', minute: '2-digit' })],
+  })),
+].filter((m) => m.coords);
+
+// Embedded map of a trip plan: the route line plus origin, destination, hotel, attraction, stop and rest break markers.
+// Also shows nearby searches, which have an origin and places but no route.
+export default function RouteMap({ plan }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!mapboxToken || !containerRef.current) return undefined;
+
+    let map;
+    let cancelled = false;
+
+    // mapbox-gl touches window on import, so it is only loaded in the browser
+    import('mapbox-gl').then(({ default: mapboxgl }) => {
+      if (cancelled) return;
+
+      mapboxgl.accessToken = mapboxToken;
+      map = new mapboxgl.Map({
+        container: containerRef.current,
+        style: 'mapbox://styles/mapbox/streets-v12',
+        center: [(plan.destination || plan.origin).coords.lon, (plan.destination || plan.origin).coords.lat],
+        zoom: 8,
+      });
+      map.addControl(new mapboxgl.NavigationControl(), 'top-right');
+
+      const bounds = new mapboxgl.LngLatBounds();
+      const markers = getMarkers(plan);
+
+      markers.forEach((marker) => {
+        const lngLat = [marker.coords.lon, marker.coords.lat];
+        bounds.extend(lngLat);
+        new mapboxgl.Marker({ color: markerColors[marker.kind] })
+          .setLngLat(lngLat)
+          .setPopup(new mapboxgl.Popup({ offset: 24 }).setDOMContent(buildPopupContent(marker)))
+          .addTo(map);
+      });
+
+      if (plan.geometry) {
+        plan.geometry.coordinates.forEach((coordinate) => bounds.extend(coordinate));
+
+        map.on('load', () => {
+          map.addSource('route', { type: 'geojson', data: { type: 'Feature', properties: {}, geometry: plan.geometry } });
+          map.addLayer({
+            id: 'route',
+            type: 'line',
+            source: 'route',
+            layout: { 'line-join': 'round', 'line-cap': 'round' },
+            paint: { 'line-color': '#1976d2', 'line-width': 5, 'line-opacity': 0.8 },
+          });
+        });
+      }
+
+      if (!bounds.isEmpty()) {
+        map.fitBounds(bounds, { padding: 40, maxZoom: 14, duration: 0 });
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (map) map.remove();
+    };
+  }, [plan]);
+
+  if (!mapboxToken) {
+    return null;
+  }
+
+  return (
+    <div className="trip-card route-map-card">
+      <div ref={containerRef} className="route-map" />
+      <div className="route-map-legend">
+        <span style={{ color: markerColors.origin }}>● {plan.destination ? 'Start' : 'Search center'}</span>
+        {plan.destination && <span style={{ color: markerColors.destination }}>● Destination</span>}
+        {plan.destination && <span style={{ color: markerColors.hotel }}>● Hotels</span>}
+        <span style={{ color: markerColors.attraction }}>{plan.destination ? '● Attractions' : '● Landmarks'}</span>
+        {plan.stops && <span style={{ color: markerColors.stop }}>● Stops</span>}
+        {plan.places && <span style={{ color: markerColors.place }}>● Places</span>}
+        {plan.schedule?.breaks.length > 0 && <span style={{ color: markerColors.break }}>● Rest breaks</span>}
+      </div>
+    </div>
+  );
+}
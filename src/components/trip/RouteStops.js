@@ -0,0 +1,40 @@
+const categoryLabels = {
+  fuel: 'Fuel',
+  ev_charging: 'EV charging',
+  restaurant: 'Restaurant',
+  cafe: 'Café',
+  rest_area: 'Rest area',
+};
+
+// Stops found along a route, in the order the traveller reaches them, with the detour each adds
+export default function RouteStops({ stops }) {
+  if (!stops || stops.length === 0) {
+    return (
+      <div className="trip-card">
+        <p>No matching stops were found near the route.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trip-card route-stops">
+      <h4 className="trip-card-title">Stops along the route</h4>
+      <ol>
+        {stops.map((stop) => (
+          <li key={stop.id || stop.link}>
+            <span className="route-stop-distance">{stop.distanceAlong}</span>
+            <span className="route-stop-category">{categoryLabels[stop.category] || stop.category}</span>
+            <a href={stop.link} target="_blank" rel="noopener noreferrer">
+              {stop.name}
+            </a>
+            <span className="route-stop-detour">
+              {' '}· {stop.detour}
+              {stop.detourEstimated && ' (estimated)'}
+            </span>
+            {stop.address && <div className="route-stop-address">{stop.address}</div>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
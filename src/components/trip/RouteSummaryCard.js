@@ -0,0 +1,27 @@
+// Headline figures for a trip plan with links out to the map providers
+export default function RouteSummaryCard({ origin, destination, travelMode, route, links }) {
+  return (
+    <div className="trip-card route-summary-card">
+      <h3 className="trip-card-title">
+        {origin.name} → {destination.name}
+      </h3>
+      <div className="route-summary-stats">
+        <span>{route.duration}</span>
+        <span>{route.distance}</span>
+        <span className="route-summary-mode">{travelMode}</span>
+      </div>
+      <div className="trip-card-links">
+        {links.googleMaps && (
+          <a href={links.googleMaps} target="_blank" rel="noopener noreferrer">
+            Google Maps
+          </a>
+        )}
+        {links.mapbox && (
+          <a href={links.mapbox} target="_blank" rel="noopener noreferrer">
+            Mapbox
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import WeatherWarnings from './WeatherWarnings';
+
+// Forecasts along a route for the time the traveller passes each point, warnings first
+export default function RouteWeather({ weather }) {
+  const formatTime = (time) =>
+    new Date(time).toLocaleString(weather.locale || [], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <>
+      <WeatherWarnings weather={weather} locale={weather.locale} />
+      <div className="trip-card schedule">
+        <h4 className="trip-card-title">
+          Weather from {weather.origin.name} to {weather.destination.name}
+        </h4>
+        <ol>
+          {weather.points.map((point, index) => (
+            <li key={index} className="schedule-entry">
+              <span className="schedule-time">{formatTime(point.eta)}</span>
+              <span>
+                {point.label}: {point.description || 'no forecast available'}
+              </span>
+              {point.hazards.length > 0 && <span className="schedule-warning">{point.hazards.join(', ')}</span>}
+            </li>
+          ))}
+        </ol>
+        {weather.warnings.length === 0 && <p className="schedule-note">No weather hazards expected.</p>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,36 @@
+// Timed schedule of a route: departure, ETAs at major steps, rest breaks and arrival
+export default function Schedule({ schedule, origin, destination, avoided, notAvoided, locale }) {
+  if (!schedule) return null;
+
+  const formatTime = (time) =>
+    new Date(time).toLocaleString(locale || [], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  const describe = (entry) => {
+    if (entry.kind === 'depart') return `Depart ${origin.name}`;
+    if (entry.kind === 'arrive') return `Arrive in ${destination.name}`;
+    if (entry.kind === 'break') return `Rest break (${entry.duration}) until ${formatTime(entry.until)}`;
+    return entry.instruction;
+  };
+
+  return (
+    <div className="trip-card schedule">
+      <h4 className="trip-card-title">Schedule · {schedule.totalDuration}</h4>
+      {schedule.departsInPast && (
+        <p className="schedule-warning">
+          To arrive by {formatTime(schedule.arriveBy)} you would have needed to leave at {formatTime(schedule.departAt)}.
+        </p>
+      )}
+      {avoided?.length > 0 && <p className="schedule-note">Avoiding {avoided.join(', ')}</p>}
+      {notAvoided?.length > 0 && <p className="schedule-warning">Could not avoid {notAvoided.join(', ')}</p>}
+      <ol>
+        {schedule.entries.map((entry, index) => (
+          <li key={index} className={`schedule-entry schedule-${entry.kind}`}>
+            <span className="schedule-time">{formatTime(entry.at)}</span>
+            <span>{describe(entry)}</span>
+            <span className="schedule-distance">{entry.distanceAlong}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useMemo } from 'react';
+import ExportButtons from '@/components/trips/ExportButtons';
+import SaveTripButton from '@/components/trips/SaveTripButton';
+import AttractionList from './AttractionList';
+import BudgetEstimate from './BudgetEstimate';
+import ClarificationChoices from './ClarificationChoices';
+import DirectionsList from './DirectionsList';
+import FailedSections from './FailedSections';
+import HotelList from './HotelList';
+import Itinerary from './Itinerary';
+import MultiStopRoute from './MultiStopRoute';
+import NearbyPlaces from './NearbyPlaces';
+import RouteMap from './RouteMap';
+import RouteStops from './RouteStops';
+import RouteWeather from './RouteWeather';
+import RouteSummaryCard from './RouteSummaryCard';
+import Schedule from './Schedule';
+import TravelModeComparison from './TravelModeComparison';
+import TripPlan from './TripPlan';
+
+// A nearby search drawn on the map as its center plus the places and landmarks found.
+// The map plan is memoized, since RouteMap rebuilds the map whenever its plan object changes.
+function NearbyResult({ result, onSendMessage }) {
+  const mapPlan = useMemo(
+    () => ({ origin: result.location, places: result.places, attractions: result.landmarks }),
+    [result]
+  );
+
+  return (
+    <div className="trip-plan">
+      <RouteMap plan={mapPlan} />
+      <NearbyPlaces
+        places={result.places}
+        title={`${result.category ? `Results for "${result.category}"` : 'Places'} within ${result.radius} of ${result.location.name}`}
+        onDirections={onSendMessage}
+      />
+      <AttractionList attractions={result.landmarks} title={`Landmarks near ${result.location.name}`} />
+      <FailedSections sections={result.failedSections} />
+    </div>
+  );
+}
+
+// A multi-stop route drawn on the map from its first to its last stop, with the stops in between as markers
+function MultiStopResult({ result }) {
+  const mapPlan = useMemo(() => {
+    const { waypoints } = result;
+    return {
+      origin: waypoints[0],
+      destination: result.roundTrip ? waypoints[0] : waypoints[waypoints.length - 1],
+      route: { duration: result.totalDuration, distance: result.totalDistance },
+      stops: result.roundTrip ? waypoints.slice(1) : waypoints.slice(1, -1),
+      geometry: result.geometry,
+      locale: result.locale,
+    };
+  }, [result]);
+
+  return (
+    <div className="trip-plan">
+      <MultiStopRoute route={result} />
+      <RouteMap plan={mapPlan} />
+    </div>
+  );
+}
+
+// Picks the component for a finished tool call; tools without one are left to the model's prose
+export default function ToolResult({ toolInvocation, onTripSaved, onSendMessage }) {
+  if (toolInvocation.state !== 'result') return null;
+
+  const { result } = toolInvocation;
+  if (result?.type === 'trip_plan') {
+    return (
+      <>
+        <TripPlan plan={result} />
+        <div className="trip-actions">
+          {/* Trips loaded from storage are already saved */}
+          {!toolInvocation.toolCallId.startsWith('saved-') && (
+            <SaveTripButton toolInvocation={toolInvocation} onSaved={onTripSaved} />
+          )}
+          <ExportButtons plan={result} />
+        </div>
+      </>
+    );
+  }
+  if (result?.type === 'directions') {
+    return (
+      <div className="trip-plan">
+        <RouteSummaryCard
+          origin={result.origin}
+          destination={result.destination}
+          travelMode={result.travelMode}
+          route={result.route}
+          links={result.links}
+        />
+        <RouteMap plan={result} />
+        <Schedule
+          schedule={result.schedule}
+          origin={result.origin}
+          destination={result.destination}
+          avoided={result.avoided}
+          notAvoided={result.notAvoided}
+          locale={result.locale}
+        />
+        <DirectionsList steps={result.steps} locale={result.locale} />
+      </div>
+    );
+  }
+  if (result?.type === 'route_stops') {
+    return (
+      <div className="trip-plan">
+        <RouteSummaryCard
+          origin={result.origin}
+          destination={result.destination}
+          travelMode={result.travelMode}
+          route={result.route}
+          links={result.links}
+        />
+        <RouteMap plan={result} />
+        <RouteStops stops={result.stops} />
+      </div>
+    );
+  }
+  if (result?.type === 'hotels') {
+    return (
+      <div className="trip-plan">
+        <HotelList hotels={result.hotels} title={`Hotels near ${result.location.name}`} />
+      </div>
+    );
+  }
+  if (result?.type === 'attractions') {
+    return (
+      <div className="trip-plan">
+        <AttractionList attractions={result.attractions} title={`Things to see in ${result.location.name}`} />
+      </div>
+    );
+  }
+  if (result?.type === 'nearby_places') {
+    return <NearbyResult result={result} onSendMessage={onSendMessage} />;
+  }
+  if (result?.type === 'budget') {
+    return (
+      <div className="trip-plan">
+        <BudgetEstimate budget={result} />
+      </div>
+    );
+  }
+  if (result?.type === 'itinerary') {
+    return (
+      <div className="trip-plan">
+        <Itinerary itinerary={result} />
+      </div>
+    );
+  }
+  if (result?.type === 'multi_stop_route') {
+    return <MultiStopResult result={result} />;
+  }
+  if (result?.type === 'route_weather') {
+    return (
+      <div className="trip-plan">
+        <RouteWeather weather={result} />
+      </div>
+    );
+  }
+  if (result?.type === 'travel_modes') {
+    return (
+      <div className="trip-plan">
+        <TravelModeComparison
+          origin={result.origin}
+          destination={result.destination}
+          comparison={result.comparison}
+          fastestMode={result.fastestMode}
+        />
+      </div>
+    );
+  }
+  if (result?.type === 'clarification') {
+    return <ClarificationChoices clarifications={result.clarifications} onChoose={onSendMessage} />;
+  }
+  return null;
+}
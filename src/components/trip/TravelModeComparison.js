@@ -0,0 +1,40 @@
+// Duration and distance of the same trip by each travel mode, with the fastest one marked
+export default function TravelModeComparison({ origin, destination, comparison, fastestMode }) {
+  return (
+    <div className="trip-card">
+      <h3 className="trip-card-title">
+        {origin.name} → {destination.name}
+      </h3>
+      <table className="trip-table">
+        <thead>
+          <tr>
+            <th>Mode</th>
+            <th>Duration</th>
+            <th>Distance</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.map((c) => (
+            <tr key={c.mode} className={c.mode === fastestMode ? 'trip-table-highlight' : undefined}>
+              <td className="route-summary-mode">{c.mode}</td>
+              {c.success ? (
+                <>
+                  <td>{c.duration}</td>
+                  <td>{c.distance}</td>
+                  <td>
+                    <a href={c.googleMapsUrl} target="_blank" rel="noopener noreferrer">
+                      Google Maps
+                    </a>
+                  </td>
+                </>
+              ) : (
+                <td colSpan={3}>{c.message}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
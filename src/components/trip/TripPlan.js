@@ -0,0 +1,54 @@
+import AttractionList from './AttractionList';
+import DirectionsList from './DirectionsList';
+import FailedSections from './FailedSections';
+import HotelList from './HotelList';
+import RouteMap from './RouteMap';
+import RouteSummaryCard from './RouteSummaryCard';
+import Schedule from './Schedule';
+import WeatherWarnings from './WeatherWarnings';
+
+// Renders the structured result of the get_route tool
+export default function TripPlan({ plan }) {
+  return (
+    <div className="trip-plan">
+      <RouteSummaryCard
+        origin={plan.origin}
+        destination={plan.destination}
+        travelMode={plan.travelMode}
+        route={plan.route}
+        links={plan.links}
+      />
+
+      <WeatherWarnings weather={plan.weather} locale={plan.locale} />
+
+      <FailedSections sections={plan.failedSections} />
+
+      <RouteMap plan={plan} />
+
+      <Schedule
+        schedule={plan.schedule}
+        origin={plan.origin}
+        destination={plan.destination}
+        avoided={plan.avoided}
+        notAvoided={plan.notAvoided}
+        locale={plan.locale}
+      />
+
+      <DirectionsList steps={plan.steps} locale={plan.locale} />
+
+      {plan.history && (
+        <div className="trip-card">
+          <h4 className="trip-card-title">About {plan.destination.name}</h4>
+          <p>{plan.history.summary}</p>
+          <a href={plan.history.source} target="_blank" rel="noopener noreferrer">
+            Read more
+          </a>
+        </div>
+      )}
+
+      <AttractionList attractions={plan.attractions} />
+
+      <HotelList hotels={plan.hotels} />
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+// Weather hazards expected along the route at the planned departure time
+export default function WeatherWarnings({ weather, locale }) {
+  if (!weather || weather.warnings.length === 0) return null;
+
+  return (
+    <div className="trip-card weather-warnings">
+      <h4 className="trip-card-title">Weather warnings</h4>
+      <ul>
+        {weather.warnings.map((warning) => (
+          <li key={`${warning.label}-${warning.eta}`}>
+            <strong>{warning.hazards.join(', ')}</strong> · {warning.label} around{' '}
+            {new Date(warning.eta).toLocaleString(locale || [], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
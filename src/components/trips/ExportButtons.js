@@ -0,0 +1,73 @@
+'use client';
+
+import { useState } from 'react';
+
+const formats = [
+  { format: 'ics', label: 'Calendar (.ics)' },
+  { format: 'gpx', label: 'GPS track (.gpx)' },
+  { format: 'html', label: 'Printable' },
+];
+
+// Departure defaults to the top of the next hour in the browser's time zone
+const getDefaultDeparture = () => {
+  const departure = new Date();
+  departure.setHours(departure.getHours() + 1, 0, 0, 0);
+  return departure.toISOString();
+};
+
+const getFilename = (response, fallback) => {
+  const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+  return match ? match[1] : fallback;
+};
+
+// Download buttons for a trip plan; the printable version opens in a new tab
+export default function ExportButtons({ plan }) {
+  const [busyFormat, setBusyFormat] = useState(null);
+
+  const onExport = async (format) => {
+    setBusyFormat(format);
+    try {
+      const response = await fetch(`/api/export/${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Hotel times in the calendar export are local to the browser's time zone
+        body: JSON.stringify({
+          plan,
+          departAt: plan.departAt || getDefaultDeparture(),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`Export failed with status ${response.status}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      if (format === 'html') {
+        window.open(url, '_blank', 'noopener');
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getFilename(response, `trip.${format}`);
+        link.click();
+      }
+      // Give the new tab or download time to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error(`Error exporting trip as ${format}:`, error);
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  return formats.map(({ format, label }) => (
+    <button
+      key={format}
+      type="button"
+      className="trip-action-button"
+      onClick={() => onExport(format)}
+      disabled={busyFormat !== null}
+    >
+      {busyFormat === format ? 'Exporting...' : label}
+    </button>
+  ));
+}
@@ -0,0 +1,46 @@
+'use client';
+
+import { useState } from 'react';
+
+// Saves a finished get_route result together with the arguments the model called it with
+export default function SaveTripButton({ toolInvocation, onSaved }) {
+  const [status, setStatus] = useState('idle'); // idle | saving | saved | error | full
+
+  const onClick = async () => {
+    setStatus('saving');
+    try {
+      const response = await fetch('/api/trips', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ inputs: toolInvocation.args, plan: toolInvocation.result }),
+      });
+      if (response.status === 409) {
+        setStatus('full');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Saving failed with status ${response.status}`);
+      }
+      setStatus('saved');
+      onSaved?.();
+    } catch (error) {
+      console.error('Error saving trip:', error);
+      setStatus('error');
+    }
+  };
+
+  if (status === 'full') {
+    return <span className="saved-trips-error">Too many saved trips. Delete some to save this one.</span>;
+  }
+
+  return (
+    <button
+      type="button"
+      className="trip-action-button"
+      onClick={onClick}
+      disabled={status === 'saving' || status === 'saved'}
+    >
+      {status === 'saving' ? 'Saving...' : status === 'saved' ? 'Saved' : status === 'error' ? 'Retry save' : 'Save trip'}
+    </button>
+  );
+}
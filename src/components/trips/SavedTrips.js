@@ -0,0 +1,83 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+
+// Lists the user's saved trips with load and delete actions.
+// Bump refreshKey to refetch after a trip is saved elsewhere on the page.
+export default function SavedTrips({ refreshKey, onLoad }) {
+  const [trips, setTrips] = useState([]);
+  const [error, setError] = useState(null);
+
+  const fetchTrips = useCallback(async () => {
+    try {
+      const response = await fetch('/api/trips');
+      if (!response.ok) {
+        throw new Error(`Listing failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      setTrips(data.trips);
+      setError(null);
+    } catch (err) {
+      console.error('Error listing saved trips:', err);
+      setError('Could not load saved trips.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrips();
+  }, [fetchTrips, refreshKey]);
+
+  const loadTrip = async (id) => {
+    try {
+      const response = await fetch(`/api/trips/${id}`);
+      if (!response.ok) {
+        throw new Error(`Loading failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      onLoad(data.trip);
+    } catch (err) {
+      console.error('Error loading saved trip:', err);
+      setError('Could not load that trip.');
+    }
+  };
+
+  const deleteTrip = async (id) => {
+    try {
+      const response = await fetch(`/api/trips/${id}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Deleting failed with status ${response.status}`);
+      }
+      setTrips((prevTrips) => prevTrips.filter((t) => t.id !== id));
+    } catch (err) {
+      console.error('Error deleting saved trip:', err);
+      setError('Could not delete that trip.');
+    }
+  };
+
+  return (
+    <details className="saved-trips">
+      <summary>Saved trips ({trips.length})</summary>
+      {error && <p className="saved-trips-error">{error}</p>}
+      {trips.length === 0 ? (
+        <p className="saved-trips-empty">No saved trips yet.</p>
+      ) : (
+        <ul>
+          {trips.map((trip) => (
+            <li key={trip.id} className="saved-trip">
+              <span className="saved-trip-title">
+                {trip.title}
+                <span className="saved-trip-date"> · {new Date(trip.createdAt).toLocaleDateString()}</span>
+              </span>
+              <button type="button" className="trip-action-button" onClick={() => loadTrip(trip.id)}>
+                Load
+              </button>
+              <button type="button" className="trip-action-button" onClick={() => deleteTrip(trip.id)}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,76 @@
+import crypto from "crypto";
+
+// Keys for server-to-server clients, comma-separated in CHAT_API_KEYS.
+// CHAT_AUTH=optional (default) still lets browsers in without a key; CHAT_AUTH=required does not.
+const getConfiguredKeys = () =>
+  (process.env.CHAT_API_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Hashing first gives equal-length buffers, so the comparison time says nothing about the key
+const keysMatch = (expected, actual) => crypto.timingSafeEqual(sha256(expected), sha256(actual));
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const getApiKey = (req) => {
+  const authorization = req.headers.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.headers.get('x-api-key');
+};
+
+// { success: true, keyId } where keyId is null for anonymous requests, or { success: false, message }.
+// keyId is a hash prefix, so rate limit buckets and logs never hold the key itself.
+export const authenticateRequest = (req) => {
+  const apiKey = getApiKey(req);
+  if (!apiKey) {
+    return process.env.CHAT_AUTH === 'required'
+      ? { success: false, message: "An API key is required." }
+      : { success: true, keyId: null };
+  }
+
+  if (!getConfiguredKeys().some((key) => keysMatch(key, apiKey))) {
+    return { success: false, message: "Invalid API key." };
+  }
+  return { success: true, keyId: sha256(apiKey).toString('hex').slice(0, 16) };
+};
+
+// TRUST_PROXY is the number of reverse proxies in front of the app (default 0). Each one appends the
+// address it was reached from to X-Forwarded-For, so entries further left than that were written by the client.
+const getTrustedProxyCount = () => Math.max(parseInt(process.env.TRUST_PROXY || '0', 10) || 0, 0);
+
+// Address for per-IP rate limits: the right-most hop the trusted proxies did not add, or the platform's address.
+// Without a trusted proxy X-Forwarded-For is ignored, since next start keeps whatever the client sent there.
+// Requests with no known address share the 'unknown' bucket rather than picking their own.
+export const getClientIp = (req) => {
+  const forwarded = (req.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  const trustedProxies = getTrustedProxyCount();
+  if (trustedProxies > 0) {
+    return forwarded[Math.max(forwarded.length - trustedProxies, 0)] || req.headers.get('x-real-ip') || req.ip || 'unknown';
+  }
+  return req.ip || 'unknown';
+};
+
+// Admin endpoints (traces) need ADMIN_API_KEY, sent like a chat key. Without one configured
+// they are only open in development, so a fresh deployment never exposes them.
+export const authenticateAdmin = (req) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return process.env.NODE_ENV === 'development'
+      ? { success: true }
+      : { success: false, status: 403, message: "Admin access is disabled; set ADMIN_API_KEY to enable it." };
+  }
+
+  const apiKey = getApiKey(req);
+  if (!apiKey || !keysMatch(adminKey, apiKey)) {
+    return { success: false, status: 401, message: "A valid admin API key is required." };
+  }
+  return { success: true };
+};
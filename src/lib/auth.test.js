@@ -0,0 +1,31 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getClientIp } from './auth';
+
+const request = (headers, ip) => Object.assign(new Request('http://localhost/api/chat', { headers }), { ip });
+
+afterEach(() => vi.unstubAllEnvs());
+
+describe('getClientIp', () => {
+  it('ignores X-Forwarded-For when no proxy is trusted', () => {
+    expect(getClientIp(request({ 'X-Forwarded-For': '203.0.113.7' }))).toBe('unknown');
+    expect(getClientIp(request({ 'X-Forwarded-For': '198.51.100.1' }))).toBe('unknown');
+    expect(getClientIp(request({ 'X-Real-IP': '203.0.113.7' }))).toBe('unknown');
+  });
+
+  it("uses the platform's address when there is one", () => {
+    expect(getClientIp(request({ 'X-Forwarded-For': '203.0.113.7' }, '192.0.2.10'))).toBe('192.0.2.10');
+  });
+
+  it('takes the right-most address the trusted proxies did not add', () => {
+    vi.stubEnv('TRUST_PROXY', '1');
+    expect(getClientIp(request({ 'X-Forwarded-For': '10.0.0.1, 203.0.113.7' }))).toBe('203.0.113.7');
+
+    vi.stubEnv('TRUST_PROXY', '2');
+    expect(getClientIp(request({ 'X-Forwarded-For': '10.0.0.1, 203.0.113.7, 192.0.2.1' }))).toBe('203.0.113.7');
+  });
+
+  it('falls back to X-Real-IP behind a trusted proxy that sent no X-Forwarded-For', () => {
+    vi.stubEnv('TRUST_PROXY', '1');
+    expect(getClientIp(request({ 'X-Real-IP': '203.0.113.7' }))).toBe('203.0.113.7');
+  });
+});
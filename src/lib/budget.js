@@ -0,0 +1,116 @@
+import { DEFAULT_LOCALE } from "./locale";
+
+// Trip cost estimate from route distance, hotel price tiers and daily allowances.
+// Every figure comes from an assumption the caller can override, and the assumptions are returned with the estimate.
+
+export const BUDGET_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR'];
+
+// Rough defaults per currency; Foursquare price tiers run from 1 (cheap) to 4 (very expensive)
+const currencyDefaults = {
+  USD: { fuelPricePerLiter: 1.0, nightlyRateByTier: { 1: 80, 2: 140, 3: 230, 4: 400 }, foodPerDay: 50, activitiesPerDay: 40 },
+  EUR: { fuelPricePerLiter: 1.8, nightlyRateByTier: { 1: 70, 2: 120, 3: 200, 4: 350 }, foodPerDay: 45, activitiesPerDay: 35 },
+  GBP: { fuelPricePerLiter: 1.5, nightlyRateByTier: { 1: 65, 2: 110, 3: 180, 4: 320 }, foodPerDay: 40, activitiesPerDay: 30 },
+  INR: { fuelPricePerLiter: 105, nightlyRateByTier: { 1: 2000, 2: 4500, 3: 9000, 4: 18000 }, foodPerDay: 1200, activitiesPerDay: 1000 },
+};
+
+const DEFAULT_FUEL_EFFICIENCY = 7.5; // liters per 100 km, a typical petrol car
+const DEFAULT_PRICE_TIER = 2;
+const TRAVELERS_PER_ROOM = 2;
+
+// Only motor vehicles burn fuel
+const FUELED_MODES = ['driving', 'driving-traffic'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pick the hotel the lodging estimate is based on: the first one in the requested tier, else the top recommendation
+const pickHotel = (hotels, priceTier) =>
+  (priceTier && hotels.find((h) => h.priceTier === priceTier)) || hotels[0] || null;
+
+export const estimateBudget = ({
+  distanceMeters,
+  travelMode = 'driving',
+  hotels = [],
+  nights = 1,
+  days = nights + 1,
+  travelers = 1,
+  roundTrip = true,
+  currency = 'USD',
+  overrides = {},
+}) => {
+  const defaults = currencyDefaults[currency];
+  const hotel = pickHotel(hotels, overrides.priceTier);
+  const priceTier = overrides.priceTier || hotel?.priceTier || DEFAULT_PRICE_TIER;
+  const rooms = Math.ceil(travelers / TRAVELERS_PER_ROOM);
+
+  const assumptions = {
+    currency,
+    travelMode,
+    roundTrip,
+    travelers,
+    nights,
+    days,
+    rooms,
+    fuelEfficiencyLitersPer100Km: overrides.fuelEfficiencyLitersPer100Km ?? DEFAULT_FUEL_EFFICIENCY,
+    fuelPricePerLiter: overrides.fuelPricePerLiter ?? defaults.fuelPricePerLiter,
+    priceTier,
+    lodgingPricePerNight: overrides.lodgingPricePerNight ?? defaults.nightlyRateByTier[priceTier],
+    hotel: hotel ? hotel.name : null,
+    foodPerDay: overrides.foodPerDay ?? defaults.foodPerDay,
+    activitiesPerDay: overrides.activitiesPerDay ?? defaults.activitiesPerDay,
+  };
+
+  const drivenKm = (distanceMeters / 1000) * (roundTrip ? 2 : 1);
+  const fuelLiters = FUELED_MODES.includes(travelMode) ? (drivenKm * assumptions.fuelEfficiencyLitersPer100Km) / 100 : 0;
+
+  const lineItems = [
+    {
+      item: 'Fuel',
+      quantity: round(fuelLiters),
+      unit: 'liters',
+      unitCost: assumptions.fuelPricePerLiter,
+      total: round(fuelLiters * assumptions.fuelPricePerLiter),
+    },
+    {
+      item: hotel ? `Lodging (${hotel.name})` : 'Lodging',
+      quantity: nights * rooms,
+      unit: 'room nights',
+      unitCost: assumptions.lodgingPricePerNight,
+      total: round(nights * rooms * assumptions.lodgingPricePerNight),
+    },
+    {
+      item: 'Food',
+      quantity: days * travelers,
+      unit: 'person days',
+      unitCost: assumptions.foodPerDay,
+      total: round(days * travelers * assumptions.foodPerDay),
+    },
+    {
+      item: 'Activities',
+      quantity: days * travelers,
+      unit: 'person days',
+      unitCost: assumptions.activitiesPerDay,
+      total: round(days * travelers * assumptions.activitiesPerDay),
+    },
+  ];
+
+  return {
+    lineItems,
+    total: round(lineItems.reduce((sum, line) => sum + line.total, 0)),
+    drivenKm: round(drivenKm),
+    assumptions,
+  };
+};
+
+export const formatMoney = (amount, currency, locale = DEFAULT_LOCALE) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+
+const EURO_REGIONS = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+
+// Currency for a locale's region among the supported ones, US dollars otherwise
+export const getDefaultCurrency = (locale) => {
+  const { region } = new Intl.Locale(locale || DEFAULT_LOCALE);
+  if (region === 'GB') return 'GBP';
+  if (region === 'IN') return 'INR';
+  if (EURO_REGIONS.includes(region)) return 'EUR';
+  return 'USD';
+};
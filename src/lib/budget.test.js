@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { estimateBudget, formatMoney, getDefaultCurrency } from './budget';
+
+const hotels = [
+  { name: 'Budget Inn', priceTier: 1 },
+  { name: 'Grand Hotel', priceTier: 4 },
+];
+
+const lineItem = (estimate, item) => estimate.lineItems.find((line) => line.item.startsWith(item));
+
+describe('estimateBudget', () => {
+  it('prices fuel for the round trip by default', () => {
+    const estimate = estimateBudget({ distanceMeters: 200000, currency: 'EUR' });
+
+    expect(estimate.drivenKm).toBe(400);
+    expect(lineItem(estimate, 'Fuel')).toMatchObject({ quantity: 30, unitCost: 1.8, total: 54 });
+  });
+
+  it('burns no fuel walking or cycling', () => {
+    const estimate = estimateBudget({ distanceMeters: 20000, travelMode: 'cycling', roundTrip: false });
+
+    expect(estimate.drivenKm).toBe(20);
+    expect(lineItem(estimate, 'Fuel').total).toBe(0);
+  });
+
+  it('books a room per two travelers and a day more than the nights', () => {
+    const estimate = estimateBudget({ distanceMeters: 0, nights: 2, travelers: 3, currency: 'USD' });
+
+    expect(estimate.assumptions).toMatchObject({ rooms: 2, days: 3, priceTier: 2, lodgingPricePerNight: 140 });
+    expect(lineItem(estimate, 'Lodging')).toMatchObject({ quantity: 4, total: 560 });
+    expect(lineItem(estimate, 'Food')).toMatchObject({ quantity: 9, total: 450 });
+    expect(estimate.total).toBe(560 + 450 + 9 * 40);
+  });
+
+  it('bases lodging on a hotel in the requested price tier', () => {
+    const cheapest = estimateBudget({ distanceMeters: 0, hotels, currency: 'GBP' });
+    const luxury = estimateBudget({ distanceMeters: 0, hotels, currency: 'GBP', overrides: { priceTier: 4 } });
+
+    expect(cheapest.assumptions).toMatchObject({ hotel: 'Budget Inn', priceTier: 1, lodgingPricePerNight: 65 });
+    expect(luxury.assumptions).toMatchObject({ hotel: 'Grand Hotel', priceTier: 4, lodgingPricePerNight: 320 });
+    expect(lineItem(luxury, 'Lodging').item).toBe('Lodging (Grand Hotel)');
+  });
+
+  it('lets every assumption be overridden, zero included', () => {
+    const estimate = estimateBudget({
+      distanceMeters: 100000,
+      roundTrip: false,
+      overrides: { fuelEfficiencyLitersPer100Km: 5, fuelPricePerLiter: 2, lodgingPricePerNight: 0, foodPerDay: 10, activitiesPerDay: 0 },
+    });
+
+    expect(lineItem(estimate, 'Fuel').total).toBe(10);
+    expect(lineItem(estimate, 'Lodging').total).toBe(0);
+    expect(estimate.total).toBe(10 + 2 * 10);
+  });
+});
+
+describe('currencies', () => {
+  it('picks the currency of the locale region', () => {
+    expect(getDefaultCurrency('de-DE')).toBe('EUR');
+    expect(getDefaultCurrency('en-GB')).toBe('GBP');
+    expect(getDefaultCurrency('hi-IN')).toBe('INR');
+    expect(getDefaultCurrency('ja-JP')).toBe('USD');
+    expect(getDefaultCurrency('en')).toBe('USD');
+  });
+
+  it('formats amounts the way the locale writes them', () => {
+    expect(formatMoney(1234.5, 'EUR', 'de-DE')).toBe('1.234,50\u00a0€');
+    expect(formatMoney(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+  });
+});
@@ -0,0 +1,160 @@
+import { recordCacheHit } from "../tracing";
+import { createMemoryBackend } from "./memory";
+import { createMysqlBackend } from "./mysql";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Default time-to-live per source, overridable with CACHE_TTL_<SOURCE> in seconds
+const defaultTtls = {
+  geocoding: 30 * DAY,
+  routing: 6 * HOUR,
+  traffic: 10 * 60 * 1000,
+  attractions: 7 * DAY,
+  history: 30 * DAY,
+  hotels: DAY,
+  weather: HOUR,
+  pois: 7 * DAY,
+};
+
+const getTtl = (source) => {
+  const configured = process.env[`CACHE_TTL_${source.toUpperCase()}`];
+  return configured ? parseInt(configured, 10) * 1000 : defaultTtls[source] || HOUR;
+};
+
+// CACHE_BACKEND=memory (default), mysql or none
+let backend;
+const getBackend = () => {
+  if (backend === undefined) {
+    const configured = process.env.CACHE_BACKEND || 'memory';
+    if (configured === 'none') {
+      backend = null;
+    } else if (configured === 'mysql') {
+      backend = createMysqlBackend();
+    } else {
+      backend = createMemoryBackend({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10) });
+    }
+  }
+  return backend;
+};
+
+// "Paris, France", "paris france" and "PARIS,  France" share one key; "Paris" keeps its own
+export const normalizeKey = (value) =>
+  String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}.-]+/gu, ' ')
+    .trim();
+
+// English country names by normalized name, for telling "Paris, France" apart from "Paris, Texas".
+// Retired codes (FX for France, BU for Myanmar) are skipped, and Georgia since it is also a US state.
+const COUNTRY_CODES = (() => {
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  const codes = new Map([['usa', 'US'], ['uk', 'GB']]);
+  for (let first = 65; first <= 90; first++) {
+    for (let second = 65; second <= 90; second++) {
+      const code = String.fromCharCode(first, second);
+      const name = names.of(code);
+      const current = Intl.getCanonicalLocales(`und-${code}`)[0] === `und-${code}`;
+      if (name !== code && current && code !== 'GE') {
+        codes.set(normalizeKey(name), code);
+      }
+    }
+  }
+  return codes;
+})();
+
+// A place name without a trailing ", <country>": "Paris, France" -> { name: 'paris', country: 'FR' }
+export const splitPlace = (location) => {
+  const parts = String(location).split(',');
+  const country = parts.length > 1 ? COUNTRY_CODES.get(normalizeKey(parts[parts.length - 1])) : undefined;
+  return country
+    ? { name: normalizeKey(parts.slice(0, -1).join(',')), country }
+    : { name: normalizeKey(location), country: undefined };
+};
+
+// Key for geocoding a place: a trailing country counts as the country filter, so "Paris, France" and
+// "Paris" looked up in FR share an entry. A bare "Paris" keeps its own, since it may be another Paris.
+export const placeKey = (location, country) => {
+  const requested = country ? country.toUpperCase() : undefined;
+  const place = splitPlace(location);
+  return place.country && (!requested || requested === place.country)
+    ? `${place.country}:${place.name}`
+    : `${requested || '*'}:${normalizeKey(location)}`;
+};
+
+// Coordinates rounded to ~100 m, so lookups by position hit the cache whichever name resolved them
+export const coordinateKey = ({ lat, lon }) => `${lat.toFixed(3)},${lon.toFixed(3)}`;
+
+// Stable key for an options object: keys sorted, undefined values dropped, arrays joined
+export const optionsKey = (options = {}) =>
+  Object.keys(options)
+    .sort()
+    .filter((key) => options[key] !== undefined)
+    .map((key) => `${key}=${[].concat(options[key]).join('+')}`)
+    .join('&');
+
+const stats = {};
+
+const recordStat = (source, field, fetchMs = 0) => {
+  const entry = stats[source] || (stats[source] = { hits: 0, misses: 0, errors: 0, fetchMs: 0 });
+  entry[field] += 1;
+  entry.fetchMs += fetchMs;
+};
+
+// Hits and misses per source, plus an estimate of the upstream time the hits saved
+export const getCacheStats = () => {
+  const sources = {};
+  Object.entries(stats).forEach(([source, { hits, misses, errors, fetchMs }]) => {
+    const averageFetchMs = misses > 0 ? Math.round(fetchMs / misses) : 0;
+    sources[source] = {
+      hits,
+      misses,
+      errors,
+      hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : 0,
+      averageFetchMs,
+      estimatedSavedMs: hits * averageFetchMs,
+    };
+  });
+  return { backend: getBackend()?.name || 'none', sources };
+};
+
+// A failed or empty lookup is worth retrying, so only successful results are stored
+const isCacheable = (value) => value !== null && value !== undefined && value.success !== false;
+
+// Wrap an async fetcher so its results are cached under `${source}:${keyFn(...args)}`.
+// Cache backend errors are logged and the fetcher is called as if it were a miss.
+export const cached = (source, keyFn, fetcher) => async (...args) => {
+  const store = getBackend();
+  if (!store) {
+    return fetcher(...args);
+  }
+
+  const key = `${source}:${keyFn(...args)}`;
+  try {
+    const hit = await store.get(key);
+    if (hit !== undefined) {
+      recordStat(source, 'hits');
+      recordCacheHit(source);
+      return hit;
+    }
+  } catch (error) {
+    recordStat(source, 'errors');
+    console.error(`Error reading ${source} cache:`, error);
+  }
+
+  const startedAt = Date.now();
+  const value = await fetcher(...args);
+  recordStat(source, 'misses', Date.now() - startedAt);
+
+  if (isCacheable(value)) {
+    try {
+      await store.set(key, value, getTtl(source));
+    } catch (error) {
+      recordStat(source, 'errors');
+      console.error(`Error writing ${source} cache:`, error);
+    }
+  }
+  return value;
+};
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { normalizeKey, optionsKey, placeKey, splitPlace } from './index';
+
+describe('cache keys', () => {
+  it('folds case, accents and punctuation', () => {
+    expect(normalizeKey('Paris, France')).toBe('paris france');
+    expect(normalizeKey('PARIS,  France')).toBe('paris france');
+    expect(normalizeKey('Zürich')).toBe('zurich');
+  });
+
+  it('treats a trailing country as the country filter', () => {
+    expect(placeKey('Paris, France')).toBe('FR:paris');
+    expect(placeKey('paris', 'fr')).toBe('FR:paris');
+    expect(placeKey('Springfield, United States')).toBe('US:springfield');
+  });
+
+  it('keeps regions, other countries and bare names apart', () => {
+    expect(placeKey('Paris, Texas')).toBe('*:paris texas');
+    expect(placeKey('Paris')).toBe('*:paris');
+    expect(placeKey('Paris, France', 'US')).toBe('US:paris france');
+    expect(placeKey('Atlanta, Georgia')).toBe('*:atlanta georgia');
+    expect(placeKey('Santa Fe, New Mexico')).toBe('*:santa fe new mexico');
+  });
+
+  it('drops the country from names looked up on their own', () => {
+    expect(splitPlace('Paris, France').name).toBe(splitPlace('paris').name);
+  });
+
+  it('orders options and leaves out undefined ones', () => {
+    expect(optionsKey({ stars: 4, amenities: ['wifi', 'pool'], price: undefined })).toBe('amenities=wifi+pool&stars=4');
+  });
+});
+
+describe('cached', () => {
+  // The backend is picked once per module, so each test loads a fresh module with an empty memory cache
+  let cache;
+  beforeEach(async () => {
+    vi.stubEnv('CACHE_BACKEND', 'memory');
+    vi.resetModules();
+    cache = await import('./index');
+  });
+
+  afterEach(() => {
+    vi.doUnmock('../db');
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    vi.useRealTimers();
+  });
+
+  const lookup = (fetcher) => cache.cached('geocoding', (location) => cache.placeKey(location), fetcher);
+
+  it('serves repeated lookups from the cache and counts hits and misses', async () => {
+    const fetcher = vi.fn(async () => ({ success: true, candidates: [] }));
+    const geocode = lookup(fetcher);
+
+    await geocode('Paris, France');
+    await geocode('paris ,  FRANCE');
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.getCacheStats()).toMatchObject({
+      backend: 'memory',
+      sources: { geocoding: { hits: 1, misses: 1, hitRate: 0.5 } },
+    });
+  });
+
+  it('does not keep failed lookups', async () => {
+    const fetcher = vi.fn(async () => ({ success: false, message: 'Not found.' }));
+    const geocode = lookup(fetcher);
+
+    await geocode('Atlantis');
+    await geocode('Atlantis');
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('fetches again once the source TTL has passed', async () => {
+    vi.useFakeTimers();
+    vi.stubEnv('CACHE_TTL_GEOCODING', '60');
+    const fetcher = vi.fn(async () => ({ success: true, candidates: [] }));
+    const geocode = lookup(fetcher);
+
+    await geocode('Paris');
+    vi.advanceTimersByTime(59000);
+    await geocode('Paris');
+    vi.advanceTimersByTime(1000);
+    await geocode('Paris');
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the fetcher when the backend fails', async () => {
+    vi.stubEnv('CACHE_BACKEND', 'mysql');
+    vi.resetModules();
+    vi.doMock('../db', () => ({ getPool: () => ({ query: async () => { throw new Error('connection refused'); } }) }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    cache = await import('./index');
+    const fetcher = vi.fn(async () => ({ success: true, candidates: [] }));
+
+    expect(await lookup(fetcher)('Paris')).toEqual({ success: true, candidates: [] });
+    expect(cache.getCacheStats().sources.geocoding.errors).toBe(2);
+  });
+});
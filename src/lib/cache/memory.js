@@ -0,0 +1,26 @@
+// In-process cache backend. Entries are evicted oldest-first once maxEntries is reached.
+export const createMemoryBackend = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+};
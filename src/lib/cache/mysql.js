@@ -0,0 +1,47 @@
+import crypto from "crypto";
+import { getPool } from "../db";
+
+// Keys for long place names and multi-stop routes outgrow any index, so rows are keyed by a SHA-256 of the key
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Persistent cache backend in a MySQL table, created on first use
+export const createMysqlBackend = ({ table = 'travel_cache' } = {}) => {
+  let ready = null;
+  const pool = getPool();
+
+  const ensureTable = () => {
+    if (!ready) {
+      ready = pool.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          cache_key CHAR(64) PRIMARY KEY,
+          value LONGTEXT NOT NULL,
+          expires_at BIGINT NOT NULL
+        )`
+      ).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    name: 'mysql',
+    get: async (key) => {
+      await ensureTable();
+      const [rows] = await pool.query(`SELECT value, expires_at FROM ${table} WHERE cache_key = ?`, [hashKey(key)]);
+      if (rows.length === 0 || rows[0].expires_at <= Date.now()) {
+        return undefined;
+      }
+      return JSON.parse(rows[0].value);
+    },
+    set: async (key, value, ttlMs) => {
+      await ensureTable();
+      await pool.query(
+        `INSERT INTO ${table} (cache_key, value, expires_at) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = VALUES(value), expires_at = VALUES(expires_at)`,
+        [hashKey(key), JSON.stringify(value), Date.now() + ttlMs]
+      );
+    },
+  };
+};
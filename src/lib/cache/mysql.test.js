@@ -0,0 +1,49 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMysqlBackend } from './mysql';
+
+// A pool that keeps rows in a map, enough for the backend's three statements
+const rows = new Map();
+const query = vi.fn(async (sql, params) => {
+  if (sql.startsWith('SELECT')) {
+    return [rows.has(params[0]) ? [rows.get(params[0])] : []];
+  }
+  if (sql.startsWith('INSERT')) {
+    rows.set(params[0], { value: params[1], expires_at: params[2] });
+  }
+  return [[]];
+});
+
+vi.mock('../db', () => ({ getPool: () => ({ query }) }));
+
+beforeEach(() => {
+  rows.clear();
+  query.mockClear();
+});
+
+describe('mysql cache backend', () => {
+  it('stores values under a fixed-length hash of long keys', async () => {
+    const backend = createMysqlBackend();
+    const key = `routing:mapbox:driving:${Array.from({ length: 25 }, (_, i) => `48.${i}00,2.${i}00`).join(';')}`;
+    expect(key.length).toBeGreaterThan(255);
+
+    await backend.set(key, { success: true, distanceMeters: 1000 }, 60000);
+
+    const [storedKey] = rows.keys();
+    expect(storedKey).toMatch(/^[0-9a-f]{64}$/);
+    expect(await backend.get(key)).toEqual({ success: true, distanceMeters: 1000 });
+    expect(await backend.get(`${key};49.000,3.000`)).toBeUndefined();
+  });
+
+  it('treats expired rows as misses', async () => {
+    const backend = createMysqlBackend();
+    await backend.set('weather:paris', { success: true }, -1);
+
+    expect(await backend.get('weather:paris')).toBeUndefined();
+  });
+
+  it('creates the table with a hash-sized key column', async () => {
+    await createMysqlBackend().get('geocoding:paris');
+
+    expect(query.mock.calls[0][0]).toContain('cache_key CHAR(64) PRIMARY KEY');
+  });
+});
@@ -0,0 +1,40 @@
+// Limits on conversation history, shared by the chat page and the chat and sessions APIs.
+// Nothing here may import server-only modules, since the chat page uses it too.
+
+// Turns the model sees from a conversation; older ones are dropped before it is called
+export const MAX_CONTEXT_MESSAGES = 50;
+
+// Loaded trips put whole plans into the history, so the chat body limit leaves room for a few of them
+export const MAX_CHAT_BYTES = 512 * 1024;
+
+// A stored session keeps at most this many messages in this much JSON
+export const MAX_SESSION_MESSAGES = 200;
+export const MAX_SESSION_BYTES = 512 * 1024;
+
+// Body limits count UTF-8 bytes, which is more than the string length for anything but ASCII
+const byteLength = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+// Room the chat request needs besides its messages (model, locale, position)
+const REQUEST_OVERHEAD_BYTES = 4 * 1024;
+
+// Most recent messages within maxMessages and maxBytes of JSON, starting with a user turn so the model
+// never sees an answer without its question. The last user turn and what follows it are always kept.
+export const trimHistory = (messages, { maxMessages = Infinity, maxBytes = Infinity } = {}) => {
+  let start = messages.length;
+  let bytes = 0;
+  while (start > 0 && messages.length - start < maxMessages) {
+    const size = byteLength(messages[start - 1]) + 1;
+    if (bytes + size > maxBytes && messages.slice(start).some((m) => m.role === 'user')) {
+      break;
+    }
+    bytes += size;
+    start -= 1;
+  }
+
+  const firstUser = messages.findIndex((m, index) => index >= start && m.role === 'user');
+  return firstUser < 0 ? messages.slice(start) : messages.slice(firstUser);
+};
+
+// What the chat page sends of a conversation, so long ones stay within the chat request limits
+export const trimForRequest = (messages) =>
+  trimHistory(messages, { maxMessages: MAX_CONTEXT_MESSAGES, maxBytes: MAX_CHAT_BYTES - REQUEST_OVERHEAD_BYTES });
@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { MAX_CHAT_BYTES, MAX_SESSION_MESSAGES } from "./chatHistory";
+
+export { MAX_CHAT_BYTES };
+// Whole stored sessions are accepted; the chat route trims them to what the model sees
+export const MAX_MESSAGES = MAX_SESSION_MESSAGES;
+export const MAX_MESSAGE_CHARS = 16000;
+
+// Clients may only replay user and assistant turns; the system prompt always comes from the server
+const messageSchema = z.object({
+  role: z.enum(['user', 'assistant']),
+  content: z.string().max(MAX_MESSAGE_CHARS),
+  toolInvocations: z.array(
+    z.object({ toolCallId: z.string(), toolName: z.string() }).passthrough()
+  ).max(10).optional(),
+}).passthrough();
+
+export const chatRequestSchema = z.object({
+  messages: z.array(messageSchema).min(1).max(MAX_MESSAGES).optional(),
+  // Shorthand for a conversation of one user message, for simple integrations
+  message: z.string().min(1).max(MAX_MESSAGE_CHARS).optional(),
+  userLocation: z.object({
+    lat: z.number().min(-90).max(90),
+    lon: z.number().min(-180).max(180),
+  }).nullish(),
+  // Browser locale such as "de-DE", used for languages, units and formats unless the conversation asks otherwise
+  locale: z.string().max(35).optional(),
+  // "<provider>:<model>", checked against LLM_ALLOWED_MODELS
+  model: z.string().max(100).optional(),
+  // false returns one JSON reply instead of the data stream the chat page reads
+  stream: z.boolean().optional(),
+}).refine((request) => Boolean(request.messages) !== Boolean(request.message), {
+  message: "Send either messages or message.",
+});
@@ -0,0 +1,489 @@
+import { z } from "zod";
+import { BUDGET_CURRENCIES, getDefaultCurrency } from "./budget";
+import { resolveLocale } from "./locale";
+import {
+  AVOID_OPTIONS,
+  buildTripPlan,
+  checkRouteWeather,
+  compareTravelModes,
+  describeLocation,
+  estimateTripBudget,
+  exploreNearby,
+  findHotels,
+  findStopsAlongRoute,
+  getDirections,
+  getHistoricalInfo,
+  getMultiStopItinerary,
+  getPopularPlaces,
+  getRouteAndDetails,
+  MAX_ITINERARY_DAYS,
+  MAX_NEARBY_PLACES,
+  MAX_NEARBY_RADIUS_METERS,
+  MAX_STOPS,
+  planItinerary,
+  toFailureResult,
+  TRAVEL_MODES,
+} from "./planner";
+import { STOP_CATEGORIES } from "./routeStops";
+import { traceTool } from "./tracing";
+
+const departAtSchema = z.string().datetime({ offset: true }).optional()
+  .describe("Departure time as an ISO 8601 timestamp, defaults to now");
+const countrySchema = z.string().length(2).optional()
+  .describe("ISO 3166-1 alpha-2 code of the country the places are in, when the user has said");
+
+const localeSchema = z.string().max(35).optional()
+  .describe("BCP 47 locale such as de-DE or en-US, only when the user asks for another language or units than the default");
+
+// Routing constraints and the timed schedule shared by get_route and get_directions
+const routeOptionsSchema = {
+  avoid: z.array(z.enum(Object.keys(AVOID_OPTIONS))).optional()
+    .describe("Road types to avoid, when the user asks"),
+  arriveBy: z.string().datetime({ offset: true }).optional()
+    .describe("Arrival deadline as an ISO 8601 timestamp; the departure time is worked back from it. Do not combine with departAt"),
+  maxDrivingMinutes: z.number().int().min(30).max(600).optional()
+    .describe("Longest stretch of driving before a rest break, only when the user asks for something other than the default"),
+  breakMinutes: z.number().int().min(5).max(120).optional()
+    .describe("Length of each rest break, only when the user asks"),
+};
+
+const bothTimesMessage = "Give either a departure time or an arrival deadline, not both.";
+
+const originSchema = z.string().optional()
+  .describe("Where the trip starts; leave out to start from the user's current location when they have shared it");
+
+const noLocationMessage = "The user has not shared their location. Ask them where they are, or to share their location in the chat.";
+
+// Tools the chat model can call, bound to one request's shared location, locale and trace.
+// Used by both the streaming and the non-streaming chat modes; only streaming passes onProgress,
+// which hears { toolName, section, status } while get_route fetches each data source.
+export const createTools = ({ userLocation, requestLocale, trace, onProgress }) => {
+  // Place lookups prefer matches in the given country and near the user's position, if the chat shared it
+  const getBias = (country) => ({ country, proximity: userLocation || undefined });
+  // The browser's locale unless the conversation asked for another one
+  const getLocale = (locale) => resolveLocale(locale || requestLocale);
+
+  // The shared position as a named place, reverse geocoded at most once per request; null when not shared
+  let currentLocation;
+  const getCurrentLocation = () => {
+    if (!userLocation) {
+      return Promise.resolve(null);
+    }
+    currentLocation = currentLocation || describeLocation(userLocation, requestLocale);
+    return currentLocation;
+  };
+
+  // Tools whose starting place (the field) may be left out start from the user's position.
+  // execute gets the args with the field filled in and the place lookup bias, which knows that position.
+  const fromCurrentLocation = (field, execute) => async (args) => {
+    if (args[field]) {
+      return execute(args, getBias(args.country));
+    }
+    const here = await getCurrentLocation();
+    if (!here) {
+      return { text: noLocationMessage };
+    }
+    return execute({ ...args, [field]: here.name }, { ...getBias(args.country), knownPlaces: [here] });
+  };
+
+  const tools = {
+    get_current_location: {
+      description: "Look up where the user is from the position their browser shared: the address and coordinates. Other tools already start from this position when origin is left out, so only call this when the user asks where they are.",
+      parameters: z.object({}),
+      execute: async () => {
+        const here = await getCurrentLocation();
+        if (!here) {
+          return { text: noLocationMessage };
+        }
+        return {
+          name: here.name,
+          coords: here.coords,
+          ...(here.place ? { region: here.place.region, country: here.place.country } : { note: "The address could not be looked up, only the coordinates are known." }),
+        };
+      },
+    },
+    explore_nearby: {
+      description: "Find places near the user's current location, or near another place, within a radius: any category such as museum, park, pharmacy, restaurant or coffee, plus Wikipedia articles about landmarks. Results come nearest first with their distance. For the way to one of them, call get_directions with it as the destination and no origin. The user sees the places as a list and on the map.",
+      parameters: z.object({
+        category: z.string().max(60).optional().describe("What to look for, in a word or two; leave out for a general look around"),
+        near: z.string().optional().describe("Place to look around; leave out for the user's current location"),
+        radiusMeters: z.number().int().min(100).max(MAX_NEARBY_RADIUS_METERS).optional().describe("Search radius, default 1500 m"),
+        limit: z.number().int().min(1).max(MAX_NEARBY_PLACES).optional(),
+        landmarks: z.boolean().optional().describe("Also list Wikipedia landmarks; by default only when no category is given"),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('near', async ({ near, locale, country, ...options }, bias) => {
+        try {
+          const result = await exploreNearby(near, { ...options, bias, locale: getLocale(locale) });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...nearby } = result;
+          return nearby;
+        } catch (error) {
+          console.error("Error exploring nearby:", error);
+          return { text: "There was an error finding places nearby." };
+        }
+      }),
+    },
+    get_route: {
+      description: "Get a complete travel plan combining route details, a timed schedule with rest breaks, historical information, hotel recommendations, attractions and weather warnings along the route. For a single kind of information, prefer get_directions, find_hotels, find_attractions or get_place_history. The user sees the result as cards, so reply with a short summary and advice instead of repeating every detail. If there are weather warnings, suggest a different departure time. If failedSections is not empty, tell the user which parts could not be loaded. If notAvoided is not empty, say those road types could not be avoided; if schedule.departsInPast is true, say the deadline can no longer be met.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        departAt: departAtSchema,
+        ...routeOptionsSchema,
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({ origin, destination, travelMode = 'driving', departAt, avoid, arriveBy, maxDrivingMinutes, breakMinutes, locale }, bias) => {
+        if (departAt && arriveBy) {
+          return { text: bothTimesMessage };
+        }
+
+        try {
+          const result = await getRouteAndDetails(origin, destination, travelMode, departAt, bias, getLocale(locale), {
+            avoid,
+            arriveBy,
+            restBreaks: { maxDrivingMinutes, breakMinutes },
+            onProgress: onProgress && ((section, status) => onProgress({ toolName: 'get_route', section, status })),
+          });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          // The chat page renders this as cards, so the model should only add commentary
+          return buildTripPlan(origin, destination, travelMode, result);
+        } catch (error) {
+          console.error("Error in travel planning:", error);
+          return { text: "There was an error retrieving travel information." };
+        }
+      }),
+    },
+    get_directions: {
+      description: "Get only the route between two places: duration, distance, turn-by-turn directions and a timed schedule with ETAs and rest breaks. Use get_route instead when the user wants a full travel plan. If notAvoided is not empty, say those road types could not be avoided; if schedule.departsInPast is true, say the deadline can no longer be met.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        departAt: departAtSchema,
+        ...routeOptionsSchema,
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({ origin, destination, travelMode = 'driving', departAt, avoid, arriveBy, maxDrivingMinutes, breakMinutes, locale }, bias) => {
+        if (departAt && arriveBy) {
+          return { text: bothTimesMessage };
+        }
+
+        try {
+          const result = await getDirections(origin, destination, travelMode, bias, getLocale(locale), {
+            avoid,
+            departAt,
+            arriveBy,
+            restBreaks: { maxDrivingMinutes, breakMinutes },
+          });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...directions } = result;
+          return directions;
+        } catch (error) {
+          console.error("Error getting directions:", error);
+          return { text: "There was an error getting directions." };
+        }
+      }),
+    },
+    find_hotels: {
+      description: "Find hotels in or near a place, with optional filters. The user sees the hotels as cards, so only summarize and compare them.",
+      parameters: z.object({
+        location: z.string(),
+        radiusMeters: z.number().int().min(100).max(100000).optional(),
+        minRating: z.number().min(0).max(10).optional().describe("Minimum Foursquare rating, 0 to 10"),
+        priceTier: z.number().int().min(1).max(4).optional().describe("1 (cheap) to 4 (luxury)"),
+        amenities: z.array(z.string()).optional().describe("For example pool, parking, wifi"),
+        limit: z.number().int().min(1).max(20).optional(),
+        country: countrySchema,
+      }),
+      execute: async ({ location, country, limit = 5, ...filters }) => {
+        try {
+          const result = await findHotels(location, { ...filters, limit }, getBias(country));
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...hotels } = result;
+          return hotels;
+        } catch (error) {
+          console.error("Error finding hotels:", error);
+          return { text: "There was an error finding hotels." };
+        }
+      },
+    },
+    find_attractions: {
+      description: "Find popular attractions to visit in a place, with Wikipedia summaries. The user sees them as cards.",
+      parameters: z.object({
+        location: z.string(),
+        limit: z.number().int().min(1).max(10).optional(),
+        locale: localeSchema,
+      }),
+      execute: async ({ location, limit = 5, locale }) => {
+        try {
+          const result = await getPopularPlaces(location, limit, getLocale(locale));
+
+          if (!result.success) {
+            return { text: result.message };
+          }
+
+          return { type: 'attractions', location: { name: location }, attractions: result.places };
+        } catch (error) {
+          console.error("Error finding attractions:", error);
+          return { text: "There was an error finding attractions." };
+        }
+      },
+    },
+    get_place_history: {
+      description: "Get a short history of a place from Wikipedia, with the source link.",
+      parameters: z.object({
+        location: z.string(),
+        locale: localeSchema,
+      }),
+      execute: async ({ location, locale }) => {
+        try {
+          const result = await getHistoricalInfo(location, getLocale(locale));
+
+          if (!result.success) {
+            return { text: result.message };
+          }
+
+          return { location, ...result.history };
+        } catch (error) {
+          console.error("Error fetching place history:", error);
+          return { text: "There was an error fetching the history of that place." };
+        }
+      },
+    },
+    find_stops_along_route: {
+      description: "Find real places to stop along a route, such as fuel stations, EV chargers, restaurants, cafes or rest areas, ordered by distance from the start with the detour each one adds. The user sees them as a list and on the map.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        categories: z.array(z.enum(STOP_CATEGORIES)).min(1).max(3),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        spacingKm: z.number().min(5).max(200).optional().describe("How often to search along the route, default 25 km"),
+        maxOffRouteMeters: z.number().int().min(200).max(10000).optional().describe("How far from the route a stop may be, default 2000 m"),
+        maxStops: z.number().int().min(1).max(25).optional(),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({ origin, destination, country, locale, ...options }, bias) => {
+        try {
+          const result = await findStopsAlongRoute(origin, destination, {
+            ...options,
+            bias,
+            locale: getLocale(locale),
+          });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...stops } = result;
+          return stops;
+        } catch (error) {
+          console.error("Error finding stops along the route:", error);
+          return { text: "There was an error finding stops along the route." };
+        }
+      }),
+    },
+    plan_multi_stop_route: {
+      description: "Plan a road trip through several stops. The first stop is the start. Set optimize to reorder the stops into the shortest trip, and roundTrip to return to the start. The user sees the legs and the map, so only comment on them. If withoutTraffic is true, say live traffic was not used because the route has more than 3 points.",
+      parameters: z.object({
+        stops: z.array(z.string()).min(2).max(MAX_STOPS),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        optimize: z.boolean().optional(),
+        roundTrip: z.boolean().optional(),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: async ({ stops, travelMode = 'driving', optimize = false, roundTrip = false, country, locale }) => {
+        try {
+          const result = await getMultiStopItinerary(stops, {
+            travelMode,
+            optimize,
+            roundTrip,
+            bias: getBias(country),
+            locale: getLocale(locale),
+          });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...route } = result;
+          return route;
+        } catch (error) {
+          console.error("Error in multi-stop planning:", error);
+          return { text: "There was an error planning the multi-stop route." };
+        }
+      },
+    },
+    plan_itinerary: {
+      description: "Create a day-by-day itinerary for a destination: attractions in time slots with travel time between them and a hotel for each night. The user sees the days as cards, so only comment on the plan. To refine a plan, call again with changed options, excluded places or extra places.",
+      parameters: z.object({
+        destination: z.string(),
+        days: z.number().int().min(1).max(MAX_ITINERARY_DAYS),
+        nights: z.number().int().min(0).max(MAX_ITINERARY_DAYS).optional().describe("Nights with a hotel, at most days; defaults to one less than days"),
+        dayStart: z.string().regex(/^\d{1,2}:\d{2}$/).optional().describe("Daily start time, HH:MM"),
+        dayEnd: z.string().regex(/^\d{1,2}:\d{2}$/).optional().describe("Daily end time, HH:MM"),
+        visitMinutes: z.number().int().min(15).max(480).optional().describe("Time spent at each attraction"),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        excludePlaces: z.array(z.string()).optional().describe("Attraction titles the user does not want"),
+        extraPlaces: z.array(z.string()).optional().describe("Additional places the user wants to visit"),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: async ({ destination, country, locale, ...options }) => {
+        try {
+          const result = await planItinerary(destination, { ...options, bias: getBias(country), locale: getLocale(locale) });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...itinerary } = result;
+          return itinerary;
+        } catch (error) {
+          console.error("Error in itinerary planning:", error);
+          return { text: "There was an error planning the itinerary." };
+        }
+      },
+    },
+    estimate_budget: {
+      description: "Estimate the cost of a trip: fuel from the route distance, lodging from hotel price tiers and nights, and daily food and activity allowances. The user sees the line items and assumptions as a table, so only name the main costs and offer to change any assumption by calling again.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        nights: z.number().int().min(0).max(60).optional(),
+        days: z.number().int().min(1).max(60).optional(),
+        travelers: z.number().int().min(1).max(20).optional(),
+        roundTrip: z.boolean().optional().describe("Count fuel for the return journey too (default true)"),
+        currency: z.enum(BUDGET_CURRENCIES).optional(),
+        fuelEfficiencyLitersPer100Km: z.number().positive().optional(),
+        fuelPricePerLiter: z.number().nonnegative().optional(),
+        priceTier: z.number().int().min(1).max(4).optional().describe("Hotel price tier, 1 (cheap) to 4 (luxury)"),
+        lodgingPricePerNight: z.number().nonnegative().optional(),
+        foodPerDay: z.number().nonnegative().optional().describe("Per person"),
+        activitiesPerDay: z.number().nonnegative().optional().describe("Per person"),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({
+        origin,
+        destination,
+        travelMode = 'driving',
+        nights = 1,
+        days,
+        travelers = 1,
+        roundTrip = true,
+        currency: requestedCurrency,
+        country,
+        locale: requestedLocale,
+        ...overrides
+      }, bias) => {
+        const locale = getLocale(requestedLocale);
+        const currency = requestedCurrency || getDefaultCurrency(locale);
+        try {
+          const result = await estimateTripBudget(origin, destination, {
+            travelMode,
+            nights,
+            days,
+            travelers,
+            roundTrip,
+            currency,
+            overrides,
+            bias,
+            locale,
+          });
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...budget } = result;
+          return budget;
+        } catch (error) {
+          console.error("Error in budget estimate:", error);
+          return { text: "There was an error estimating the trip budget." };
+        }
+      }),
+    },
+    check_route_weather: {
+      description: "Check the weather forecast along a route and at the destination for a departure time, flagging heavy rain, snow, storms, extreme heat or cold and strong wind. The user sees the forecasts as a list, so only point out the warnings. Use it to compare departure times and suggest a safer one.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        travelMode: z.enum(TRAVEL_MODES).optional(),
+        departAt: departAtSchema,
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({ origin, destination, travelMode = 'driving', departAt = new Date().toISOString(), locale }, bias) => {
+        try {
+          const result = await checkRouteWeather(origin, destination, travelMode, departAt, bias, getLocale(locale));
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...weather } = result;
+          return weather;
+        } catch (error) {
+          console.error("Error checking route weather:", error);
+          return { text: "There was an error checking the weather along the route." };
+        }
+      }),
+    },
+    compare_travel_modes: {
+      description: "Compare duration and distance between travel modes (driving, driving with live traffic, walking, cycling) for the same origin and destination. The user sees the comparison as a table, so only point out the fastest mode and the trade-offs.",
+      parameters: z.object({
+        origin: originSchema,
+        destination: z.string(),
+        modes: z.array(z.enum(TRAVEL_MODES)).min(2).optional(),
+        country: countrySchema,
+        locale: localeSchema,
+      }),
+      execute: fromCurrentLocation('origin', async ({ origin, destination, modes = TRAVEL_MODES, locale }, bias) => {
+        try {
+          const result = await compareTravelModes(origin, destination, modes, bias, getLocale(locale));
+
+          if (!result.success) {
+            return toFailureResult(result);
+          }
+
+          const { success, ...comparison } = result;
+          return comparison;
+        } catch (error) {
+          console.error("Error comparing travel modes:", error);
+          return { text: "There was an error comparing travel modes." };
+        }
+      }),
+    },
+  };
+
+  if (!trace) {
+    return tools;
+  }
+  return Object.fromEntries(
+    Object.entries(tools).map(([name, tool]) => [name, { ...tool, execute: traceTool(trace, name, tool.execute) }])
+  );
+};
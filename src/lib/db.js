@@ -0,0 +1,35 @@
+import mysql from "mysql2/promise";
+
+// One connection pool per server process, configured from DB_HOST / DB_USER / DB_PASSWORD / DB_DATABASE
+let pool = null;
+
+export const isDatabaseConfigured = () => Boolean(process.env.DB_HOST && process.env.DB_DATABASE);
+
+export const getPool = () => {
+  if (!pool) {
+    pool = mysql.createPool({
+      host: process.env.DB_HOST,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD,
+      database: process.env.DB_DATABASE,
+      connectionLimit: 5,
+    });
+  }
+  return pool;
+};
+
+// Run fn(connection) in a transaction on one pooled connection: committed when it resolves, rolled back when it throws
+export const withTransaction = async (fn) => {
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
@@ -0,0 +1,48 @@
+// GPX 1.1 export: the route as a track, plus waypoints for the endpoints, attractions and hotels
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const buildWaypoint = ({ coords, name, description, type, link }) =>
+  [
+    `  <wpt lat="${coords.lat}" lon="${coords.lon}">`,
+    `    <name>${escapeXml(name)}</name>`,
+    description ? `    <desc>${escapeXml(description)}</desc>` : null,
+    link ? `    <link href="${escapeXml(link)}"/>` : null,
+    `    <type>${type}</type>`,
+    '  </wpt>',
+  ].filter(Boolean).join('\n');
+
+export const buildGpx = (plan) => {
+  const waypoints = [
+    { coords: plan.origin.coords, name: plan.origin.name, type: 'origin' },
+    { coords: plan.destination.coords, name: plan.destination.name, type: 'destination' },
+    ...plan.attractions.map((a) => ({ coords: a.coords, name: a.title, description: a.description, link: a.url, type: 'attraction' })),
+    ...plan.hotels.map((h) => ({ coords: h.coords, name: h.name, description: h.address, link: h.link, type: 'hotel' })),
+  ].filter((w) => w.coords);
+
+  const trackPoints = (plan.geometry?.coordinates || [])
+    .map(([lon, lat]) => `      <trkpt lat="${lat}" lon="${lon}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ai-travel-planner" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(`${plan.origin.name} to ${plan.destination.name}`)}</name>
+  </metadata>
+${waypoints.map(buildWaypoint).join('\n')}
+  <trk>
+    <name>${escapeXml(`${plan.origin.name} to ${plan.destination.name}`)}</name>
+    <type>${escapeXml(plan.travelMode)}</type>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
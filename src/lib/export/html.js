@@ -0,0 +1,69 @@
+import { getTripTimes } from "./times";
+
+// Printable itinerary: a standalone HTML page styled for paper, saved as PDF with the browser's print dialog
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const section = (title, body) => (body ? `<section><h2>${escapeHtml(title)}</h2>${body}</section>` : '');
+
+export const buildHtml = (plan, { departAt }) => {
+  const title = `${plan.origin.name} to ${plan.destination.name}`;
+  const { departure, arrival } = getTripTimes(plan, departAt);
+
+  const summary = `<table>
+  <tr><th>Departure</th><td>${escapeHtml(departure.toUTCString())}</td></tr>
+  <tr><th>Arrival (estimated)</th><td>${escapeHtml(arrival.toUTCString())}</td></tr>
+  <tr><th>Duration</th><td>${escapeHtml(plan.route.duration)}</td></tr>
+${plan.schedule?.breaks?.length ? `  <tr><th>With rest breaks</th><td>${escapeHtml(plan.schedule.totalDuration)}</td></tr>\n` : ''}  <tr><th>Distance</th><td>${escapeHtml(plan.route.distance)}</td></tr>
+  <tr><th>Mode</th><td>${escapeHtml(plan.travelMode)}</td></tr>
+</table>`;
+
+  const directions = plan.steps?.length
+    ? `<ol>${plan.steps.map((s) => `<li>${escapeHtml(s.instruction)}</li>`).join('')}</ol>`
+    : '';
+
+  const hotels = plan.hotels.length
+    ? `<ul>${plan.hotels.map((h) => `<li><strong>${escapeHtml(h.name)}</strong> (${escapeHtml(h.category)}, rating ${escapeHtml(h.rating)})<br>${escapeHtml(h.address)}</li>`).join('')}</ul>`
+    : '';
+
+  const attractions = plan.attractions.length
+    ? `<ul>${plan.attractions.map((a) => `<li><strong>${escapeHtml(a.title)}</strong>: ${escapeHtml(a.description)}</li>`).join('')}</ul>`
+    : '';
+
+  const history = plan.history ? `<p>${escapeHtml(plan.history.summary)}</p><p class="source">Source: ${escapeHtml(plan.history.source)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 720px; margin: 40px auto; color: #222; line-height: 1.5; }
+  h1 { border-bottom: 2px solid #1976d2; padding-bottom: 8px; }
+  h2 { color: #1976d2; margin-top: 28px; }
+  table { border-collapse: collapse; }
+  th { text-align: left; padding-right: 16px; }
+  li { margin-bottom: 6px; }
+  .source { color: #666; font-size: 0.9em; }
+  .print-button { padding: 8px 16px; }
+  @media print { .print-button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(title)}</h1>
+${section('Summary', summary)}
+${section('Directions', directions)}
+${section('Where to stay', hotels)}
+${section('Things to see', attractions)}
+${section(`About ${plan.destination.name}`, history)}
+</body>
+</html>
+`;
+};
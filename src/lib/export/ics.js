@@ -0,0 +1,134 @@
+import { getTripTimes } from "./times";
+
+// iCalendar (RFC 5545) export: a drive event from departure to arrival and a stay at the first hotel
+
+const formatIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are continued on the next line after a space, never splitting a character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // The leading space of a continuation line counts towards its 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Only http(s) links, re-serialized so they carry no line breaks or other characters that would end the property
+const safeUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// start and end are instants, or floating local times already formatted as YYYYMMDDTHHMMSS
+const formatEventTime = (value) => (typeof value === 'string' ? value : formatIcsDate(value));
+
+const buildEvent = ({ uid, start, end, summary, description, location, url }, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART:${formatEventTime(start)}`,
+  `DTEND:${formatEventTime(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  description ? `DESCRIPTION:${escapeText(description)}` : null,
+  location ? `LOCATION:${escapeText(location)}` : null,
+  url && safeUrl(url) ? `URL:${safeUrl(url)}` : null,
+  'END:VEVENT',
+].filter(Boolean);
+
+// Calendar date and minutes past midnight of an instant in an IANA time zone
+const getLocalTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  return { year: parts.year, month: parts.month, day: parts.day, minutes: parts.hour * 60 + parts.minute };
+};
+
+// "20300601T150000", a floating time that calendars show as that time of day wherever they are
+const formatFloating = (year, month, day, minutes) => {
+  const date = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  return formatIcsDate(date).replace(/Z$/, '');
+};
+
+const CHECK_IN_MINUTES = 15 * 60;
+const CHECK_OUT_MINUTES = 11 * 60;
+
+// Hotel check-in is the later of arrival and 15:00, check-out 11:00 the next day. Both are local times at the
+// hotel, so they are worked out in the trip's time zone and exported as floating times.
+const getHotelStay = (arrival, timeZone) => {
+  const { year, month, day, minutes } = getLocalTime(arrival, timeZone);
+  return {
+    checkIn: formatFloating(year, month, day, Math.max(minutes, CHECK_IN_MINUTES)),
+    checkOut: formatFloating(year, month, day + 1, CHECK_OUT_MINUTES),
+  };
+};
+
+export const buildIcs = (plan, { departAt, timeZone = 'UTC' }) => {
+  const { departure, arrival } = getTripTimes(plan, departAt);
+  const stamp = formatIcsDate(new Date());
+  const uidBase = `${departure.getTime()}-${plan.origin.name}-${plan.destination.name}`.replace(/[^\w-]/g, '');
+
+  const events = [
+    buildEvent({
+      uid: `${uidBase}-travel@ai-travel-planner`,
+      start: departure,
+      end: arrival,
+      summary: `Travel: ${plan.origin.name} to ${plan.destination.name}`,
+      description: `${plan.route.distance}, about ${plan.route.duration} (${plan.travelMode}).\n${plan.links.googleMaps || ''}`,
+      location: plan.origin.name,
+      url: plan.links.googleMaps,
+    }, stamp),
+  ];
+
+  const [hotel, ...alternatives] = plan.hotels;
+  if (hotel) {
+    const { checkIn, checkOut } = getHotelStay(arrival, timeZone);
+    events.push(buildEvent({
+      uid: `${uidBase}-hotel@ai-travel-planner`,
+      start: checkIn,
+      end: checkOut,
+      summary: `Hotel: ${hotel.name}`,
+      description: alternatives.length ? `Alternatives: ${alternatives.map((h) => h.name).join(', ')}` : null,
+      location: hotel.address || hotel.name,
+      url: hotel.link,
+    }, stamp));
+  }
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ai-travel-planner//Trip export//EN',
+    'CALSCALE:GREGORIAN',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
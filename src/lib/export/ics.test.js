@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { buildIcs } from './ics';
+
+const plan = {
+  type: 'trip_plan',
+  origin: { name: 'Paris' },
+  destination: { name: 'Lyon' },
+  travelMode: 'driving',
+  route: { duration: '5 hours 6 mins', distance: '510.2 km', durationSeconds: 18360 },
+  hotels: [{ name: 'Cour des Loges', address: '6 Rue du Bœuf, Lyon' }],
+  links: {},
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const eventLines = (ics, summary) => {
+  const event = unfold(ics).split('BEGIN:VEVENT').find((e) => e.includes(`SUMMARY:${summary}`));
+  return event.split('\r\n');
+};
+
+describe('buildIcs', () => {
+  it('times the hotel stay as floating local times in the trip time zone', () => {
+    // Arrives 14:06 in Paris, so check-in waits until 15:00
+    const ics = buildIcs(plan, { departAt: '2030-06-01T07:00:00Z', timeZone: 'Europe/Paris' });
+    const hotel = eventLines(ics, 'Hotel: Cour des Loges');
+
+    expect(hotel).toContain('DTSTART:20300601T150000');
+    expect(hotel).toContain('DTEND:20300602T110000');
+  });
+
+  it('checks in on arrival when it is later than 15:00 local time, on the local date', () => {
+    // Arrives 2030-06-01 23:06 UTC, which is 08:06 the next morning in Tokyo
+    const late = buildIcs(plan, { departAt: '2030-06-01T18:00:00Z', timeZone: 'Asia/Tokyo' });
+    expect(eventLines(late, 'Hotel: Cour des Loges')).toContain('DTSTART:20300602T150000');
+
+    // Arrives 17:06 UTC, 19:06 in Paris
+    const evening = buildIcs(plan, { departAt: '2030-06-01T12:00:00Z', timeZone: 'Europe/Paris' });
+    expect(eventLines(evening, 'Hotel: Cour des Loges')).toContain('DTSTART:20300601T190600');
+  });
+
+  it('keeps the drive itself in UTC', () => {
+    const ics = buildIcs(plan, { departAt: '2030-06-01T07:00:00Z', timeZone: 'Europe/Paris' });
+
+    expect(eventLines(ics, 'Travel: Paris to Lyon')).toContain('DTSTART:20300601T070000Z');
+  });
+
+  it('only links http(s) URLs and never lets one end the line', () => {
+    const hotels = [
+      { name: 'Injected', link: 'https://hotel.test/a\r\nATTACH:https://evil.test' },
+      { name: 'Script', link: 'javascript:alert(1)' },
+    ];
+    const ics = buildIcs({ ...plan, hotels }, { departAt: '2030-06-01T07:00:00Z' });
+
+    expect(ics).not.toMatch(/^ATTACH/m);
+    expect(eventLines(ics, 'Hotel: Injected')).toContain('URL:https://hotel.test/aATTACH:https://evil.test');
+    expect(buildIcs({ ...plan, hotels: [hotels[1]] }, { departAt: '2030-06-01T07:00:00Z' })).not.toContain('javascript');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    const hotels = [{ name: 'é'.repeat(100), address: 'Lyon' }];
+    const ics = buildIcs({ ...plan, hotels }, { departAt: '2030-06-01T07:00:00Z' });
+
+    ics.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(ics)).toContain(`SUMMARY:Hotel: ${'é'.repeat(100)}`);
+  });
+});
@@ -0,0 +1,60 @@
+import { z } from "zod";
+import { buildGpx } from "./gpx";
+import { buildHtml } from "./html";
+import { buildIcs } from "./ics";
+
+// Export formats for a get_route trip plan
+export const exporters = {
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', build: buildIcs },
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', build: buildGpx },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', build: buildHtml },
+};
+
+const coordsSchema = z.object({ lat: z.number(), lon: z.number() }).nullable().optional();
+
+// A plan as the chat shows it, so the same room as a saved trip
+export const MAX_EXPORT_BYTES = 1024 * 1024;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const exportSchema = z.object({
+  departAt: z.string().datetime({ offset: true }).optional(),
+  // IANA zone that hotel check-in and check-out times are local to, UTC by default
+  timeZone: z.string().max(64).refine(isTimeZone, { message: "Unknown time zone." }).optional(),
+  plan: z.object({
+    type: z.literal('trip_plan'),
+    origin: z.object({ name: z.string(), coords: coordsSchema }),
+    destination: z.object({ name: z.string(), coords: coordsSchema }),
+    travelMode: z.string(),
+    route: z.object({ duration: z.string(), distance: z.string(), durationSeconds: z.number() }).passthrough(),
+    attractions: z.array(z.object({ title: z.string() }).passthrough()).default([]),
+    hotels: z.array(z.object({ name: z.string() }).passthrough()).default([]),
+    // Plans timed with rest breaks or an arrival deadline export with that timing rather than departAt
+    schedule: z.object({
+      departAt: z.string().datetime({ offset: true }),
+      arriveAt: z.string().datetime({ offset: true }),
+    }).passthrough().nullable().optional(),
+    links: z.object({ googleMaps: z.string().url().optional(), mapbox: z.string().url().optional() }).default({}),
+  }).passthrough(),
+});
+
+// Plans without a departure time leave at the top of the next hour
+export const getDefaultDeparture = () => {
+  const departure = new Date();
+  departure.setHours(departure.getHours() + 1, 0, 0, 0);
+  return departure.toISOString();
+};
+
+export const getExportFilename = (plan, extension) =>
+  `${plan.origin.name}-to-${plan.destination.name}`
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') + `.${extension}`;
@@ -0,0 +1,9 @@
+// Departure and arrival of an exported trip. A plan's schedule already has rest breaks and arrive-by
+// departures worked in; plans without one leave at departAt and arrive after the bare driving time.
+export const getTripTimes = (plan, departAt) => {
+  if (plan.schedule) {
+    return { departure: new Date(plan.schedule.departAt), arrival: new Date(plan.schedule.arriveAt) };
+  }
+  const departure = new Date(departAt);
+  return { departure, arrival: new Date(departure.getTime() + plan.route.durationSeconds * 1000) };
+};
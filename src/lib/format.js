@@ -0,0 +1,84 @@
+import { DEFAULT_LOCALE, getDistanceUnit, getTemperatureUnit } from "./locale";
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+const MM_PER_INCH = 25.4;
+
+const formatUnit = (value, unit, locale, maximumFractionDigits = 0) =>
+  new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long', maximumFractionDigits }).format(value);
+
+// Human readable route figures, shared by every routing provider: "2 hours 5 minutes" in the locale's language
+export const formatDuration = (seconds, locale = DEFAULT_LOCALE) => {
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) {
+    return formatUnit(minutes, 'minute', locale);
+  }
+  return minutes === 0
+    ? formatUnit(hours, 'hour', locale)
+    : `${formatUnit(hours, 'hour', locale)} ${formatUnit(minutes, 'minute', locale)}`;
+};
+
+// Kilometers or miles depending on the locale's region, dropping to meters or feet for short distances
+export const formatDistance = (meters, locale = DEFAULT_LOCALE) => {
+  const short = { unitDisplay: 'short', maximumFractionDigits: 0 };
+  if (getDistanceUnit(locale) === 'mile') {
+    const miles = meters / METERS_PER_MILE;
+    return miles < 0.1
+      ? new Intl.NumberFormat(locale, { style: 'unit', unit: 'foot', ...short }).format(meters * FEET_PER_METER)
+      : new Intl.NumberFormat(locale, { style: 'unit', unit: 'mile', unitDisplay: 'short', maximumFractionDigits: 1 }).format(miles);
+  }
+  return meters < 1000
+    ? new Intl.NumberFormat(locale, { style: 'unit', unit: 'meter', ...short }).format(meters)
+    : new Intl.NumberFormat(locale, { style: 'unit', unit: 'kilometer', unitDisplay: 'short', maximumFractionDigits: 1 }).format(meters / 1000);
+};
+
+const formatShort = (value, unit, locale, maximumFractionDigits = 0) =>
+  new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits }).format(value);
+
+// Forecast figures come in metric units and are converted for regions that use Fahrenheit, inches or miles
+export const formatTemperature = (celsius, locale = DEFAULT_LOCALE) =>
+  getTemperatureUnit(locale) === 'fahrenheit'
+    ? formatShort(celsius * 9 / 5 + 32, 'fahrenheit', locale)
+    : formatShort(celsius, 'celsius', locale);
+
+// Rain in millimeters and snow in centimeters, or both in inches
+export const formatPrecipitation = (millimeters, locale = DEFAULT_LOCALE) =>
+  getTemperatureUnit(locale) === 'fahrenheit'
+    ? formatShort(millimeters / MM_PER_INCH, 'inch', locale, 2)
+    : formatShort(millimeters, 'millimeter', locale, 1);
+
+export const formatSnowfall = (centimeters, locale = DEFAULT_LOCALE) =>
+  getTemperatureUnit(locale) === 'fahrenheit'
+    ? formatShort(centimeters * 10 / MM_PER_INCH, 'inch', locale, 1)
+    : formatShort(centimeters, 'centimeter', locale, 1);
+
+export const formatWindSpeed = (kmh, locale = DEFAULT_LOCALE) =>
+  getDistanceUnit(locale) === 'mile'
+    ? formatShort(kmh * 1000 / METERS_PER_MILE, 'mile-per-hour', locale)
+    : formatShort(kmh, 'kilometer-per-hour', locale);
+
+// Providers format figures in the default locale; this rewrites a route result's duration and
+// distance text (and its legs') for another locale from the raw seconds and meters
+export const localizeFigures = (result, locale) => {
+  if (!result?.success) {
+    return result;
+  }
+  const localized = { ...result };
+  if (result.durationSeconds !== undefined) {
+    localized.duration = formatDuration(result.durationSeconds, locale);
+  }
+  if (result.distanceMeters !== undefined) {
+    localized.distance = formatDistance(result.distanceMeters, locale);
+  }
+  if (result.legs) {
+    localized.legs = result.legs.map((leg) => ({
+      ...leg,
+      duration: formatDuration(leg.durationSeconds, locale),
+      distance: formatDistance(leg.distanceMeters, locale),
+    }));
+  }
+  return localized;
+};
@@ -0,0 +1,88 @@
+// Straight-line distance in km between two { lat, lon } points
+export const haversineDistance = (a, b) => {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+// Thin a GeoJSON LineString to at most maxPoints evenly spaced coordinates, keeping both ends.
+// Full-resolution routes have thousands of points, which is too much to send to the model and the browser.
+export const simplifyLine = (geometry, maxPoints = 300) => {
+  if (!geometry || geometry.coordinates.length <= maxPoints) {
+    return geometry;
+  }
+
+  const { coordinates } = geometry;
+  const step = (coordinates.length - 1) / (maxPoints - 1);
+  const simplified = [];
+  for (let i = 0; i < maxPoints; i++) {
+    simplified.push(coordinates[Math.round(i * step)]);
+  }
+  return { type: 'LineString', coordinates: simplified };
+};
+
+// Straight line between { lat, lon } points, for providers that have no real geometry
+export const straightLine = (points) => ({
+  type: 'LineString',
+  coordinates: points.map((p) => [p.lon, p.lat]),
+});
+
+const toPoints = (geometry) => geometry.coordinates.map(([lon, lat]) => ({ lat, lon }));
+
+// Distance in km from the start of a LineString to each of its vertices
+const cumulativeDistances = (points) => {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineDistance(points[i - 1], points[i]));
+  }
+  return cumulative;
+};
+
+export const lineLength = (geometry) => {
+  const cumulative = cumulativeDistances(toPoints(geometry));
+  return cumulative[cumulative.length - 1];
+};
+
+// The { lat, lon } point `km` along a LineString, interpolated between vertices and clamped to its ends
+export const pointAlongLine = (geometry, km) => {
+  const points = toPoints(geometry);
+  const cumulative = cumulativeDistances(points);
+
+  let index = 1;
+  while (index < points.length - 1 && cumulative[index] < km) {
+    index++;
+  }
+  const segmentKm = cumulative[index] - cumulative[index - 1];
+  const t = segmentKm > 0 ? Math.min(Math.max((km - cumulative[index - 1]) / segmentKm, 0), 1) : 0;
+  const from = points[index - 1];
+  const to = points[index];
+  return { lat: from.lat + (to.lat - from.lat) * t, lon: from.lon + (to.lon - from.lon) * t };
+};
+
+// Where a point sits relative to a LineString: how far along it the nearest position is and how far
+// off it the point lies, both in km. Segments are projected on a flat approximation, fine at road scale.
+export const locateOnLine = (geometry, point) => {
+  const points = toPoints(geometry);
+  const cumulative = cumulativeDistances(points);
+  const cosLat = Math.cos((point.lat * Math.PI) / 180);
+
+  let best = { alongKm: 0, offsetKm: haversineDistance(points[0], point) };
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const dx = (to.lon - from.lon) * cosLat;
+    const dy = to.lat - from.lat;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+      ? Math.min(Math.max((((point.lon - from.lon) * cosLat) * dx + (point.lat - from.lat) * dy) / lengthSquared, 0), 1)
+      : 0;
+    const nearest = { lat: from.lat + (to.lat - from.lat) * t, lon: from.lon + (to.lon - from.lon) * t };
+    const offsetKm = haversineDistance(nearest, point);
+    if (offsetKm < best.offsetKm) {
+      best = { alongKm: cumulative[i - 1] + (cumulative[i] - cumulative[i - 1]) * t, offsetKm };
+    }
+  }
+  return best;
+};
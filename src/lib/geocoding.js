@@ -0,0 +1,57 @@
+import { haversineDistance } from "./geo";
+
+// Candidates within this much relevance of the best match are treated as equally likely
+const RELEVANCE_MARGIN = 0.1;
+// Candidates closer together than this are the same place for travel purposes
+const SAME_PLACE_KM = 50;
+// A proximity bias only decides when the nearest candidate is this many times closer than the next
+const PROXIMITY_RATIO = 2;
+const MAX_CHOICES = 5;
+
+// Decide whether geocoder candidates point at one place or need the user to choose:
+// { status: 'resolved', candidate } | { status: 'ambiguous', candidates } | { status: 'not_found' }
+export const resolveCandidates = (candidates, { proximity } = {}) => {
+  if (candidates.length === 0) {
+    return { status: 'not_found' };
+  }
+
+  const [best] = candidates;
+  const contenders = [best];
+  candidates.slice(1).forEach((candidate) => {
+    const closeInRelevance = best.relevance - candidate.relevance <= RELEVANCE_MARGIN;
+    const distinct = contenders.every((c) => haversineDistance(c.coords, candidate.coords) > SAME_PLACE_KM);
+    if (closeInRelevance && distinct) {
+      contenders.push(candidate);
+    }
+  });
+
+  if (contenders.length === 1) {
+    return { status: 'resolved', candidate: best };
+  }
+
+  if (proximity) {
+    const [nearest, runnerUp] = contenders
+      .map((candidate) => ({ candidate, distance: haversineDistance(proximity, candidate.coords) }))
+      .sort((a, b) => a.distance - b.distance);
+    if (nearest.distance * PROXIMITY_RATIO < runnerUp.distance) {
+      return { status: 'resolved', candidate: nearest.candidate };
+    }
+  }
+
+  return { status: 'ambiguous', candidates: contenders.slice(0, MAX_CHOICES) };
+};
+
+const describeCandidate = (candidate) =>
+  `${candidate.name}${candidate.placeType ? ` (${candidate.placeType})` : ''}`;
+
+// Tool result asking the model to check with the user which place they meant
+export const buildClarification = (clarifications) => ({
+  type: 'clarification',
+  clarifications,
+  text: `Some places are ambiguous. Ask the user which one they meant, then call the tool again with the full place name.
+
+${clarifications
+  .map(({ query, candidates }) =>
+    `"${query}" could be:\n${candidates.map((c, index) => `${index + 1}. ${describeCandidate(c)}`).join('\n')}`
+  ).join('\n\n')}`,
+});
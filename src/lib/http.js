@@ -0,0 +1,189 @@
+import axios from "axios";
+import { recordUpstreamCall } from "./tracing";
+
+// Default request timeout per provider, overridable with HTTP_TIMEOUT_<PROVIDER> in milliseconds
+const defaultTimeouts = {
+  mapbox: 8000,
+  nominatim: 8000,
+  osrm: 10000,
+  wikipedia: 6000,
+  foursquare: 6000,
+  'open-meteo': 6000,
+};
+
+const getTimeout = (name) => {
+  const configured = process.env[`HTTP_TIMEOUT_${name.toUpperCase().replace(/-/g, '_')}`];
+  return configured ? parseInt(configured, 10) : defaultTimeouts[name] || 8000;
+};
+
+const maxRetries = () => parseInt(process.env.HTTP_RETRIES || '2', 10);
+
+// After this many consecutive failures a provider is skipped until the cooldown has passed
+const breakerThreshold = () => parseInt(process.env.HTTP_BREAKER_THRESHOLD || '5', 10);
+const breakerCooldownMs = () => parseInt(process.env.HTTP_BREAKER_COOLDOWN_SECONDS || '30', 10) * 1000;
+
+const breakers = {};
+
+const getBreaker = (name) => breakers[name] || (breakers[name] = { failures: 0, openUntil: 0, probing: false });
+
+// Once the cooldown has passed the circuit is half-open: one request goes out as a probe while the rest
+// are still skipped, and its outcome closes the circuit or opens it for another cooldown.
+// Returns null when the request should be skipped, otherwise whether it is the probe.
+const admit = (breaker) => {
+  if (breaker.openUntil === 0) {
+    return { probe: false };
+  }
+  if (breaker.openUntil > Date.now() || breaker.probing) {
+    return null;
+  }
+  breaker.probing = true;
+  return { probe: true };
+};
+
+const closeBreaker = (breaker) => {
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+};
+
+// Rate limits, upstream errors and dropped connections are worth another attempt; other 4xx are not
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code);
+};
+
+// Exponential backoff with jitter, honouring Retry-After (seconds) up to 5 s
+const getBackoffMs = (error, attempt) => {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, 5000);
+  }
+  return 300 * 2 ** attempt + Math.floor(Math.random() * 100);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Short, user-facing explanation of why a request failed
+export const describeError = (error) => {
+  if (error?.code === 'CIRCUIT_OPEN') {
+    return error.message;
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return 'the request timed out';
+  }
+  if (error?.response?.status === 429) {
+    return 'the provider is rate limiting requests';
+  }
+  if (error?.response?.status) {
+    return `the provider responded with HTTP ${error.response.status}`;
+  }
+  if (error?.code) {
+    return `the provider could not be reached (${error.code})`;
+  }
+  return 'an unexpected error occurred';
+};
+
+// Query parameters that carry credentials are masked before a URL is traced
+const secretParams = ['access_token', 'api_key', 'apikey', 'key', 'token'];
+
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    secretParams.forEach((param) => {
+      if (parsed.searchParams.has(param)) {
+        parsed.searchParams.set(param, 'redacted');
+      }
+    });
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
+
+// axios wrapper for one provider: timeout, retries with backoff and a circuit breaker.
+// Each call's latency and outcome goes into the trace of the request that made it.
+export const createHttpClient = (name) => {
+  const send = async (config, call) => {
+    const breaker = getBreaker(name);
+    const admitted = admit(breaker);
+    if (!admitted) {
+      const error = new Error(`${name} is temporarily unavailable after repeated failures`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        call.attempts = attempt + 1;
+        try {
+          const response = await axios.request({ timeout: getTimeout(name), ...config });
+          closeBreaker(breaker);
+          return response;
+        } catch (error) {
+          if (!isRetryable(error)) {
+            // The provider answered, so a probe has shown it is back
+            if (admitted.probe) {
+              closeBreaker(breaker);
+            }
+            throw error;
+          }
+          if (attempt >= maxRetries()) {
+            breaker.failures += 1;
+            if (admitted.probe || breaker.failures >= breakerThreshold()) {
+              breaker.openUntil = Date.now() + breakerCooldownMs();
+              console.error(`Opening circuit for ${name} after ${breaker.failures} failures`);
+            }
+            throw error;
+          }
+          await sleep(getBackoffMs(error, attempt));
+        }
+      }
+    } finally {
+      if (admitted.probe) {
+        breaker.probing = false;
+      }
+    }
+  };
+
+  const request = async (config) => {
+    const startedAt = Date.now();
+    const call = { provider: name, method: config.method.toUpperCase(), url: redactUrl(config.url), attempts: 0 };
+    try {
+      const response = await send(config, call);
+      recordUpstreamCall({ ...call, status: response.status, outcome: 'ok', durationMs: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      recordUpstreamCall({
+        ...call,
+        status: error.response?.status || null,
+        outcome: error.code === 'CIRCUIT_OPEN' ? 'skipped' : 'error',
+        error: describeError(error),
+        durationMs: Date.now() - startedAt,
+      });
+      throw error;
+    }
+  };
+
+  return {
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+  };
+};
+
+// Map over items with at most `limit` calls in flight, keeping the input order
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
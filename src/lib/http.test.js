@@ -0,0 +1,147 @@
+import axios from 'axios';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createHttpClient } from './http';
+
+vi.mock('axios', () => ({ default: { request: vi.fn() } }));
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const ok = { status: 200, data: {} };
+
+// Breakers are kept per provider name for the whole process, so every test uses its own name
+let providerCount = 0;
+const newClient = () => createHttpClient(`provider-${++providerCount}`);
+
+// Runs a request to completion, skipping the backoff sleeps
+const settled = async (promise) => {
+  const outcome = promise.then((value) => ({ value }), (error) => ({ error }));
+  await vi.runAllTimersAsync();
+  return outcome;
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  axios.request.mockReset();
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('retries', () => {
+  it('retries rate limits and server errors until a request succeeds', async () => {
+    axios.request.mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(429)).mockResolvedValueOnce(ok);
+
+    expect((await settled(newClient().get('https://example.test'))).value).toBe(ok);
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after HTTP_RETRIES retries', async () => {
+    vi.stubEnv('HTTP_RETRIES', '1');
+    axios.request.mockRejectedValue(httpError(502));
+
+    expect((await settled(newClient().get('https://example.test'))).error.response.status).toBe(502);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry other client errors', async () => {
+    axios.request.mockRejectedValue(httpError(404));
+
+    expect((await settled(newClient().get('https://example.test'))).error.response.status).toBe(404);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    axios.request.mockRejectedValueOnce(httpError(500)).mockRejectedValueOnce(httpError(500)).mockResolvedValueOnce(ok);
+    const pending = newClient().get('https://example.test');
+
+    await vi.advanceTimersByTimeAsync(299);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(599);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(await pending).toBe(ok);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    axios.request.mockRejectedValueOnce(httpError(429, { 'retry-after': '2' })).mockResolvedValueOnce(ok);
+    const pending = newClient().get('https://example.test');
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(await pending).toBe(ok);
+  });
+});
+
+describe('circuit breaker', () => {
+  beforeEach(() => {
+    vi.stubEnv('HTTP_RETRIES', '0');
+    vi.stubEnv('HTTP_BREAKER_THRESHOLD', '2');
+    vi.stubEnv('HTTP_BREAKER_COOLDOWN_SECONDS', '30');
+  });
+
+  const failTwice = async (client) => {
+    axios.request.mockRejectedValue(httpError(503));
+    await settled(client.get('https://example.test'));
+    await settled(client.get('https://example.test'));
+    axios.request.mockClear();
+  };
+
+  it('skips the provider after consecutive failures', async () => {
+    const client = newClient();
+    await failTwice(client);
+
+    const { error } = await settled(client.get('https://example.test'));
+    expect(error.code).toBe('CIRCUIT_OPEN');
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  it('lets a single probe through after the cooldown and skips the rest meanwhile', async () => {
+    const client = newClient();
+    await failTwice(client);
+    vi.advanceTimersByTime(30000);
+
+    let answer;
+    axios.request.mockReturnValueOnce(new Promise((resolve) => { answer = resolve; }));
+    const probe = client.get('https://example.test');
+    const { error } = await settled(client.get('https://example.test'));
+    expect(error.code).toBe('CIRCUIT_OPEN');
+
+    answer(ok);
+    expect(await probe).toBe(ok);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens again for another cooldown when the probe fails', async () => {
+    const client = newClient();
+    await failTwice(client);
+    vi.advanceTimersByTime(30000);
+
+    axios.request.mockRejectedValueOnce(httpError(503));
+    expect((await settled(client.get('https://example.test'))).error.response.status).toBe(503);
+
+    expect((await settled(client.get('https://example.test'))).error.code).toBe('CIRCUIT_OPEN');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts failures from zero once a probe succeeds', async () => {
+    const client = newClient();
+    await failTwice(client);
+    vi.advanceTimersByTime(30000);
+
+    axios.request.mockResolvedValueOnce(ok).mockRejectedValueOnce(httpError(503)).mockResolvedValueOnce(ok);
+    expect((await settled(client.get('https://example.test'))).value).toBe(ok);
+    expect((await settled(client.get('https://example.test'))).error.response.status).toBe(503);
+
+    // One failure is below the threshold, so the next request still goes out
+    expect((await settled(client.get('https://example.test'))).value).toBe(ok);
+  });
+});
@@ -0,0 +1,84 @@
+import { createGoogleGenerativeAI } from "@ai-sdk/google";
+import { createOpenAI } from "@ai-sdk/openai";
+import { generateText, streamText } from "ai";
+import { recordModelError } from "./tracing";
+
+// Model ids are "<provider>:<model>", e.g. "google:gemini-1.5-pro-002", "openai:gpt-4o-mini" or "local:llama3.1".
+// "local" is any OpenAI-compatible server (Ollama, llama.cpp, vLLM or a stub in tests) at LOCAL_LLM_URL.
+const providerFactories = {
+  google: () => createGoogleGenerativeAI({ apiKey: process.env.GOOGLE_API_KEY }),
+  openai: () => createOpenAI({ apiKey: process.env.OPENAI_API_KEY, compatibility: 'strict' }),
+  local: () =>
+    createOpenAI({
+      baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      // Most local servers ignore the key, but the client insists on one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      compatibility: 'compatible',
+    }),
+};
+
+const instances = {};
+const getProviderInstance = (name) => instances[name] || (instances[name] = providerFactories[name]());
+
+const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const getDefaultModel = () => process.env.LLM_MODEL || 'google:gemini-1.5-pro-002';
+
+// Tried in order when the requested model fails to start a response
+const getFallbackModels = () => splitList(process.env.LLM_FALLBACK_MODELS);
+
+// Models a request may ask for; by default only the configured model
+export const getAllowedModels = () => {
+  const configured = splitList(process.env.LLM_ALLOWED_MODELS);
+  return configured.length > 0 ? configured : [getDefaultModel()];
+};
+
+// How long a model gets to start streaming, or to finish a non-streaming reply, before the next one is tried
+const getTimeoutMs = () => parseInt(process.env.LLM_TIMEOUT_SECONDS || '30', 10) * 1000;
+const getGenerateTimeoutMs = () => parseInt(process.env.LLM_GENERATE_TIMEOUT_SECONDS || '120', 10) * 1000;
+
+const getModel = (modelId) => {
+  const separator = modelId.indexOf(':');
+  const provider = modelId.slice(0, separator);
+  const modelName = modelId.slice(separator + 1);
+  if (separator < 0 || !providerFactories[provider] || !modelName) {
+    throw new Error(`Unknown model "${modelId}".`);
+  }
+  return getProviderInstance(provider)(modelName);
+};
+
+// Run call(model, abortSignal) with the requested model, then each fallback, until one succeeds
+const withFallback = async (modelId, timeoutMs, call) => {
+  const candidates = [modelId, ...getFallbackModels().filter((id) => id !== modelId)];
+
+  let lastError;
+  for (const candidate of candidates) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const result = await call(getModel(candidate), controller.signal);
+      return { result, modelId: candidate };
+    } catch (error) {
+      lastError = error;
+      console.error(`Error getting a response from ${candidate}:`, error);
+      recordModelError(candidate, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw lastError;
+};
+
+// streamText with failover: if a model errors or times out before its response starts, the next
+// fallback is tried. Once a response is streaming it is committed to, since tools may already have run.
+export const streamTextWithFallback = (modelId, options) =>
+  withFallback(modelId, getTimeoutMs(), (model, abortSignal) => streamText({ ...options, model, abortSignal }));
+
+// generateText with failover. The whole reply, tool calls included, must finish within the timeout;
+// a fallback model starts over, which is safe because the tools only read.
+export const generateTextWithFallback = (modelId, options) =>
+  withFallback(modelId, getGenerateTimeoutMs(), (model, abortSignal) => generateText({ ...options, model, abortSignal }));
@@ -0,0 +1,83 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { startStubModel } from '@/test/stubModel';
+import { generateTextWithFallback, streamTextWithFallback } from './llm';
+
+let stub;
+
+beforeAll(async () => {
+  stub = await startStubModel();
+  process.env.LOCAL_LLM_URL = stub.url;
+  // Failed candidates are logged; keep the test output clean
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.LLM_FALLBACK_MODELS;
+  delete process.env.LLM_TIMEOUT_SECONDS;
+  delete process.env.LLM_GENERATE_TIMEOUT_SECONDS;
+  stub.requests.length = 0;
+});
+
+afterAll(() => stub.close());
+
+const prompt = { messages: [{ role: 'user', content: 'Hello' }] };
+
+describe('generateTextWithFallback', () => {
+  it('answers with the requested model when it works', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:backup';
+    const { result, modelId } = await generateTextWithFallback('local:stub', prompt);
+
+    expect(modelId).toBe('local:stub');
+    expect(result.text).toBe('Stub reply.');
+    expect(stub.requests.map((r) => r.model)).toEqual(['stub']);
+  });
+
+  it('moves on to the next fallback when a model errors', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:broken,local:backup';
+    const { modelId } = await generateTextWithFallback('local:broken', prompt);
+
+    expect(modelId).toBe('local:backup');
+    expect(stub.requests.map((r) => r.model)).toEqual(['broken', 'backup']);
+  });
+
+  it('moves on to the next fallback when a model times out', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:backup';
+    process.env.LLM_GENERATE_TIMEOUT_SECONDS = '1';
+    const { modelId } = await generateTextWithFallback('local:slow', prompt);
+
+    expect(modelId).toBe('local:backup');
+  });
+
+  it('throws the last error when every model fails', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:broken';
+
+    await expect(generateTextWithFallback('local:broken', prompt)).rejects.toThrow('The stub model is broken.');
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it('rejects unknown model ids', async () => {
+    await expect(generateTextWithFallback('nowhere:model', prompt)).rejects.toThrow('Unknown model "nowhere:model".');
+  });
+});
+
+describe('streamTextWithFallback', () => {
+  it('moves on to the next fallback when a model errors before streaming', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:backup';
+    const { result, modelId } = await streamTextWithFallback('local:broken', prompt);
+
+    expect(modelId).toBe('local:backup');
+    let text = '';
+    for await (const delta of result.textStream) {
+      text += delta;
+    }
+    expect(text).toBe('Stub reply.');
+  });
+
+  it('moves on to the next fallback when a model does not start in time', async () => {
+    process.env.LLM_FALLBACK_MODELS = 'local:backup';
+    process.env.LLM_TIMEOUT_SECONDS = '1';
+    const { modelId } = await streamTextWithFallback('local:slow', prompt);
+
+    expect(modelId).toBe('local:backup');
+  });
+});
@@ -0,0 +1,32 @@
+// Locale handling for plans: which Wikipedia edition and instruction language to ask for, and
+// which units and number formats to print. Locales are BCP 47 tags such as "de-DE" or "en-US".
+export const DEFAULT_LOCALE = 'en';
+
+// Regions that sign road distances in miles
+const MILE_REGIONS = ['US', 'GB', 'LR', 'MM'];
+
+// Regions that give temperatures in Fahrenheit and rain and snow in inches
+const FAHRENHEIT_REGIONS = ['US', 'LR', 'MM', 'BS', 'BZ', 'KY', 'PW'];
+
+// Canonical form of a locale tag, or the default when it is missing or not a valid tag
+export const resolveLocale = (value) => {
+  if (!value) {
+    return DEFAULT_LOCALE;
+  }
+  try {
+    return Intl.getCanonicalLocales(value)[0] || DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// "de-AT" -> "de"
+export const getLanguage = (locale) => new Intl.Locale(resolveLocale(locale)).language;
+
+// Only an explicit region switches to miles, so a bare "en" keeps kilometers
+export const getDistanceUnit = (locale) =>
+  MILE_REGIONS.includes(new Intl.Locale(resolveLocale(locale)).region) ? 'mile' : 'kilometer';
+
+// Like distances, only an explicit region switches to Fahrenheit and inches
+export const getTemperatureUnit = (locale) =>
+  FAHRENHEIT_REGIONS.includes(new Intl.Locale(resolveLocale(locale)).region) ? 'fahrenheit' : 'celsius';
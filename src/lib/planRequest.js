@@ -0,0 +1,31 @@
+import { z } from "zod";
+import { AVOID_OPTIONS, TRAVEL_MODES } from "./planner";
+
+export const MAX_PLAN_BYTES = 8 * 1024;
+
+// Body of POST /api/plan: the same inputs the get_route chat tool takes
+export const planRequestSchema = z.object({
+  origin: z.string().trim().min(1).max(200),
+  destination: z.string().trim().min(1).max(200),
+  travelMode: z.enum(TRAVEL_MODES).default('driving'),
+  // ISO 8601 with an offset; weather along the route is forecast for this departure
+  departAt: z.string().datetime({ offset: true }).optional(),
+  // Alternative to departAt: the departure is worked back from this deadline
+  arriveBy: z.string().datetime({ offset: true }).optional(),
+  // Any of "tolls", "motorways" and "ferries"
+  avoid: z.array(z.enum(Object.keys(AVOID_OPTIONS))).max(3).optional(),
+  // Rest breaks when driving; default to REST_BREAK_AFTER_MINUTES and REST_BREAK_MINUTES
+  maxDrivingMinutes: z.number().int().min(30).max(600).optional(),
+  breakMinutes: z.number().int().min(5).max(120).optional(),
+  // ISO 3166-1 alpha-2 code, preferred when a place name is ambiguous
+  country: z.string().length(2).optional(),
+  // BCP 47 locale for languages, units and formats, e.g. "de-DE"
+  locale: z.string().max(35).optional(),
+  // Also used to pick between ambiguous places
+  userLocation: z.object({
+    lat: z.number().min(-90).max(90),
+    lon: z.number().min(-180).max(180),
+  }).optional(),
+}).refine((request) => !(request.departAt && request.arriveBy), {
+  message: "Send either departAt or arriveBy.",
+});
@@ -0,0 +1,894 @@
+import { estimateBudget } from "./budget";
+import { cached, coordinateKey, normalizeKey, optionsKey, placeKey, splitPlace } from "./cache";
+import {
+  formatDistance,
+  formatDuration,
+  formatPrecipitation,
+  formatSnowfall,
+  formatTemperature,
+  formatWindSpeed,
+  localizeFigures,
+} from "./format";
+import { haversineDistance, lineLength, simplifyLine } from "./geo";
+import { buildClarification, resolveCandidates } from "./geocoding";
+import { describeError, mapWithConcurrency } from "./http";
+import { DEFAULT_LOCALE, getLanguage } from "./locale";
+import { getProvider } from "./providers";
+import { detourEndpoints, sampleRouteEvenly, selectStops } from "./routeStops";
+import { buildSchedule, elapsedSecondsAt } from "./schedule";
+import { detectHazards, sampleRoute } from "./weather";
+
+// Trip planning on top of the providers, shared by the chat tools and the JSON plan API.
+// Nothing here talks to a language model.
+
+// Mapbox directions profiles supported by get_route
+export const TRAVEL_MODES = ['driving', 'driving-traffic', 'walking', 'cycling'];
+
+// Google Maps only knows driving, walking, bicycling and transit
+const googleTravelModes = {
+  driving: 'driving',
+  'driving-traffic': 'driving',
+  walking: 'walking',
+  cycling: 'bicycling',
+};
+
+const getGoogleMapsDirectionsUrl = (originCoords, destinationCoords, travelMode = 'driving') =>
+  `https://www.google.com/maps/dir/?api=1&origin=${originCoords.lat},${originCoords.lon}&destination=${destinationCoords.lat},${destinationCoords.lon}&travelmode=${googleTravelModes[travelMode] || 'driving'}`;
+
+// Lookups go through the configured providers (see src/lib/providers) and the cache (see src/lib/cache).
+// Keys include the provider name so switching providers never serves another vendor's results.
+const stopsKey = (stops) => stops.map((s) => coordinateKey(s.coords)).join(';');
+
+const geocode = cached(
+  'geocoding',
+  (location, { country } = {}) => `${getProvider('geocoding').name}:${placeKey(location, country)}`,
+  (location, options) => getProvider('geocoding').geocode(location, options)
+);
+
+// Only ever asked about the user's own position, so never cached: the cache would keep their address
+const reverseGeocode = (coordinates, language) => getProvider('geocoding').reverseGeocode(coordinates, { language });
+
+// Best match only, for names that are already qualified (e.g. an attraction within a known destination)
+const getCoordinates = async (location) => {
+  const result = await geocode(location);
+  return result.success && result.candidates.length > 0 ? result.candidates[0].coords : null;
+};
+
+// What travellers can ask to avoid, and the road class routing providers know it by
+export const AVOID_OPTIONS = { tolls: 'toll', motorways: 'motorway', ferries: 'ferry' };
+
+// Turn instructions come back in the requested language, so it is part of the key, as are exclusions
+const routeKey = (origin, destination, travelMode, language, exclude = []) =>
+  `${getProvider('routing').name}:${travelMode}:${language}:${[...exclude].sort().join('+') || '-'}:${coordinateKey(origin)};${coordinateKey(destination)}`;
+const fetchRouteDetails = (origin, destination, travelMode, language, exclude = []) =>
+  getProvider('routing').getRouteDetails(origin, destination, travelMode, { language, exclude });
+const getStaticRouteDetails = cached('routing', routeKey, fetchRouteDetails);
+// Live traffic goes stale quickly, so it has its own short TTL
+const getTrafficRouteDetails = cached('traffic', routeKey, fetchRouteDetails);
+// Cached results hold the raw figures, which are formatted for the locale on the way out.
+// avoid holds AVOID_OPTIONS keys; the result's avoided lists the ones the provider could honour.
+const getRouteDetails = async (origin, destination, travelMode = 'driving', locale = DEFAULT_LOCALE, avoid = []) => {
+  const fetchRoute = travelMode === 'driving-traffic' ? getTrafficRouteDetails : getStaticRouteDetails;
+  const exclude = avoid.map((option) => AVOID_OPTIONS[option]);
+  const result = await fetchRoute(origin, destination, travelMode, getLanguage(locale), exclude);
+  if (!result.success) {
+    return result;
+  }
+  const avoided = avoid.filter((option) => (result.excluded || []).includes(AVOID_OPTIONS[option]));
+  return { ...localizeFigures(result, locale), avoided, notAvoided: avoid.filter((option) => !avoided.includes(option)) };
+};
+const getMultiStopRouteDetails = cached(
+  'routing',
+  (stops, travelMode = 'driving') => `${getProvider('routing').name}:${travelMode}:${stopsKey(stops)}`,
+  (...args) => getProvider('routing').getMultiStopRouteDetails(...args)
+);
+const getOptimizedRouteDetails = cached(
+  'routing',
+  (stops, travelMode = 'driving', roundTrip = false) => `${getProvider('routing').name}:optimized:${travelMode}:${roundTrip}:${stopsKey(stops)}`,
+  (...args) => getProvider('routing').getOptimizedRouteDetails(...args)
+);
+export const getPopularPlaces = cached(
+  'attractions',
+  (location, limit = 5, locale = DEFAULT_LOCALE) => `${getProvider('attractions').name}:${getLanguage(locale)}:${limit}:${splitPlace(location).name}`,
+  (location, limit = 5, locale = DEFAULT_LOCALE) => getProvider('attractions').getPopularPlaces(location, limit, { language: getLanguage(locale) })
+);
+export const getHistoricalInfo = cached(
+  'history',
+  (location, locale = DEFAULT_LOCALE) => `${getProvider('history').name}:${getLanguage(locale)}:${splitPlace(location).name}`,
+  (location, locale = DEFAULT_LOCALE) => getProvider('history').getHistoricalInfo(location, { language: getLanguage(locale) })
+);
+const getHotelRecommendations = cached(
+  'hotels',
+  (coordinates, filters) => `${getProvider('hotels').name}:${coordinateKey(coordinates)}:${optionsKey(filters)}`,
+  (coordinates, filters) => getProvider('hotels').getHotelRecommendations(coordinates, filters)
+);
+const getNearbyLandmarks = cached(
+  'attractions',
+  (coordinates, radiusMeters, limit, locale = DEFAULT_LOCALE) => `${getProvider('attractions').name}:nearby:${getLanguage(locale)}:${radiusMeters}:${limit}:${coordinateKey(coordinates)}`,
+  (coordinates, radiusMeters, limit, locale = DEFAULT_LOCALE) =>
+    getProvider('attractions').getNearbyPlaces(coordinates, { radiusMeters, limit, language: getLanguage(locale) })
+);
+// Forecasts are keyed by the hour they are for
+const getForecast = cached(
+  'weather',
+  (coordinates, time) => `${getProvider('weather').name}:${coordinateKey(coordinates)}:${new Date(time).toISOString().slice(0, 13)}`,
+  (coordinates, time) => getProvider('weather').getForecast(coordinates, new Date(time))
+);
+
+// Points of interest near one point, for finding stops along a route and exploring around the user.
+// category may be free text, or left out for everything nearby.
+const PLACES_PER_SEARCH = 10;
+const searchPlaces = cached(
+  'pois',
+  (coordinates, category, radiusMeters) => `${getProvider('pois').name}:${normalizeKey(category || '*')}:${radiusMeters}:${coordinateKey(coordinates)}`,
+  (coordinates, category, radiusMeters) => getProvider('pois').searchPlaces(coordinates, { category, radiusMeters, limit: PLACES_PER_SEARCH })
+);
+
+export const MAX_STOPS = 10;
+
+const centroid = (points) => ({
+  lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+  lon: points.reduce((sum, p) => sum + p.lon, 0) / points.length,
+});
+
+// Geocode several place names together. A name with several equally good matches is first
+// narrowed down by the proximity bias (e.g. the user's position), then by the places that did
+// resolve ("Springfield" next to "Chicago" means Illinois). Anything still ambiguous is returned
+// as clarifications for the model to ask the user about.
+// knownPlaces ({ name, coords }, such as the user's own position) are used as they are instead of being geocoded.
+const resolvePlaces = async (names, { country, proximity, knownPlaces = [] } = {}) => {
+  const lookups = await Promise.all(names.map((name) => {
+    const known = knownPlaces.find((place) => place.name === name);
+    return known ? { success: true, candidates: [{ name, coords: known.coords, relevance: 1 }] } : geocode(name, { country });
+  }));
+  const failed = names.filter((name, index) => !lookups[index].success);
+
+  if (failed.length > 0) {
+    const reason = lookups.find((lookup) => !lookup.success).reason || null;
+    return { success: false, message: `Failed to look up: ${failed.join(', ')}.`, reason };
+  }
+
+  let resolutions = lookups.map((lookup) => resolveCandidates(lookup.candidates, { proximity }));
+
+  const anchors = resolutions.filter((r) => r.status === 'resolved').map((r) => r.candidate.coords);
+  if (anchors.length > 0) {
+    resolutions = resolutions.map((resolution, index) =>
+      resolution.status === 'ambiguous'
+        ? resolveCandidates(lookups[index].candidates, { proximity: centroid(anchors) })
+        : resolution
+    );
+  }
+
+  const notFound = names.filter((name, index) => resolutions[index].status === 'not_found');
+  if (notFound.length > 0) {
+    return { success: false, message: `Failed to get coordinates for: ${notFound.join(', ')}.` };
+  }
+
+  const clarifications = names
+    .map((query, index) => ({ query, candidates: resolutions[index].candidates }))
+    .filter((c, index) => resolutions[index].status === 'ambiguous');
+  if (clarifications.length > 0) {
+    return { success: false, message: "Some places are ambiguous.", clarifications };
+  }
+
+  return {
+    success: true,
+    coords: resolutions.map((r) => r.candidate.coords),
+    names: resolutions.map((r) => r.candidate.name),
+  };
+};
+
+// Tool result for a failed lookup: a clarification request when places were ambiguous, else the error
+export const toFailureResult = (result) =>
+  result.clarifications ? buildClarification(result.clarifications) : { text: result.message };
+
+const FORECAST_CONCURRENCY = 3;
+
+// Forecast at points along the route for the time the traveller is expected to pass them,
+// rest breaks in the schedule included
+const getRouteWeather = async (routeResult, originCoords, destinationCoords, schedule, locale = DEFAULT_LOCALE) => {
+  const departure = new Date(schedule.departAt);
+  const samples = sampleRoute(routeResult.geometry, originCoords, destinationCoords);
+
+  const forecasts = await mapWithConcurrency(samples, FORECAST_CONCURRENCY, (sample) => {
+    const elapsedSeconds = elapsedSecondsAt(schedule, sample.fraction * routeResult.durationSeconds);
+    const eta = new Date(departure.getTime() + elapsedSeconds * 1000);
+    return getForecast(sample.coords, eta.toISOString()).then((result) => ({ ...sample, eta: eta.toISOString(), result }));
+  });
+  const failedForecast = forecasts.find(({ result }) => !result.success);
+
+  const points = forecasts.map(({ coords, fraction, eta, result }) => ({
+    coords,
+    eta,
+    label: fraction === 0 ? 'Departure' : fraction === 1 ? 'Destination' : `After ${formatDistance(fraction * routeResult.distanceMeters, locale)}`,
+    forecast: result.success ? result.forecast : null,
+    hazards: result.success ? detectHazards(result.forecast) : [],
+  }));
+
+  return {
+    departAt: departure.toISOString(),
+    points,
+    warnings: points
+      .filter((p) => p.hazards.length > 0)
+      .map((p) => ({ label: p.label, eta: p.eta, hazards: p.hazards })),
+    unavailable: points.filter((p) => !p.forecast).length,
+    unavailableReason: failedForecast ? failedForecast.result.reason || failedForecast.result.message : null,
+  };
+};
+
+// A section that failed, with the provider's reason when it gave one
+const toFailedSection = (section, result) => ({ section, message: result.message, reason: result.reason || null });
+
+// Sections that never resolve or throw are reported as failed instead of sinking the whole plan
+const settle = (promise) =>
+  promise.catch((error) => {
+    console.error("Unexpected error fetching trip section:", error);
+    return { success: false, message: "Unexpected error.", reason: describeError(error) };
+  });
+
+// Report when a section starts and whether it succeeded; results without a success flag count as done
+const trackProgress = (onProgress, section, promise) => {
+  if (!onProgress) {
+    return promise;
+  }
+  onProgress(section, 'started');
+  return promise.then((result) => {
+    onProgress(section, result?.success === false ? 'failed' : 'done');
+    return result;
+  });
+};
+
+// Enhanced getRouteAndDetails function.
+// routeOptions: { avoid, arriveBy, restBreaks: { maxDrivingMinutes, breakMinutes }, onProgress(section, status) };
+// arriveBy replaces departAt. onProgress hears about geocoding, route, attractions, history, hotels and weather.
+export const getRouteAndDetails = async (origin, destination, travelMode = 'driving', departAt = new Date().toISOString(), bias = {}, locale = DEFAULT_LOCALE, routeOptions = {}) => {
+  const { avoid = [], arriveBy, restBreaks, onProgress } = routeOptions;
+  const places = await trackProgress(onProgress, 'geocoding', resolvePlaces([origin, destination], bias));
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  // Fetch all information in parallel
+  const [routeResult, popularPlaces, historicalInfo, hotels] = await Promise.all([
+    trackProgress(onProgress, 'route', settle(getRouteDetails(originCoords, destinationCoords, travelMode, locale, avoid))),
+    trackProgress(onProgress, 'attractions', settle(getPopularPlaces(destination, 5, locale))),
+    trackProgress(onProgress, 'history', settle(getHistoricalInfo(destination, locale))),
+    trackProgress(onProgress, 'hotels', settle(getHotelRecommendations(destinationCoords))),
+  ]);
+
+  // Without a route there is no plan; everything else is reported as a failed section
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+
+  // The schedule and weather need the route, so they follow once it is known
+  const schedule = buildSchedule(routeResult, { travelMode, departAt, arriveBy, restBreaks, locale });
+  const weather = await trackProgress(onProgress, 'weather', getRouteWeather(routeResult, originCoords, destinationCoords, schedule, locale));
+
+  const failedSections = [];
+  if (!popularPlaces.success) failedSections.push(toFailedSection('attractions', popularPlaces));
+  if (!historicalInfo.success) failedSections.push(toFailedSection('history', historicalInfo));
+  if (!hotels.success) failedSections.push(toFailedSection('hotels', hotels));
+  if (weather.unavailable > 0) {
+    failedSections.push({
+      section: 'weather',
+      message: weather.unavailable === weather.points.length
+        ? "No forecast was available along the route."
+        : `No forecast was available for ${weather.unavailable} of ${weather.points.length} points along the route.`,
+      reason: weather.unavailableReason,
+    });
+  }
+
+  const mapboxDirectionsUrl = `https://www.mapbox.com/directions/?start=${originCoords.lon},${originCoords.lat}&end=${destinationCoords.lon},${destinationCoords.lat}&profile=${travelMode}`;
+  const googleMapsDirectionsUrl = getGoogleMapsDirectionsUrl(originCoords, destinationCoords, travelMode);
+
+  return {
+    success: true,
+    locale,
+    departAt: schedule.departAt,
+    schedule,
+    avoided: routeResult.avoided,
+    notAvoided: routeResult.notAvoided,
+    weather,
+    originCoords,
+    destinationCoords,
+    duration: routeResult.duration,
+    distance: routeResult.distance,
+    durationSeconds: routeResult.durationSeconds,
+    distanceMeters: routeResult.distanceMeters,
+    directions: routeResult.directions,
+    steps: routeResult.steps,
+    geometry: routeResult.geometry,
+    placesAlongRoute: routeResult.places,
+    popularPlaces: popularPlaces.success ? popularPlaces.places : [],
+    historicalInfo: historicalInfo.success ? historicalInfo.history : null,
+    hotels: hotels.success ? hotels.hotels : [],
+    failedSections,
+    mapboxUrl: mapboxDirectionsUrl,
+    googleMapsUrl: googleMapsDirectionsUrl,
+  };
+};
+
+// Structured trip plan returned by get_route and rendered as cards by the chat page:
+// { type: 'trip_plan', locale, origin, destination, travelMode, departAt, schedule, avoided, notAvoided, route, steps,
+//   geometry, placesAlongRoute, attractions, hotels, history, weather, failedSections, links }
+export const buildTripPlan = (origin, destination, travelMode, result) => ({
+  type: 'trip_plan',
+  locale: result.locale,
+  origin: { name: origin, coords: result.originCoords },
+  destination: { name: destination, coords: result.destinationCoords },
+  travelMode,
+  departAt: result.departAt,
+  schedule: result.schedule,
+  avoided: result.avoided,
+  notAvoided: result.notAvoided,
+  route: {
+    duration: result.duration,
+    distance: result.distance,
+    durationSeconds: result.durationSeconds,
+    distanceMeters: result.distanceMeters,
+  },
+  steps: result.steps,
+  geometry: simplifyLine(result.geometry),
+  placesAlongRoute: result.placesAlongRoute,
+  attractions: result.popularPlaces,
+  hotels: result.hotels,
+  history: result.historicalInfo,
+  weather: {
+    warnings: result.weather.warnings,
+    points: result.weather.points.map(({ coords, ...point }) => point),
+  },
+  failedSections: result.failedSections,
+  links: {
+    googleMaps: result.googleMapsUrl,
+    mapbox: result.mapboxUrl,
+  },
+});
+
+// Directions only, without the destination lookups get_route adds, timed from departAt or back from arriveBy
+export const getDirections = async (origin, destination, travelMode = 'driving', bias = {}, locale = DEFAULT_LOCALE, { avoid = [], departAt, arriveBy, restBreaks } = {}) => {
+  const places = await resolvePlaces([origin, destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  const routeResult = await getRouteDetails(originCoords, destinationCoords, travelMode, locale, avoid);
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+  const schedule = buildSchedule(routeResult, { travelMode, departAt, arriveBy, restBreaks, locale });
+
+  return {
+    success: true,
+    type: 'directions',
+    locale,
+    origin: { name: origin, coords: originCoords },
+    destination: { name: destination, coords: destinationCoords },
+    travelMode,
+    departAt: schedule.departAt,
+    schedule,
+    avoided: routeResult.avoided,
+    notAvoided: routeResult.notAvoided,
+    route: {
+      duration: routeResult.duration,
+      distance: routeResult.distance,
+      durationSeconds: routeResult.durationSeconds,
+      distanceMeters: routeResult.distanceMeters,
+    },
+    steps: routeResult.steps,
+    geometry: simplifyLine(routeResult.geometry),
+    links: {
+      googleMaps: getGoogleMapsDirectionsUrl(originCoords, destinationCoords, travelMode),
+      mapbox: `https://www.mapbox.com/directions/?start=${originCoords.lon},${originCoords.lat}&end=${destinationCoords.lon},${destinationCoords.lat}&profile=${travelMode}`,
+    },
+  };
+};
+
+// Hotels around a place with search filters passed through to the hotels provider
+export const findHotels = async (location, filters, bias = {}) => {
+  const places = await resolvePlaces([location], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [coords] = places.coords;
+
+  const hotels = await getHotelRecommendations(coords, filters);
+  if (!hotels.success) {
+    return { success: false, message: hotels.message };
+  }
+  if (hotels.hotels.length === 0) {
+    return { success: false, message: `No hotels near ${location} match those filters.` };
+  }
+
+  return {
+    success: true,
+    type: 'hotels',
+    location: { name: location, coords },
+    filters,
+    hotels: hotels.hotels,
+  };
+};
+
+// A position shared by the user as a place tools can start from: named by its address,
+// or by its coordinates when reverse geocoding fails, so the position itself is always usable
+export const describeLocation = async (coords, locale = DEFAULT_LOCALE) => {
+  const result = await reverseGeocode(coords, getLanguage(locale));
+  if (!result.success) {
+    return { name: `${coords.lat.toFixed(5)}, ${coords.lon.toFixed(5)}`, coords, place: null, reason: result.reason || result.message };
+  }
+  return { name: result.place.name, coords, place: result.place };
+};
+
+// Wikipedia only searches 10 km around a point, so exploring stays within walking and short driving range
+export const MAX_NEARBY_RADIUS_METERS = 10000;
+export const MAX_NEARBY_PLACES = PLACES_PER_SEARCH;
+
+// Places around one point within a radius, nearest first: any category from the places provider,
+// plus Wikipedia articles about landmarks (by default only when no category is asked for)
+export const exploreNearby = async (location, {
+  category,
+  radiusMeters = 1500,
+  limit = MAX_NEARBY_PLACES,
+  landmarks = !category,
+  bias = {},
+  locale = DEFAULT_LOCALE,
+} = {}) => {
+  const resolved = await resolvePlaces([location], bias);
+
+  if (!resolved.success) {
+    return resolved;
+  }
+  const [coords] = resolved.coords;
+
+  const [places, nearbyLandmarks] = await Promise.all([
+    settle(searchPlaces(coords, category, radiusMeters)),
+    landmarks ? settle(getNearbyLandmarks(coords, radiusMeters, limit, locale)) : null,
+  ]);
+
+  const failedSections = [];
+  if (!places.success) failedSections.push(toFailedSection('places', places));
+  if (nearbyLandmarks && !nearbyLandmarks.success) failedSections.push(toFailedSection('landmarks', nearbyLandmarks));
+  if (failedSections.length === (landmarks ? 2 : 1)) {
+    return { success: false, message: places.message, reason: places.reason || null };
+  }
+
+  // Providers sort by their own idea of distance; everything is measured from the same point here
+  const withDistance = (place) => {
+    const distanceMeters = place.coords ? haversineDistance(coords, place.coords) * 1000 : null;
+    return { ...place, distanceMeters, distance: distanceMeters === null ? null : formatDistance(distanceMeters, locale) };
+  };
+  const nearestFirst = (items) =>
+    items.map(withDistance).sort((a, b) => (a.distanceMeters ?? Infinity) - (b.distanceMeters ?? Infinity)).slice(0, limit);
+
+  return {
+    success: true,
+    type: 'nearby_places',
+    locale,
+    location: { name: resolved.names[0], coords },
+    category: category || null,
+    radiusMeters,
+    radius: formatDistance(radiusMeters, locale),
+    places: places.success ? nearestFirst(places.places) : [],
+    landmarks: nearbyLandmarks?.success ? nearestFirst(nearbyLandmarks.places) : [],
+    failedSections,
+  };
+};
+
+const POI_SEARCH_CONCURRENCY = 4;
+const DETOUR_CONCURRENCY = 3;
+
+// Real stops (fuel, chargers, food, rest areas) near the route: the route is searched at regular
+// intervals, and each stop gets the detour it adds, routed from just before it to just after it
+export const findStopsAlongRoute = async (origin, destination, {
+  categories,
+  travelMode = 'driving',
+  spacingKm = 25,
+  maxOffRouteMeters = 2000,
+  maxStops = 10,
+  bias = {},
+  locale = DEFAULT_LOCALE,
+}) => {
+  const places = await resolvePlaces([origin, destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  const routeResult = await getRouteDetails(originCoords, destinationCoords, travelMode, locale);
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+  const { geometry } = routeResult;
+
+  // Distances along the route are scaled by its length, so a route that goes nowhere has nothing to search
+  const geometryKm = lineLength(geometry);
+  if (!(geometryKm > 0 && routeResult.distanceMeters > 0 && routeResult.durationSeconds > 0)) {
+    return { success: false, message: `${origin} and ${destination} are at the same place, so there is no route to find stops along.` };
+  }
+
+  const { samples, searchRadiusMeters } = sampleRouteEvenly(geometry, spacingKm, maxOffRouteMeters);
+  const searches = samples.flatMap((sample) => categories.map((category) => ({ sample, category })));
+  const results = await mapWithConcurrency(searches, POI_SEARCH_CONCURRENCY, ({ sample, category }) =>
+    settle(searchPlaces(sample.coords, category, searchRadiusMeters))
+  );
+
+  const failed = results.filter((result) => !result.success);
+  if (failed.length === results.length) {
+    return { success: false, message: failed[0].message };
+  }
+
+  const stops = selectStops(geometry, results.flatMap((result) => result.places || []), { maxOffRouteMeters, maxStops });
+
+  // Provider distances can differ from the geometry's length (e.g. straight-line estimates), so the
+  // direct stretch is scaled to the route's own figures before comparing it with the detour
+  const metersPerGeometryKm = routeResult.distanceMeters / geometryKm;
+  const metersPerSecond = routeResult.distanceMeters / routeResult.durationSeconds;
+
+  const withDetours = await mapWithConcurrency(stops, DETOUR_CONCURRENCY, async ({ offsetKm, alongKm, ...stop }) => {
+    const { from, to, directKm } = detourEndpoints(geometry, alongKm);
+    const directMeters = directKm * metersPerGeometryKm;
+    const via = await settle(getMultiStopRouteDetails([
+      { name: 'Route', coords: from },
+      { name: stop.name, coords: stop.coords },
+      { name: 'Route', coords: to },
+    ], travelMode));
+
+    // Without a route through the stop, assume the way there and back is straight
+    const detourMeters = via.success ? Math.max(via.distanceMeters - directMeters, 0) : 2 * offsetKm * 1000;
+    const detourSeconds = via.success
+      ? Math.max(via.durationSeconds - directMeters / metersPerSecond, 0)
+      : detourMeters / metersPerSecond;
+
+    return {
+      ...stop,
+      distanceAlongMeters: alongKm * metersPerGeometryKm,
+      distanceAlong: formatDistance(alongKm * metersPerGeometryKm, locale),
+      offRouteMeters: offsetKm * 1000,
+      detourMeters,
+      detourSeconds,
+      detour: `+${formatDuration(detourSeconds, locale)}, +${formatDistance(detourMeters, locale)}`,
+      detourEstimated: !via.success,
+    };
+  });
+
+  return {
+    success: true,
+    type: 'route_stops',
+    locale,
+    origin: { name: origin, coords: originCoords },
+    destination: { name: destination, coords: destinationCoords },
+    travelMode,
+    categories,
+    route: {
+      duration: routeResult.duration,
+      distance: routeResult.distance,
+      durationSeconds: routeResult.durationSeconds,
+      distanceMeters: routeResult.distanceMeters,
+    },
+    geometry: simplifyLine(geometry),
+    stops: withDetours,
+    failedSearches: failed.length,
+    links: {
+      googleMaps: getGoogleMapsDirectionsUrl(originCoords, destinationCoords, travelMode),
+    },
+  };
+};
+
+// Run several Mapbox profiles for the same trip so they can be compared side by side
+export const compareTravelModes = async (origin, destination, modes = TRAVEL_MODES, bias = {}, locale = DEFAULT_LOCALE) => {
+  const places = await resolvePlaces([origin, destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  const uniqueModes = [...new Set(modes)];
+  const routeResults = await Promise.all(
+    uniqueModes.map((mode) => getRouteDetails(originCoords, destinationCoords, mode, locale))
+  );
+
+  const comparison = uniqueModes.map((mode, index) => {
+    const routeResult = routeResults[index];
+    return {
+      mode,
+      success: routeResult.success,
+      duration: routeResult.success ? routeResult.duration : null,
+      distance: routeResult.success ? routeResult.distance : null,
+      durationSeconds: routeResult.success ? routeResult.durationSeconds : null,
+      message: routeResult.success ? null : routeResult.message,
+      googleMapsUrl: getGoogleMapsDirectionsUrl(originCoords, destinationCoords, mode),
+    };
+  });
+
+  if (!comparison.some((c) => c.success)) {
+    return { success: false, message: "No routes found for any of the requested travel modes." };
+  }
+
+  const fastest = comparison
+    .filter((c) => c.success)
+    .reduce((best, c) => (c.durationSeconds < best.durationSeconds ? c : best));
+
+  return {
+    success: true,
+    type: 'travel_modes',
+    locale,
+    origin: { name: origin, coords: originCoords },
+    destination: { name: destination, coords: destinationCoords },
+    comparison,
+    fastestMode: fastest.mode,
+  };
+};
+
+// Geocode every stop and route through them, optionally reordering for the shortest trip
+export const getMultiStopItinerary = async (stopNames, { travelMode = 'driving', optimize = false, roundTrip = false, bias = {}, locale = DEFAULT_LOCALE } = {}) => {
+  const places = await resolvePlaces(stopNames, bias);
+
+  if (!places.success) {
+    return places;
+  }
+
+  const stops = stopNames.map((name, index) => ({ name, coords: places.coords[index] }));
+
+  const routeResult = localizeFigures(
+    optimize
+      ? await getOptimizedRouteDetails(stops, travelMode, roundTrip)
+      : await getMultiStopRouteDetails(roundTrip ? [...stops, stops[0]] : stops, travelMode),
+    locale
+  );
+
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+  // Live traffic is limited to a few stops, beyond which providers route without it
+  const routedMode = routeResult.travelMode || travelMode;
+
+  const orderedStops = optimize ? routeResult.stops : stops;
+  const start = orderedStops[0].coords;
+  const end = roundTrip ? start : orderedStops[orderedStops.length - 1].coords;
+  const via = roundTrip ? orderedStops.slice(1) : orderedStops.slice(1, -1);
+
+  const googleWaypoints = via.map((s) => `${s.coords.lat},${s.coords.lon}`).join('|');
+  const mapboxWaypoints = via.map((s) => `${s.coords.lon},${s.coords.lat}`).join(';');
+  const googleMapsDirectionsUrl = `${getGoogleMapsDirectionsUrl(start, end, routedMode)}${via.length ? `&waypoints=${encodeURIComponent(googleWaypoints)}` : ''}`;
+  const mapboxDirectionsUrl = `https://www.mapbox.com/directions/?start=${start.lon},${start.lat}&end=${end.lon},${end.lat}${via.length ? `&waypoints=${mapboxWaypoints}` : ''}&profile=${routedMode}`;
+
+  return {
+    success: true,
+    type: 'multi_stop_route',
+    locale,
+    stops: orderedStops.map((s) => s.name),
+    waypoints: orderedStops,
+    roundTrip,
+    optimized: optimize,
+    travelMode: routedMode,
+    withoutTraffic: travelMode === 'driving-traffic' && routedMode !== travelMode,
+    legs: routeResult.legs,
+    totalDuration: formatDuration(routeResult.durationSeconds, locale),
+    totalDistance: formatDistance(routeResult.distanceMeters, locale),
+    geometry: simplifyLine(routeResult.geometry),
+    mapboxUrl: mapboxDirectionsUrl,
+    googleMapsUrl: googleMapsDirectionsUrl,
+  };
+};
+
+export const MAX_ITINERARY_DAYS = 14;
+const ITINERARY_ROUTE_CONCURRENCY = 4;
+
+// "09:30" -> 570 minutes after midnight
+const parseTimeOfDay = (value) => {
+  const [hours, minutes = '0'] = value.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+// 570 -> "09:30"
+const formatTimeOfDay = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = Math.round(totalMinutes % 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Build a day-by-day schedule: attractions go into time slots between dayStart and dayEnd,
+// travel time between them comes from Mapbox, and each night gets a hotel.
+// The attractions are visited in one nearest-neighbour tour from the hotel, and each day takes the next
+// stretch of it that fits, so every leg is known up front and routed in parallel.
+export const planItinerary = async (destination, {
+  days,
+  nights = days - 1,
+  dayStart = '09:00',
+  dayEnd = '18:00',
+  visitMinutes = 90,
+  travelMode = 'driving',
+  excludePlaces = [],
+  extraPlaces = [],
+  bias = {},
+  locale = DEFAULT_LOCALE,
+} = {}) => {
+  const places = await resolvePlaces([destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [destinationCoords] = places.coords;
+
+  const startMinutes = parseTimeOfDay(dayStart);
+  const endMinutes = parseTimeOfDay(dayEnd);
+
+  if (!(endMinutes > startMinutes)) {
+    return { success: false, message: "The daily end time must be after the daily start time." };
+  }
+  if (nights > days) {
+    return { success: false, message: `A trip of ${days} ${days === 1 ? 'day' : 'days'} has at most ${days} ${days === 1 ? 'night' : 'nights'}.` };
+  }
+
+  const [popularPlaces, hotels] = await Promise.all([
+    getPopularPlaces(destination, Math.min(days * 4, 20), locale),
+    getHotelRecommendations(destinationCoords),
+  ]);
+
+  const excluded = excludePlaces.map((p) => p.toLowerCase());
+  const extras = await Promise.all(
+    extraPlaces.map(async (title) => ({ title, description: '', url: null, coords: await getCoordinates(`${title}, ${destination}`) }))
+  );
+
+  // Attractions without coordinates can't be routed to, so they are listed as unscheduled
+  const candidates = [...extras, ...(popularPlaces.success ? popularPlaces.places : [])]
+    .filter((p) => !excluded.includes(p.title.toLowerCase()));
+  const unvisited = candidates.filter((p) => p.coords);
+  const unscheduled = candidates.filter((p) => !p.coords).map((p) => p.title);
+
+  const hotel = hotels.success ? hotels.hotels[0] : null;
+  const base = hotel?.coords || destinationCoords;
+
+  const tour = [];
+  let position = base;
+  while (unvisited.length > 0) {
+    const nextIndex = unvisited.reduce(
+      (best, p, index) => (haversineDistance(position, p.coords) < haversineDistance(position, unvisited[best].coords) ? index : best),
+      0
+    );
+    position = unvisited[nextIndex].coords;
+    tour.push(...unvisited.splice(nextIndex, 1));
+  }
+
+  // A day starts with a leg from the hotel and continues with legs between neighbours on the tour
+  const toMinutes = (leg) => (leg.success ? Math.ceil(leg.durationSeconds / 60) : 0);
+  const [minutesFromBase, minutesFromPrevious] = await Promise.all([
+    mapWithConcurrency(tour, ITINERARY_ROUTE_CONCURRENCY, (p) => getRouteDetails(base, p.coords, travelMode).then(toMinutes)),
+    mapWithConcurrency(tour.slice(1), ITINERARY_ROUTE_CONCURRENCY, (p, index) =>
+      getRouteDetails(tour[index].coords, p.coords, travelMode).then(toMinutes)
+    ),
+  ]);
+
+  const schedule = [];
+  let next = 0;
+  for (let day = 1; day <= days; day++) {
+    const slots = [];
+    let clock = startMinutes;
+
+    while (next < tour.length) {
+      const travelMinutes = slots.length === 0 ? minutesFromBase[next] : minutesFromPrevious[next - 1];
+
+      if (clock + travelMinutes + visitMinutes > endMinutes) {
+        // A place too far to visit even at the start of a day would hold up every day after it
+        if (slots.length === 0) {
+          unscheduled.push(tour[next].title);
+          next++;
+          continue;
+        }
+        break;
+      }
+
+      clock += travelMinutes;
+      slots.push({
+        title: tour[next].title,
+        url: tour[next].url,
+        description: tour[next].description,
+        travelMinutes,
+        start: formatTimeOfDay(clock),
+        end: formatTimeOfDay(clock + visitMinutes),
+      });
+      clock += visitMinutes;
+      next++;
+    }
+
+    schedule.push({
+      day,
+      slots,
+      hotel: day <= nights && hotel ? { name: hotel.name, link: hotel.link, address: hotel.address, rating: hotel.rating } : null,
+    });
+  }
+
+  return {
+    success: true,
+    type: 'itinerary',
+    locale,
+    destination,
+    days,
+    nights,
+    dayStart,
+    dayEnd,
+    visitMinutes,
+    travelMode,
+    schedule,
+    unscheduled: [...unscheduled, ...tour.slice(next).map((p) => p.title)],
+    alternativeHotels: hotels.success ? hotels.hotels.slice(1).map((h) => h.name) : [],
+  };
+};
+
+// Cost estimate for driving (or walking/cycling) to a destination and staying there
+export const estimateTripBudget = async (origin, destination, { travelMode = 'driving', bias = {}, locale = DEFAULT_LOCALE, ...options }) => {
+  const places = await resolvePlaces([origin, destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  const [routeResult, hotels] = await Promise.all([
+    getRouteDetails(originCoords, destinationCoords, travelMode, locale),
+    getHotelRecommendations(destinationCoords),
+  ]);
+
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+
+  return {
+    success: true,
+    type: 'budget',
+    locale,
+    origin: { name: origin, coords: originCoords },
+    destination: { name: destination, coords: destinationCoords },
+    ...estimateBudget({
+      distanceMeters: routeResult.distanceMeters,
+      travelMode,
+      hotels: hotels.success ? hotels.hotels : [],
+      ...options,
+    }),
+  };
+};
+
+// Weather along the route on its own, for comparing departure times
+export const checkRouteWeather = async (origin, destination, travelMode, departAt, bias = {}, locale = DEFAULT_LOCALE) => {
+  const places = await resolvePlaces([origin, destination], bias);
+
+  if (!places.success) {
+    return places;
+  }
+  const [originCoords, destinationCoords] = places.coords;
+
+  const routeResult = await getRouteDetails(originCoords, destinationCoords, travelMode, locale);
+  if (!routeResult.success) {
+    return { success: false, message: routeResult.message, reason: routeResult.reason || null };
+  }
+
+  const schedule = buildSchedule(routeResult, { travelMode, departAt, locale });
+  const weather = await getRouteWeather(routeResult, originCoords, destinationCoords, schedule, locale);
+
+  return {
+    success: true,
+    type: 'route_weather',
+    locale,
+    origin: { name: origin, coords: originCoords },
+    destination: { name: destination, coords: destinationCoords },
+    travelMode,
+    ...weather,
+    points: weather.points.map((point) => ({
+      ...point,
+      description: point.forecast ? describeForecast(point.forecast, locale) : null,
+    })),
+  };
+};
+
+// One forecast in the locale's units, e.g. "12°C, 0.4 mm rain, wind 20 km/h" or "54°F, 0.02 in rain, wind 12 mph"
+export const describeForecast = (forecast, locale = DEFAULT_LOCALE) =>
+  `${formatTemperature(forecast.temperatureC, locale)}, ${formatPrecipitation(forecast.precipitationMm, locale)} rain`
+  + `${forecast.snowfallCm ? `, ${formatSnowfall(forecast.snowfallCm, locale)} snow` : ''}`
+  + `, wind ${formatWindSpeed(forecast.windSpeedKmh, locale)}`;
@@ -0,0 +1,294 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  checkRouteWeather,
+  compareTravelModes,
+  describeForecast,
+  estimateTripBudget,
+  exploreNearby,
+  findHotels,
+  findStopsAlongRoute,
+  getDirections,
+  getMultiStopItinerary,
+  getRouteAndDetails,
+  planItinerary,
+} from './planner';
+import { getProvider } from './providers';
+
+// TRAVEL_PROVIDER=local (see vitest.config.mjs): every lookup is answered from providers/fixtures/local.json
+
+describe('place disambiguation', () => {
+  it('asks which springfield was meant', async () => {
+    const result = await getDirections('Paris', 'Springfield');
+
+    expect(result.success).toBe(false);
+    expect(result.clarifications).toHaveLength(1);
+    expect(result.clarifications[0].query).toBe('Springfield');
+    expect(result.clarifications[0].candidates.map((c) => c.region)).toEqual(['Illinois', 'Missouri', 'Massachusetts']);
+  });
+
+  it('takes the springfield nearest to the proximity bias', async () => {
+    const result = await getDirections('Paris', 'Springfield', 'driving', { proximity: { lat: 37.2, lon: -93.3 } });
+
+    expect(result.success).toBe(true);
+    expect(result.destination.coords).toEqual({ lat: 37.209, lon: -93.2923 });
+  });
+
+  it('takes the springfield a full name points at', async () => {
+    const result = await getDirections('Paris', 'Springfield, Massachusetts');
+
+    expect(result.success).toBe(true);
+  });
+
+  it('reports places it cannot find', async () => {
+    const result = await getDirections('Paris', 'Atlantis');
+
+    expect(result).toEqual({ success: false, message: 'Failed to get coordinates for: Atlantis.' });
+  });
+});
+
+describe('routing failures', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const failure = { success: false, message: 'Failed to get route details.', reason: 'HTTP 503' };
+
+  it.each([
+    ['getDirections', () => getDirections('Paris', 'Lyon')],
+    ['findStopsAlongRoute', () => findStopsAlongRoute('Paris', 'Lyon', { categories: ['fuel'] })],
+    ['checkRouteWeather', () => checkRouteWeather('Paris', 'Lyon', 'driving', '2030-06-01T08:00:00.000Z')],
+    ['estimateTripBudget', () => estimateTripBudget('Paris', 'Lyon', {})],
+  ])('%s passes the provider reason through', async (name, plan) => {
+    vi.spyOn(getProvider('routing'), 'getRouteDetails').mockResolvedValue(failure);
+
+    expect(await plan()).toEqual(failure);
+  });
+
+  it('getMultiStopItinerary passes the provider reason through', async () => {
+    vi.spyOn(getProvider('routing'), 'getMultiStopRouteDetails').mockResolvedValue(failure);
+
+    expect(await getMultiStopItinerary(['Paris', 'Lyon', 'Versailles'])).toEqual(failure);
+  });
+});
+
+describe('getRouteAndDetails', () => {
+  it('plans a route with the destination details', async () => {
+    const departAt = '2030-06-01T08:00:00.000Z';
+    const result = await getRouteAndDetails('Paris', 'Lyon', 'driving', departAt);
+
+    expect(result.success).toBe(true);
+    expect(result.departAt).toBe(departAt);
+    expect(result.distanceMeters).toBeGreaterThan(500 * 1000);
+    expect(result.hotels.map((h) => h.name)).toEqual(['Cour des Loges']);
+    expect(result.popularPlaces.length).toBeGreaterThan(0);
+    expect(result.historicalInfo).not.toBeNull();
+    expect(result.weather.points.length).toBeGreaterThan(1);
+    expect(result.failedSections).toEqual([]);
+  });
+
+  it('reports each section as it is fetched', async () => {
+    const events = [];
+    await getRouteAndDetails('Paris', 'Versailles', 'driving', undefined, {}, undefined, {
+      onProgress: (section, status) => events.push(`${section}:${status}`),
+    });
+
+    expect(events[0]).toBe('geocoding:started');
+    expect(events).toContain('route:done');
+    expect(events[events.length - 1]).toBe('weather:done');
+  });
+});
+
+describe('getMultiStopItinerary', () => {
+  it('routes through the stops in the given order', async () => {
+    const result = await getMultiStopItinerary(['Paris', 'Lyon', 'Versailles']);
+
+    expect(result).toMatchObject({ success: true, type: 'multi_stop_route' });
+    expect(result.stops).toEqual(['Paris', 'Lyon', 'Versailles']);
+    expect(result.waypoints.map((w) => w.coords)).toEqual(result.geometry.coordinates.map(([lon, lat]) => ({ lat, lon })));
+    expect(result.legs).toHaveLength(2);
+    expect(result.travelMode).toBe('driving');
+    expect(result.withoutTraffic).toBe(false);
+  });
+
+  it('reorders the stops for the shortest trip when optimizing', async () => {
+    const result = await getMultiStopItinerary(['Paris', 'Lyon', 'Versailles'], { optimize: true, roundTrip: true });
+
+    expect(result.stops).toEqual(['Paris', 'Versailles', 'Lyon']);
+    expect(result.legs).toHaveLength(3);
+  });
+});
+
+describe('compareTravelModes', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('routes each mode once and picks the fastest', async () => {
+    const result = await compareTravelModes('Paris', 'Lyon', ['walking', 'driving', 'cycling', 'driving']);
+
+    expect(result).toMatchObject({ success: true, type: 'travel_modes', fastestMode: 'driving' });
+    expect(result.origin.name).toBe('Paris');
+    expect(result.comparison.map((c) => c.mode)).toEqual(['walking', 'driving', 'cycling']);
+    result.comparison.forEach((c) => {
+      expect(c.success).toBe(true);
+      expect(c.googleMapsUrl).toContain('google.com/maps');
+    });
+  });
+
+  it('orders the modes by speed', async () => {
+    const { comparison } = await compareTravelModes('Paris', 'Lyon', ['walking', 'cycling', 'driving-traffic', 'driving']);
+    const [walking, cycling, traffic, driving] = comparison.map((c) => c.durationSeconds);
+
+    expect(driving).toBeLessThan(traffic);
+    expect(traffic).toBeLessThan(cycling);
+    expect(cycling).toBeLessThan(walking);
+  });
+
+  it('keeps the modes that could be routed when others fail', async () => {
+    const { getRouteDetails } = getProvider('routing');
+    vi.spyOn(getProvider('routing'), 'getRouteDetails').mockImplementation((origin, destination, mode, options) =>
+      mode === 'cycling' ? Promise.resolve({ success: false, message: 'No cycling route.' }) : getRouteDetails(origin, destination, mode, options)
+    );
+
+    const result = await compareTravelModes('Paris', 'Lyon', ['cycling', 'walking']);
+
+    expect(result.fastestMode).toBe('walking');
+    expect(result.comparison[0]).toMatchObject({ mode: 'cycling', success: false, duration: null, message: 'No cycling route.' });
+  });
+
+  it('fails when no mode could be routed', async () => {
+    vi.spyOn(getProvider('routing'), 'getRouteDetails').mockResolvedValue({ success: false, message: 'No route.' });
+
+    expect(await compareTravelModes('Paris', 'Lyon')).toEqual({
+      success: false,
+      message: 'No routes found for any of the requested travel modes.',
+    });
+  });
+
+  it('fails before routing when a place is unknown', async () => {
+    const result = await compareTravelModes('Paris', 'Atlantis');
+
+    expect(result).toEqual({ success: false, message: 'Failed to get coordinates for: Atlantis.' });
+  });
+});
+
+describe('findHotels', () => {
+  it('passes the filters to the hotels provider', async () => {
+    const result = await findHotels('Paris', { radiusMeters: 10000, minRating: 8.5 });
+
+    expect(result.success).toBe(true);
+    expect(result.hotels.map((h) => h.name)).toEqual(['Hôtel du Louvre']);
+  });
+
+  it('says so when no hotel matches', async () => {
+    const result = await findHotels('Paris', { radiusMeters: 10000, amenities: ['pool'] });
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('exploreNearby', () => {
+  it('finds places of a category within the radius', async () => {
+    const result = await exploreNearby('Paris', { category: 'museum', radiusMeters: 5000 });
+
+    expect(result.success).toBe(true);
+    expect(result.places.map((p) => p.name)).toEqual(["Musée d'Orsay"]);
+    expect(result.landmarks).toEqual([]);
+  });
+
+  it('adds landmarks when no category is asked for', async () => {
+    const result = await exploreNearby('Paris', { radiusMeters: 1000 });
+
+    expect(result.places.map((p) => p.name)).toEqual(['Pharmacie des Halles']);
+    expect(result.landmarks.map((l) => l.title)).toEqual(['Notre-Dame de Paris']);
+  });
+});
+
+describe('findStopsAlongRoute', () => {
+  it('finds stops near the route with the detour each adds', async () => {
+    const result = await findStopsAlongRoute('Paris', 'Lyon', { categories: ['fuel'] });
+
+    expect(result.success).toBe(true);
+    expect(result.stops.length).toBeGreaterThan(0);
+    result.stops.forEach((stop) => {
+      expect(stop.category).toBe('fuel');
+      expect(Number.isFinite(stop.distanceAlongMeters)).toBe(true);
+      expect(Number.isFinite(stop.detourSeconds)).toBe(true);
+    });
+  });
+
+  it('fails clearly when the route goes nowhere', async () => {
+    const result = await findStopsAlongRoute('Paris', 'Paris', { categories: ['fuel'] });
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Paris and Paris are at the same place, so there is no route to find stops along.',
+    });
+  });
+});
+
+describe('planItinerary', () => {
+  it('fills each day with the next places that fit, starting from the hotel', async () => {
+    const result = await planItinerary('Paris', { days: 2, dayStart: '09:00', dayEnd: '13:00' });
+
+    expect(result).toMatchObject({ success: true, type: 'itinerary' });
+    expect(result.schedule.map((day) => day.slots.map((slot) => slot.title))).toEqual([
+      ['Louvre', 'Notre-Dame de Paris'],
+      ['Sacré-Cœur', 'Eiffel Tower'],
+    ]);
+    expect(result.schedule[1].slots[0].start).toBe('09:04');
+    expect(result.schedule.map((day) => day.hotel?.name ?? null)).toEqual(['Hôtel du Louvre', null]);
+    expect(result.unscheduled).toEqual([]);
+  });
+
+  it('lists places that do not fit in any day as unscheduled', async () => {
+    const result = await planItinerary('Paris', { days: 1, dayStart: '09:00', dayEnd: '11:00' });
+
+    expect(result.schedule[0].slots.map((slot) => slot.title)).toEqual(['Louvre']);
+    expect(result.unscheduled).toEqual(['Notre-Dame de Paris', 'Sacré-Cœur', 'Eiffel Tower']);
+  });
+
+  it('rejects more nights than days', async () => {
+    const result = await planItinerary('Paris', { days: 2, nights: 3 });
+
+    expect(result).toEqual({ success: false, message: 'A trip of 2 days has at most 2 nights.' });
+  });
+});
+
+describe('estimateTripBudget', () => {
+  it('prices the trip from the route and the hotels at the destination', async () => {
+    const result = await estimateTripBudget('Paris', 'Lyon', { currency: 'EUR', nights: 2 });
+
+    expect(result).toMatchObject({ success: true, type: 'budget', destination: { name: 'Lyon' } });
+    expect(result.assumptions).toMatchObject({ hotel: 'Cour des Loges', priceTier: 3, lodgingPricePerNight: 200 });
+    expect(result.drivenKm).toBeGreaterThan(1000);
+  });
+});
+
+describe('checkRouteWeather', () => {
+  it('describes each forecast along the route in the locale units', async () => {
+    const result = await checkRouteWeather('Paris', 'Lyon', 'driving', '2030-06-01T08:00:00.000Z', {}, 'en-US');
+
+    expect(result).toMatchObject({ success: true, type: 'route_weather', departAt: '2030-06-01T08:00:00.000Z' });
+    expect(result.points[0].label).toBe('Departure');
+    result.points.filter((p) => p.forecast).forEach((p) => {
+      expect(p.description).toBe(describeForecast(p.forecast, 'en-US'));
+    });
+  });
+});
+
+describe('describeForecast', () => {
+  const forecast = { temperatureC: 12, precipitationMm: 0.4, snowfallCm: 2.5, windSpeedKmh: 20 };
+
+  it('uses metric units and the locale number format', () => {
+    expect(describeForecast(forecast, 'de-DE')).toBe('12 °C, 0,4 mm rain, 2,5 cm snow, wind 20 km/h');
+  });
+
+  it('uses Fahrenheit, inches and miles per hour in the US', () => {
+    expect(describeForecast(forecast, 'en-US')).toBe('54°F, 0.02 in rain, 1 in snow, wind 12 mph');
+  });
+
+  it('keeps Celsius and millimeters but gives wind in miles per hour in the UK', () => {
+    expect(describeForecast({ ...forecast, snowfallCm: 0 }, 'en-GB')).toBe('12°C, 0.4 mm rain, wind 12 mph');
+  });
+});
@@ -0,0 +1,133 @@
+import { createHttpClient, describeError } from "../http";
+
+const http = createHttpClient('foursquare');
+
+const foursquareApiKey = process.env.FOURSQUARE_API_KEY;
+const HOTEL_FIELDS = 'fsq_id,name,location,categories,geocodes,rating,price';
+
+// Foursquare caps radius at 100 km and limit at 50
+const MAX_RADIUS_METERS = 100000;
+const MAX_LIMIT = 50;
+
+// Search URL for places around a point, shared by hotels and every other category.
+// Without a query Foursquare returns whatever is nearby.
+const buildSearchUrl = (coordinates, { query, radiusMeters, priceTier, sort, limit, fields }) => {
+  const params = new URLSearchParams({
+    ll: `${coordinates.lat},${coordinates.lon}`,
+    sort,
+    limit: String(Math.min(limit, MAX_LIMIT)),
+    fields,
+  });
+  if (query) {
+    params.set('query', query);
+  }
+  if (radiusMeters) {
+    params.set('radius', String(Math.min(radiusMeters, MAX_RADIUS_METERS)));
+  }
+  if (priceTier) {
+    params.set('min_price', String(priceTier));
+    params.set('max_price', String(priceTier));
+  }
+  return `https://api.foursquare.com/v3/places/search?${params}`;
+};
+
+// Get hotel recommendations from Foursquare. It has no amenity or rating filter,
+// so amenities become part of the free-text query and minRating is applied to the results.
+const getHotelRecommendations = async (coordinates, { minRating, amenities = [], limit = 5, ...filters } = {}) => {
+  try {
+    const url = buildSearchUrl(coordinates, {
+      ...filters,
+      query: ['hotel', ...amenities].join(' '),
+      sort: 'RATING',
+      // Ask for extra results when some will be dropped by the rating filter
+      limit: minRating ? limit * 2 : limit,
+      // rating and price are only returned when asked for explicitly
+      fields: HOTEL_FIELDS,
+    });
+
+    const response = await http.get(url, {
+      headers: {
+        'Authorization': foursquareApiKey,
+        'Accept': 'application/json'
+      }
+    });
+
+    const hotels = response.data.results
+      .filter((hotel) => !minRating || (hotel.rating && hotel.rating >= minRating))
+      .slice(0, limit)
+      .map(hotel => ({
+        name: hotel.name,
+        rating: hotel.rating || 'N/A',
+        priceTier: hotel.price || null,
+        address: hotel.location.formatted_address,
+        category: hotel.categories[0]?.name || 'Hotel',
+        link: `https://foursquare.com/v/${hotel.fsq_id}`,
+        coords: hotel.geocodes?.main ? { lat: hotel.geocodes.main.latitude, lon: hotel.geocodes.main.longitude } : null,
+      }));
+
+    return {
+      success: true,
+      hotels
+    };
+  } catch (error) {
+    console.error("Error fetching hotel recommendations:", error);
+    return { success: false, message: "Failed to fetch hotel recommendations.", reason: describeError(error) };
+  }
+};
+
+const PLACE_FIELDS = 'fsq_id,name,location,categories,geocodes';
+
+// Free-text searches for each stop category; Foursquare matches them against names and categories
+const stopQueries = {
+  fuel: 'gas station',
+  ev_charging: 'electric vehicle charging station',
+  restaurant: 'restaurant',
+  cafe: 'coffee',
+  rest_area: 'rest area',
+};
+
+// Places near a point, nearest first. category is a stop category or any free text such as "museum";
+// without one, everything nearby is returned.
+const searchPlaces = async (coordinates, { category, radiusMeters = 2000, limit = 5 }) => {
+  try {
+    const url = buildSearchUrl(coordinates, {
+      query: stopQueries[category] || category,
+      radiusMeters,
+      sort: 'DISTANCE',
+      limit,
+      fields: PLACE_FIELDS,
+    });
+    const response = await http.get(url, {
+      headers: {
+        'Authorization': foursquareApiKey,
+        'Accept': 'application/json'
+      }
+    });
+
+    return {
+      success: true,
+      places: response.data.results.map((place) => ({
+        id: place.fsq_id,
+        name: place.name,
+        category: category || null,
+        categoryName: place.categories[0]?.name || null,
+        address: place.location.formatted_address,
+        link: `https://foursquare.com/v/${place.fsq_id}`,
+        coords: place.geocodes?.main ? { lat: place.geocodes.main.latitude, lon: place.geocodes.main.longitude } : null,
+      })),
+    };
+  } catch (error) {
+    console.error("Error searching places on Foursquare:", error);
+    return { success: false, message: "Failed to search places on Foursquare.", reason: describeError(error) };
+  }
+};
+
+export const foursquareHotels = {
+  name: 'foursquare',
+  getHotelRecommendations,
+};
+
+export const foursquarePois = {
+  name: 'foursquare',
+  searchPlaces,
+};
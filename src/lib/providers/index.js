@@ -0,0 +1,57 @@
+import { foursquareHotels, foursquarePois } from "./foursquare";
+import { localAttractions, localGeocoding, localHistory, localHotels, localPois, localRouting, localWeather } from "./local";
+import { mapboxGeocoding, mapboxRouting } from "./mapbox";
+import { nominatimGeocoding } from "./nominatim";
+import { openMeteoWeather } from "./openMeteo";
+import { osrmRouting } from "./osrm";
+import { wikipediaAttractions, wikipediaHistory } from "./wikipedia";
+
+// Every capability has a set of interchangeable providers with the same functions:
+// - geocoding:   geocode(location, { country, limit }) -> { success, candidates: [{ name, placeType, region, country, relevance, coords }] },
+//                reverseGeocode(coordinates, { language }) -> { success, place: { name, placeType, region, country, coords } }
+// - routing:     getRouteDetails(origin, destination, travelMode, { language, exclude }) -> { ..., excluded },
+//                getMultiStopRouteDetails, getOptimizedRouteDetails -> { ..., travelMode? }
+//                travelMode is set when the stops were routed with another mode than asked for
+//                exclude lists road classes to avoid ('toll', 'motorway', 'ferry'); excluded is the subset honoured
+// - attractions: getPopularPlaces(location, limit, { language }),
+//                getNearbyPlaces(coordinates, { radiusMeters, limit, language }) -> same places, nearest first
+// - history:     getHistoricalInfo(location, { language })
+// language is a hint: providers that can't localize answer in English.
+// - hotels:      getHotelRecommendations(coordinates, { radiusMeters, minRating, priceTier, amenities, limit })
+// - weather:     getForecast(coordinates, time)
+// - pois:        searchPlaces(coordinates, { category, radiusMeters, limit }) -> { success, places: [{ id, name, category, address, link, coords }] }
+//                category is a stop category or free text such as "museum"; without one everything nearby is returned
+const registry = {
+  geocoding: { mapbox: mapboxGeocoding, nominatim: nominatimGeocoding, local: localGeocoding },
+  routing: { mapbox: mapboxRouting, osrm: osrmRouting, local: localRouting },
+  attractions: { wikipedia: wikipediaAttractions, local: localAttractions },
+  history: { wikipedia: wikipediaHistory, local: localHistory },
+  hotels: { foursquare: foursquareHotels, local: localHotels },
+  weather: { 'open-meteo': openMeteoWeather, local: localWeather },
+  pois: { foursquare: foursquarePois, local: localPois },
+};
+
+const defaults = {
+  geocoding: 'mapbox',
+  routing: 'mapbox',
+  attractions: 'wikipedia',
+  history: 'wikipedia',
+  hotels: 'foursquare',
+  weather: 'open-meteo',
+  pois: 'foursquare',
+};
+
+// GEOCODING_PROVIDER, ROUTING_PROVIDER, ... pick a provider per capability.
+// TRAVEL_PROVIDER=local switches every capability that has no explicit setting.
+export const getProvider = (capability) => {
+  const configured = process.env[`${capability.toUpperCase()}_PROVIDER`] || process.env.TRAVEL_PROVIDER;
+  const providers = registry[capability];
+
+  if (configured && providers[configured]) {
+    return providers[configured];
+  }
+  if (configured) {
+    console.warn(`Unknown ${capability} provider "${configured}", using ${defaults[capability]}.`);
+  }
+  return providers[defaults[capability]];
+};
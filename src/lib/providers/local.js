@@ -0,0 +1,313 @@
+import fs from "fs";
+import defaultFixtures from "./fixtures/local.json";
+import { haversineDistance, straightLine } from "../geo";
+import { formatDistance, formatDuration } from "../format";
+import { summarizeLegs } from "./shared";
+
+// Offline stand-ins backed by a fixture file, for development and tests without network access or API keys.
+// LOCAL_FIXTURES_PATH points at a JSON file with the same shape as fixtures/local.json.
+let fixtures = null;
+
+const loadFixtures = () => {
+  if (!fixtures) {
+    fixtures = process.env.LOCAL_FIXTURES_PATH
+      ? JSON.parse(fs.readFileSync(process.env.LOCAL_FIXTURES_PATH, 'utf8'))
+      : defaultFixtures;
+  }
+  return fixtures;
+};
+
+// Average speeds in km/h and a detour factor turn straight-line distance into a plausible route
+const averageSpeeds = {
+  driving: 60,
+  'driving-traffic': 45,
+  walking: 5,
+  cycling: 15,
+};
+const ROAD_DETOUR_FACTOR = 1.3;
+
+// "Paris, France" and "paris" both resolve to the "paris" fixture
+const findPlace = (location) => {
+  const { places } = loadFixtures();
+  const key = location.trim().toLowerCase();
+  return places[key] || places[key.split(',')[0].trim()] || null;
+};
+
+const findNearestPlace = (coordinates, maxDistanceKm = 50) => {
+  const { places } = loadFixtures();
+  let nearest = null;
+  Object.values(places).forEach((place) => {
+    const distance = haversineDistance(coordinates, place);
+    if (distance <= maxDistanceKm && (!nearest || distance < nearest.distance)) {
+      nearest = { place, distance };
+    }
+  });
+  return nearest ? nearest.place : null;
+};
+
+// The nearest fixture place within 50 km stands in for the address at a position
+const reverseGeocode = async (coordinates) => {
+  const place = findNearestPlace(coordinates);
+  if (!place) {
+    return { success: false, message: "No place found at that position." };
+  }
+  return {
+    success: true,
+    place: {
+      name: place.name,
+      placeType: 'place',
+      region: place.region || null,
+      country: place.name.split(',').pop().trim(),
+      coords: { lat: place.lat, lon: place.lon },
+    },
+  };
+};
+
+const estimateLeg = (from, to, travelMode) => {
+  const distance = haversineDistance(from, to) * ROAD_DETOUR_FACTOR * 1000;
+  const duration = (distance / 1000 / (averageSpeeds[travelMode] || averageSpeeds.driving)) * 3600;
+  return { distance, duration };
+};
+
+// Fixtures can list several "candidates" under one key to exercise disambiguation
+const geocode = async (location) => {
+  const place = findPlace(location);
+  if (!place) {
+    return { success: true, candidates: [] };
+  }
+
+  // A fully qualified name picks the matching candidate, like a real geocoder ranking it first
+  const query = location.trim().toLowerCase();
+  const matching = place.candidates?.filter((c) => c.name.toLowerCase().startsWith(query));
+
+  const candidates = (matching?.length ? matching : place.candidates) || [{
+    name: place.name,
+    placeType: 'place',
+    region: place.region || null,
+    country: place.name.split(',').pop().trim(),
+    relevance: 1,
+    lat: place.lat,
+    lon: place.lon,
+  }];
+
+  return {
+    success: true,
+    candidates: candidates.map(({ lat, lon, ...candidate }) => ({ ...candidate, coords: { lat, lon } })),
+  };
+};
+
+// Straight lines cross no toll roads, motorways or ferries, so every exclusion holds
+const getRouteDetails = async (origin, destination, travelMode = 'driving', { exclude = [] } = {}) => {
+  const { distance, duration } = estimateLeg(origin, destination, travelMode);
+  const instruction = `Head to ${destination.lat.toFixed(4)}, ${destination.lon.toFixed(4)}`;
+
+  return {
+    success: true,
+    duration: formatDuration(duration),
+    distance: formatDistance(distance),
+    durationSeconds: duration,
+    distanceMeters: distance,
+    directions: instruction,
+    steps: [{ instruction, name: null, distanceMeters: distance, durationSeconds: duration }],
+    places: [],
+    geometry: straightLine([origin, destination]),
+    excluded: exclude,
+  };
+};
+
+const getMultiStopRouteDetails = async (stops, travelMode = 'driving') => {
+  const legs = stops.slice(1).map((stop, index) => estimateLeg(stops[index].coords, stop.coords, travelMode));
+
+  return {
+    success: true,
+    stops,
+    legs: summarizeLegs(legs, stops),
+    durationSeconds: legs.reduce((sum, leg) => sum + leg.duration, 0),
+    distanceMeters: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    geometry: straightLine(stops.map((s) => s.coords)),
+  };
+};
+
+// Nearest-neighbour ordering is good enough for a stand-in
+const getOptimizedRouteDetails = async (stops, travelMode = 'driving', roundTrip = false) => {
+  const [first, ...rest] = stops;
+  const last = roundTrip ? null : rest.pop();
+  const orderedStops = [first];
+
+  while (rest.length > 0) {
+    const current = orderedStops[orderedStops.length - 1].coords;
+    const nextIndex = rest.reduce(
+      (best, s, index) => (haversineDistance(current, s.coords) < haversineDistance(current, rest[best].coords) ? index : best),
+      0
+    );
+    orderedStops.push(rest.splice(nextIndex, 1)[0]);
+  }
+  if (last) {
+    orderedStops.push(last);
+  }
+
+  const route = await getMultiStopRouteDetails(roundTrip ? [...orderedStops, first] : orderedStops, travelMode);
+  return { ...route, stops: orderedStops };
+};
+
+const getPopularPlaces = async (location, limit = 5) => {
+  const place = findPlace(location);
+
+  if (!place || !place.attractions?.length) {
+    return { success: false, message: "No popular places found at the destination." };
+  }
+
+  return {
+    success: true,
+    places: place.attractions.slice(0, limit).map((a) => ({
+      title: a.title,
+      description: a.description,
+      url: a.url,
+      thumbnail: a.thumbnail || null,
+      coords: a.lat !== undefined ? { lat: a.lat, lon: a.lon } : null,
+    })),
+  };
+};
+
+// Fixture attractions with a position, nearest first
+const getNearbyPlaces = async (coordinates, { radiusMeters = 1000, limit = 5 } = {}) => {
+  const attractions = Object.values(loadFixtures().places)
+    .flatMap((place) => place.attractions || [])
+    .filter((a) => a.lat !== undefined)
+    .map((a) => ({ a, distance: haversineDistance(coordinates, a) * 1000 }))
+    .filter(({ distance }) => distance <= radiusMeters)
+    .sort((x, y) => x.distance - y.distance)
+    .slice(0, limit);
+
+  if (attractions.length === 0) {
+    return { success: false, message: "No Wikipedia articles about places nearby." };
+  }
+
+  return {
+    success: true,
+    places: attractions.map(({ a }) => ({
+      title: a.title,
+      description: a.description,
+      url: a.url,
+      thumbnail: a.thumbnail || null,
+      coords: { lat: a.lat, lon: a.lon },
+    })),
+  };
+};
+
+const getHistoricalInfo = async (location) => {
+  const place = findPlace(location);
+
+  if (!place || !place.history) {
+    return { success: false, message: "No historical information found." };
+  }
+
+  return { success: true, history: place.history };
+};
+
+// Same filters as the Foursquare provider, applied to every fixture hotel
+const getHotelRecommendations = async (coordinates, {
+  radiusMeters = 50000,
+  minRating,
+  priceTier,
+  amenities = [],
+  limit = 5,
+} = {}) => {
+  const { places } = loadFixtures();
+  const hotels = Object.values(places)
+    .flatMap((place) => place.hotels || [])
+    .filter((h) => haversineDistance(coordinates, h) * 1000 <= radiusMeters)
+    .filter((h) => !minRating || (h.rating && h.rating >= minRating))
+    .filter((h) => !priceTier || h.price === priceTier)
+    .filter((h) => amenities.every((amenity) => h.amenities?.includes(amenity.toLowerCase())))
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0))
+    .slice(0, limit);
+
+  if (hotels.length === 0) {
+    return { success: false, message: "Failed to fetch hotel recommendations." };
+  }
+
+  return {
+    success: true,
+    hotels: hotels.map((h) => ({
+      name: h.name,
+      rating: h.rating || 'N/A',
+      priceTier: h.price || null,
+      address: h.address,
+      category: h.category || 'Hotel',
+      link: `https://foursquare.com/v/${h.id}`,
+      coords: { lat: h.lat, lon: h.lon },
+    })),
+  };
+};
+
+// Free-text categories match a fixture's category name or name, like a search query would
+const matchesCategory = (poi, category) => {
+  if (!category || poi.category === category) {
+    return true;
+  }
+  const query = category.toLowerCase();
+  return [poi.categoryName, poi.name].some((text) => text?.toLowerCase().includes(query));
+};
+
+// Fixture "pois" have a category and a position; radius and category are applied like a real search
+const searchPlaces = async (coordinates, { category, radiusMeters = 2000, limit = 5 }) => {
+  const places = (loadFixtures().pois || [])
+    .filter((poi) => matchesCategory(poi, category))
+    .map((poi) => ({ poi, distance: haversineDistance(coordinates, poi) * 1000 }))
+    .filter(({ distance }) => distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+
+  return {
+    success: true,
+    places: places.map(({ poi }) => ({
+      id: poi.id,
+      name: poi.name,
+      category: poi.category,
+      categoryName: poi.categoryName || null,
+      address: poi.address,
+      link: `https://foursquare.com/v/${poi.id}`,
+      coords: { lat: poi.lat, lon: poi.lon },
+    })),
+  };
+};
+
+// Fixture places can carry a "weather" object to stub hazards; otherwise the forecast is mild and dry
+const getForecast = async (coordinates, time) => {
+  const place = findNearestPlace(coordinates, 100);
+  const hour = new Date(time);
+  hour.setUTCMinutes(0, 0, 0);
+
+  return {
+    success: true,
+    forecast: {
+      time: hour.toISOString(),
+      temperatureC: 18,
+      precipitationMm: 0,
+      snowfallCm: 0,
+      windSpeedKmh: 10,
+      weatherCode: 1,
+      ...place?.weather,
+    },
+  };
+};
+
+export const localGeocoding = { name: 'local', geocode, reverseGeocode };
+
+export const localRouting = {
+  name: 'local',
+  getRouteDetails,
+  getMultiStopRouteDetails,
+  getOptimizedRouteDetails,
+};
+
+export const localAttractions = { name: 'local', getPopularPlaces, getNearbyPlaces };
+
+export const localHistory = { name: 'local', getHistoricalInfo };
+
+export const localHotels = { name: 'local', getHotelRecommendations };
+
+export const localWeather = { name: 'local', getForecast };
+
+export const localPois = { name: 'local', searchPlaces };
@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import { localGeocoding, localHotels, localPois, localRouting } from './local';
+
+const paris = { lat: 48.8566, lon: 2.3522 };
+const lyon = { lat: 45.764, lon: 4.8357 };
+const versailles = { lat: 48.8049, lon: 2.1204 };
+
+describe('local geocoding', () => {
+  it('returns every springfield for a bare name', async () => {
+    const result = await localGeocoding.geocode('Springfield');
+
+    expect(result.success).toBe(true);
+    expect(result.candidates.map((c) => c.region)).toEqual(['Illinois', 'Missouri', 'Massachusetts']);
+    expect(result.candidates[0].coords).toEqual({ lat: 39.7817, lon: -89.6501 });
+  });
+
+  it('picks the candidate a fully qualified name matches', async () => {
+    const result = await localGeocoding.geocode('Springfield, Missouri');
+
+    expect(result.candidates).toHaveLength(1);
+    expect(result.candidates[0].name).toBe('Springfield, Missouri, United States');
+  });
+
+  it('finds nothing for unknown places', async () => {
+    expect(await localGeocoding.geocode('Atlantis')).toEqual({ success: true, candidates: [] });
+  });
+
+  it('names a position after the nearest place', async () => {
+    const result = await localGeocoding.reverseGeocode({ lat: 48.86, lon: 2.34 });
+
+    expect(result.success).toBe(true);
+    expect(result.place.name).toBe('Paris, France');
+    expect((await localGeocoding.reverseGeocode({ lat: 0, lon: 0 })).success).toBe(false);
+  });
+});
+
+describe('local routing', () => {
+  it('estimates a route from the straight-line distance and travel mode', async () => {
+    const driving = await localRouting.getRouteDetails(paris, lyon, 'driving');
+    const cycling = await localRouting.getRouteDetails(paris, lyon, 'cycling');
+
+    expect(driving.success).toBe(true);
+    expect(driving.distanceMeters / 1000).toBeGreaterThan(500);
+    expect(driving.distanceMeters / 1000).toBeLessThan(560);
+    expect(cycling.distanceMeters).toBeCloseTo(driving.distanceMeters);
+    expect(cycling.durationSeconds).toBeCloseTo(driving.durationSeconds * 4);
+    expect(driving.geometry.coordinates).toEqual([[paris.lon, paris.lat], [lyon.lon, lyon.lat]]);
+  });
+
+  it('sums the legs of a multi-stop route in the given order', async () => {
+    const stops = [
+      { name: 'Paris', coords: paris },
+      { name: 'Lyon', coords: lyon },
+      { name: 'Versailles', coords: versailles },
+    ];
+    const result = await localRouting.getMultiStopRouteDetails(stops, 'driving');
+
+    expect(result.success).toBe(true);
+    expect(result.legs).toHaveLength(2);
+    expect(result.stops.map((s) => s.name)).toEqual(['Paris', 'Lyon', 'Versailles']);
+    expect(result.distanceMeters).toBeGreaterThan(1000 * 1000);
+  });
+
+  it('visits the nearest stop next when optimizing and keeps the last stop last', async () => {
+    const stops = [
+      { name: 'Paris', coords: paris },
+      { name: 'Lyon', coords: lyon },
+      { name: 'Versailles', coords: versailles },
+      { name: 'Springfield', coords: { lat: 39.7817, lon: -89.6501 } },
+    ];
+    const result = await localRouting.getOptimizedRouteDetails(stops, 'driving');
+
+    expect(result.stops.map((s) => s.name)).toEqual(['Paris', 'Versailles', 'Lyon', 'Springfield']);
+  });
+
+  it('returns to the start of a round trip', async () => {
+    const stops = [
+      { name: 'Paris', coords: paris },
+      { name: 'Lyon', coords: lyon },
+      { name: 'Versailles', coords: versailles },
+    ];
+    const result = await localRouting.getOptimizedRouteDetails(stops, 'driving', true);
+
+    expect(result.stops.map((s) => s.name)).toEqual(['Paris', 'Versailles', 'Lyon']);
+    expect(result.legs).toHaveLength(3);
+  });
+});
+
+describe('local hotels', () => {
+  it('returns the hotels within the radius, best rated first', async () => {
+    const result = await localHotels.getHotelRecommendations(paris, { radiusMeters: 10000 });
+
+    expect(result.hotels.map((h) => h.name)).toEqual(['Hôtel du Louvre', 'Hôtel Le Marais']);
+  });
+
+  it('applies the rating, price and amenity filters', async () => {
+    const rated = await localHotels.getHotelRecommendations(paris, { radiusMeters: 10000, minRating: 8.5 });
+    const cheap = await localHotels.getHotelRecommendations(paris, { radiusMeters: 10000, priceTier: 2 });
+    const withParking = await localHotels.getHotelRecommendations(paris, { amenities: ['Parking'] });
+
+    expect(rated.hotels.map((h) => h.name)).toEqual(['Hôtel du Louvre']);
+    expect(cheap.hotels.map((h) => h.name)).toEqual(['Hôtel Le Marais']);
+    expect(withParking.hotels.map((h) => h.name)).toEqual(['Hôtel du Louvre', 'Le Louis Versailles Château']);
+  });
+
+  it('fails when no hotel matches', async () => {
+    const result = await localHotels.getHotelRecommendations(paris, { amenities: ['pool'] });
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('local places search', () => {
+  it('only returns places within the radius, nearest first', async () => {
+    const near = await localPois.searchPlaces(paris, { radiusMeters: 1000, limit: 10 });
+    const wider = await localPois.searchPlaces(paris, { radiusMeters: 2500, limit: 10 });
+
+    expect(near.places.map((p) => p.name)).toEqual(['Pharmacie des Halles']);
+    expect(wider.places.map((p) => p.name)).toEqual([
+      'Pharmacie des Halles',
+      'Café de Flore',
+      'Jardin du Luxembourg',
+      "Musée d'Orsay",
+    ]);
+  });
+
+  it('matches a stop category or free text', async () => {
+    const cafes = await localPois.searchPlaces(paris, { category: 'cafe', radiusMeters: 5000, limit: 10 });
+    const museums = await localPois.searchPlaces(paris, { category: 'museum', radiusMeters: 5000, limit: 10 });
+
+    expect(cafes.places.map((p) => p.name)).toEqual(['Café de Flore']);
+    expect(museums.places.map((p) => p.name)).toEqual(["Musée d'Orsay"]);
+  });
+
+  it('respects the limit', async () => {
+    const result = await localPois.searchPlaces(paris, { radiusMeters: 5000, limit: 2 });
+
+    expect(result.places).toHaveLength(2);
+  });
+});
@@ -0,0 +1,169 @@
+import { createHttpClient, describeError } from "../http";
+import { orderTripStops, summarizeLegs, summarizeRoute, toCoordinateList } from "./shared";
+
+const http = createHttpClient('mapbox');
+
+const mapboxToken = process.env.mapboxToken;
+
+// Mapbox context entries are ids like "region.123" or "country.456"
+const getContextText = (feature, type) => feature.context?.find((c) => c.id.startsWith(`${type}.`))?.text || null;
+
+const toPlace = (feature) => {
+  const [lon, lat] = feature.center;
+  const placeType = feature.place_type[0];
+  return {
+    name: feature.place_name,
+    placeType,
+    region: placeType === 'region' ? feature.text : getContextText(feature, 'region'),
+    country: placeType === 'country' ? feature.text : getContextText(feature, 'country'),
+    coords: { lat, lon },
+  };
+};
+
+// Ranked candidates for a place name, optionally restricted to an ISO country code
+const geocode = async (location, { country, limit = 5 } = {}) => {
+  const countryFilter = country ? `&country=${encodeURIComponent(country.toLowerCase())}` : '';
+  const geocodeUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(location)}.json?limit=${limit}${countryFilter}&access_token=${mapboxToken}`;
+
+  try {
+    const response = await http.get(geocodeUrl);
+
+    return {
+      success: true,
+      candidates: response.data.features.map((feature) => ({ ...toPlace(feature), relevance: feature.relevance })),
+    };
+  } catch (error) {
+    console.error("Error fetching coordinates from Mapbox:", error);
+    return { success: false, message: "Failed to look up the place with Mapbox.", reason: describeError(error) };
+  }
+};
+
+// The most specific place at a position, usually a street address. Mapbox answers a reverse lookup
+// with one feature per place type, most specific first.
+const reverseGeocode = async (coordinates, { language } = {}) => {
+  const languageFilter = language ? `&language=${encodeURIComponent(language)}` : '';
+  const geocodeUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${coordinates.lon},${coordinates.lat}.json?access_token=${mapboxToken}${languageFilter}`;
+
+  try {
+    const response = await http.get(geocodeUrl);
+    const [feature] = response.data.features;
+    if (!feature) {
+      return { success: false, message: "No place found at that position." };
+    }
+    return { success: true, place: toPlace(feature) };
+  } catch (error) {
+    console.error("Error reverse geocoding with Mapbox:", error);
+    return { success: false, message: "Failed to look up the position with Mapbox.", reason: describeError(error) };
+  }
+};
+
+// Languages Mapbox can write turn instructions in; anything else gets English
+const INSTRUCTION_LANGUAGES = [
+  'ar', 'bg', 'ca', 'cs', 'da', 'de', 'el', 'en', 'eo', 'es', 'fi', 'fr', 'he', 'hu', 'id', 'it', 'ja', 'ko',
+  'my', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sl', 'sv', 'tr', 'uk', 'vi', 'yo', 'zh',
+];
+
+// Road classes each profile can avoid; other exclusions are dropped and left out of `excluded`
+const EXCLUDABLE = {
+  driving: ['toll', 'motorway', 'ferry'],
+  'driving-traffic': ['toll', 'motorway', 'ferry'],
+  cycling: ['ferry'],
+  walking: [],
+};
+
+const getRouteDetails = async (origin, destination, travelMode = 'driving', { language, exclude = [] } = {}) => {
+  try {
+    const languageParam = INSTRUCTION_LANGUAGES.includes(language) ? `&language=${language}` : '';
+    const excluded = exclude.filter((roadClass) => (EXCLUDABLE[travelMode] || []).includes(roadClass));
+    const excludeParam = excluded.length > 0 ? `&exclude=${excluded.join(',')}` : '';
+    const routeUrl = `https://api.mapbox.com/directions/v5/mapbox/${travelMode}/${origin.lon},${origin.lat};${destination.lon},${destination.lat}?geometries=geojson&overview=full&steps=true${languageParam}${excludeParam}&access_token=${mapboxToken}`;
+    const response = await http.get(routeUrl);
+    const routes = response.data.routes;
+
+    if (!routes || routes.length === 0) {
+      return { success: false, message: "No routes found. Please check the origin and destination." };
+    }
+
+    return { ...summarizeRoute(routes[0]), excluded };
+  } catch (error) {
+    console.error("Error fetching route details from Mapbox:", error);
+    return { success: false, message: "Failed to get route details from Mapbox.", reason: describeError(error) };
+  }
+};
+
+// The driving-traffic profile takes at most 3 coordinates, other profiles 25
+const MAX_TRAFFIC_COORDINATES = 3;
+
+// Route through all stops in the given order. Trips with more stops than live traffic allows are
+// routed with the plain driving profile, which the result's travelMode reports.
+const getMultiStopRouteDetails = async (stops, travelMode = 'driving') => {
+  try {
+    const profile = travelMode === 'driving-traffic' && stops.length > MAX_TRAFFIC_COORDINATES ? 'driving' : travelMode;
+    const routeUrl = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${toCoordinateList(stops)}?geometries=geojson&overview=full&access_token=${mapboxToken}`;
+    const response = await http.get(routeUrl);
+    const routes = response.data.routes;
+
+    if (!routes || routes.length === 0) {
+      return { success: false, message: "No routes found through the given stops." };
+    }
+
+    const { distance, duration, legs, geometry } = routes[0];
+
+    return {
+      success: true,
+      stops,
+      legs: summarizeLegs(legs, stops),
+      durationSeconds: duration,
+      distanceMeters: distance,
+      geometry,
+      travelMode: profile,
+    };
+  } catch (error) {
+    console.error("Error fetching multi-stop route from Mapbox:", error);
+    return { success: false, message: "Failed to get multi-stop route from Mapbox.", reason: describeError(error) };
+  }
+};
+
+// Reorder the stops into the shortest trip with the Mapbox Optimization API.
+// The first stop is always the start; a one-way trip also keeps the last stop as the end.
+const getOptimizedRouteDetails = async (stops, travelMode = 'driving', roundTrip = false) => {
+  try {
+    const endpoints = roundTrip ? 'roundtrip=true&source=first' : 'roundtrip=false&source=first&destination=last';
+    const tripUrl = `https://api.mapbox.com/optimized-trips/v1/mapbox/${travelMode}/${toCoordinateList(stops)}?${endpoints}&geometries=geojson&overview=full&access_token=${mapboxToken}`;
+    const response = await http.get(tripUrl);
+    const { trips, waypoints } = response.data;
+
+    if (!trips || trips.length === 0) {
+      return { success: false, message: "Could not optimize a trip through the given stops." };
+    }
+
+    const orderedStops = orderTripStops(waypoints, stops);
+    const legStops = roundTrip ? [...orderedStops, orderedStops[0]] : orderedStops;
+    const { distance, duration, legs, geometry } = trips[0];
+
+    return {
+      success: true,
+      stops: orderedStops,
+      legs: summarizeLegs(legs, legStops),
+      durationSeconds: duration,
+      distanceMeters: distance,
+      geometry,
+    };
+  } catch (error) {
+    console.error("Error fetching optimized trip from Mapbox:", error);
+    return { success: false, message: "Failed to optimize the trip with Mapbox.", reason: describeError(error) };
+  }
+};
+
+export const mapboxGeocoding = {
+  name: 'mapbox',
+  geocode,
+  reverseGeocode,
+};
+
+export const mapboxRouting = {
+  name: 'mapbox',
+  getRouteDetails,
+  getMultiStopRouteDetails,
+  getOptimizedRouteDetails,
+};
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { mapboxRouting } from './mapbox';
+
+// Upstream calls are answered here instead of by Mapbox
+const { get } = vi.hoisted(() => ({ get: vi.fn() }));
+vi.mock('../http', () => ({ createHttpClient: () => ({ get }), describeError: (error) => error.message }));
+
+const stops = ['Paris', 'Versailles', 'Lyon', 'Dijon'].map((name, index) => ({ name, coords: { lat: 48 - index, lon: 2 + index } }));
+
+const routeThrough = (count) => ({
+  data: {
+    routes: [{
+      distance: 1000 * (count - 1),
+      duration: 60 * (count - 1),
+      legs: Array.from({ length: count - 1 }, () => ({ distance: 1000, duration: 60 })),
+      geometry: { type: 'LineString', coordinates: [] },
+    }],
+  },
+});
+
+beforeEach(() => {
+  get.mockReset();
+});
+
+describe('mapbox multi-stop routes', () => {
+  it('uses live traffic for up to 3 stops', async () => {
+    get.mockResolvedValue(routeThrough(3));
+    const result = await mapboxRouting.getMultiStopRouteDetails(stops.slice(0, 3), 'driving-traffic');
+
+    expect(get.mock.calls[0][0]).toContain('/mapbox/driving-traffic/');
+    expect(result.travelMode).toBe('driving-traffic');
+  });
+
+  it('routes longer trips without traffic and says so', async () => {
+    get.mockResolvedValue(routeThrough(4));
+    const result = await mapboxRouting.getMultiStopRouteDetails(stops, 'driving-traffic');
+
+    expect(get.mock.calls[0][0]).toContain('/mapbox/driving/');
+    expect(result.success).toBe(true);
+    expect(result.travelMode).toBe('driving');
+    expect(result.legs).toHaveLength(3);
+  });
+
+  it('keeps other modes for any number of stops', async () => {
+    get.mockResolvedValue(routeThrough(4));
+    const result = await mapboxRouting.getMultiStopRouteDetails(stops, 'cycling');
+
+    expect(get.mock.calls[0][0]).toContain('/mapbox/cycling/');
+    expect(result.travelMode).toBe('cycling');
+  });
+});
@@ -0,0 +1,60 @@
+import { createHttpClient, describeError } from "../http";
+
+const http = createHttpClient('nominatim');
+
+// Any Nominatim-compatible search endpoint; the public one asks for an identifying User-Agent
+const nominatimUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const userAgent = process.env.NOMINATIM_USER_AGENT || 'ai-travel-planner';
+
+const toPlace = (result) => ({
+  name: result.display_name,
+  placeType: result.addresstype || result.type,
+  region: result.address?.state || null,
+  country: result.address?.country || null,
+  coords: { lat: parseFloat(result.lat), lon: parseFloat(result.lon) },
+});
+
+// Ranked candidates for a place name; Nominatim's importance stands in for relevance
+const geocode = async (location, { country, limit = 5 } = {}) => {
+  const countryFilter = country ? `&countrycodes=${encodeURIComponent(country.toLowerCase())}` : '';
+  const geocodeUrl = `${nominatimUrl}/search?q=${encodeURIComponent(location)}&format=jsonv2&addressdetails=1&limit=${limit}${countryFilter}`;
+
+  try {
+    const response = await http.get(geocodeUrl, {
+      headers: { 'User-Agent': userAgent },
+    });
+
+    return {
+      success: true,
+      candidates: (response.data || []).map((result) => ({ ...toPlace(result), relevance: result.importance ?? 0 })),
+    };
+  } catch (error) {
+    console.error("Error fetching coordinates from Nominatim:", error);
+    return { success: false, message: "Failed to look up the place with Nominatim.", reason: describeError(error) };
+  }
+};
+
+// The address at a position; Nominatim answers { error } rather than a 404 when there is nothing there
+const reverseGeocode = async (coordinates, { language } = {}) => {
+  const languageFilter = language ? `&accept-language=${encodeURIComponent(language)}` : '';
+  const reverseUrl = `${nominatimUrl}/reverse?lat=${coordinates.lat}&lon=${coordinates.lon}&format=jsonv2&addressdetails=1${languageFilter}`;
+
+  try {
+    const response = await http.get(reverseUrl, {
+      headers: { 'User-Agent': userAgent },
+    });
+    if (!response.data || response.data.error) {
+      return { success: false, message: "No place found at that position." };
+    }
+    return { success: true, place: toPlace(response.data) };
+  } catch (error) {
+    console.error("Error reverse geocoding with Nominatim:", error);
+    return { success: false, message: "Failed to look up the position with Nominatim.", reason: describeError(error) };
+  }
+};
+
+export const nominatimGeocoding = {
+  name: 'nominatim',
+  geocode,
+  reverseGeocode,
+};
@@ -0,0 +1,50 @@
+import { createHttpClient, describeError } from "../http";
+
+const http = createHttpClient('open-meteo');
+
+// Open-Meteo needs no API key; OPEN_METEO_URL points at a self-hosted instance
+const openMeteoUrl = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com';
+const HOURLY_FIELDS = 'temperature_2m,precipitation,snowfall,weather_code,wind_speed_10m';
+
+// Hourly forecast closest to the given time at one point
+const getForecast = async (coordinates, time) => {
+  try {
+    const url = `${openMeteoUrl}/v1/forecast?latitude=${coordinates.lat}&longitude=${coordinates.lon}&hourly=${HOURLY_FIELDS}&timezone=GMT&forecast_days=16`;
+    const response = await http.get(url);
+    const { hourly } = response.data;
+
+    // Times come back as "2024-06-01T08:00" in GMT
+    const target = time.getTime();
+    let closest = -1;
+    hourly.time.forEach((t, index) => {
+      const delta = Math.abs(Date.parse(`${t}Z`) - target);
+      if (delta <= 60 * 60 * 1000 && (closest === -1 || delta < Math.abs(Date.parse(`${hourly.time[closest]}Z`) - target))) {
+        closest = index;
+      }
+    });
+
+    if (closest === -1) {
+      return { success: false, message: "No forecast is available that far ahead." };
+    }
+
+    return {
+      success: true,
+      forecast: {
+        time: `${hourly.time[closest]}Z`,
+        temperatureC: hourly.temperature_2m[closest],
+        precipitationMm: hourly.precipitation[closest],
+        snowfallCm: hourly.snowfall[closest],
+        windSpeedKmh: hourly.wind_speed_10m[closest],
+        weatherCode: hourly.weather_code[closest],
+      },
+    };
+  } catch (error) {
+    console.error("Error fetching forecast from Open-Meteo:", error);
+    return { success: false, message: "Failed to get weather forecast from Open-Meteo.", reason: describeError(error) };
+  }
+};
+
+export const openMeteoWeather = {
+  name: 'open-meteo',
+  getForecast,
+};
@@ -0,0 +1,109 @@
+import { createHttpClient, describeError } from "../http";
+import { orderTripStops, summarizeLegs, summarizeRoute, toCoordinateList } from "./shared";
+
+const http = createHttpClient('osrm');
+
+// Any OSRM-compatible server; the public demo server only routes cars
+const osrmUrl = process.env.OSRM_URL || 'https://router.project-osrm.org';
+
+const osrmProfiles = {
+  driving: 'driving',
+  'driving-traffic': 'driving',
+  walking: 'foot',
+  cycling: 'bike',
+};
+
+// OSRM steps have no written instruction, so build one from the maneuver (always in English)
+const describeStep = (step) => {
+  const { type, modifier } = step.maneuver;
+  const action = [type, modifier].filter(Boolean).join(' ');
+  const text = step.name ? `${action} onto ${step.name}` : action;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Exclusions only exist for the car profile, and only for class combinations the server's profile
+// declares excludable; the stock profile (and the demo server) avoids one class at a time
+const getRouteDetails = async (origin, destination, travelMode = 'driving', { exclude = [] } = {}) => {
+  const excluded = osrmProfiles[travelMode] === 'driving' ? exclude : [];
+  try {
+    const excludeParam = excluded.length > 0 ? `&exclude=${excluded.join(',')}` : '';
+    const routeUrl = `${osrmUrl}/route/v1/${osrmProfiles[travelMode] || 'driving'}/${origin.lon},${origin.lat};${destination.lon},${destination.lat}?geometries=geojson&overview=full&steps=true${excludeParam}`;
+    const response = await http.get(routeUrl);
+    const routes = response.data.routes;
+
+    if (!routes || routes.length === 0) {
+      return { success: false, message: "No routes found. Please check the origin and destination." };
+    }
+
+    return { ...summarizeRoute(routes[0], describeStep), excluded };
+  } catch (error) {
+    if (excluded.length > 0 && error.response?.data?.code === 'InvalidValue') {
+      return { success: false, message: `The OSRM server cannot avoid ${excluded.join(' and ')} on this route.` };
+    }
+    console.error("Error fetching route details from OSRM:", error);
+    return { success: false, message: "Failed to get route details from OSRM.", reason: describeError(error) };
+  }
+};
+
+const getMultiStopRouteDetails = async (stops, travelMode = 'driving') => {
+  try {
+    const routeUrl = `${osrmUrl}/route/v1/${osrmProfiles[travelMode] || 'driving'}/${toCoordinateList(stops)}?geometries=geojson&overview=full`;
+    const response = await http.get(routeUrl);
+    const routes = response.data.routes;
+
+    if (!routes || routes.length === 0) {
+      return { success: false, message: "No routes found through the given stops." };
+    }
+
+    const { distance, duration, legs, geometry } = routes[0];
+
+    return {
+      success: true,
+      stops,
+      legs: summarizeLegs(legs, stops),
+      durationSeconds: duration,
+      distanceMeters: distance,
+      geometry,
+    };
+  } catch (error) {
+    console.error("Error fetching multi-stop route from OSRM:", error);
+    return { success: false, message: "Failed to get multi-stop route from OSRM.", reason: describeError(error) };
+  }
+};
+
+// OSRM's trip service solves the same problem as the Mapbox Optimization API
+const getOptimizedRouteDetails = async (stops, travelMode = 'driving', roundTrip = false) => {
+  try {
+    const endpoints = roundTrip ? 'roundtrip=true&source=first' : 'roundtrip=false&source=first&destination=last';
+    const tripUrl = `${osrmUrl}/trip/v1/${osrmProfiles[travelMode] || 'driving'}/${toCoordinateList(stops)}?${endpoints}&geometries=geojson&overview=full`;
+    const response = await http.get(tripUrl);
+    const { trips, waypoints } = response.data;
+
+    if (!trips || trips.length === 0) {
+      return { success: false, message: "Could not optimize a trip through the given stops." };
+    }
+
+    const orderedStops = orderTripStops(waypoints, stops);
+    const legStops = roundTrip ? [...orderedStops, orderedStops[0]] : orderedStops;
+    const { distance, duration, legs, geometry } = trips[0];
+
+    return {
+      success: true,
+      stops: orderedStops,
+      legs: summarizeLegs(legs, legStops),
+      durationSeconds: duration,
+      distanceMeters: distance,
+      geometry,
+    };
+  } catch (error) {
+    console.error("Error fetching optimized trip from OSRM:", error);
+    return { success: false, message: "Failed to optimize the trip with OSRM.", reason: describeError(error) };
+  }
+};
+
+export const osrmRouting = {
+  name: 'osrm',
+  getRouteDetails,
+  getMultiStopRouteDetails,
+  getOptimizedRouteDetails,
+};
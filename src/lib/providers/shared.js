@@ -0,0 +1,64 @@
+import { formatDistance, formatDuration } from "../format";
+
+// Per-leg distance and duration for a route or trip with several stops
+export const summarizeLegs = (legs, stops) =>
+  legs.map((leg, index) => ({
+    from: stops[index].name,
+    to: stops[index + 1].name,
+    duration: formatDuration(leg.duration),
+    distance: formatDistance(leg.distance),
+    durationSeconds: leg.duration,
+    distanceMeters: leg.distance,
+  }));
+
+// Mapbox and OSRM both return { routes: [{ distance, duration, legs: [{ steps }] }] }
+export const summarizeRoute = (route, describeStep = (step) => step.maneuver.instruction) => {
+  const { distance, duration, legs, geometry } = route;
+
+  // Extract more detailed directions and places along the route
+  const directions = [];
+  const steps = [];
+  const places = [];
+  legs[0].steps.forEach((step) => {
+    const instruction = describeStep(step);
+    directions.push(instruction);
+    steps.push({
+      instruction,
+      name: step.name || null,
+      distanceMeters: step.distance,
+      durationSeconds: step.duration,
+    });
+    if (step.name && step.name !== "") {
+      places.push({
+        name: step.name,
+        instruction,
+        distance: step.distance,
+        duration: step.duration,
+      });
+    }
+  });
+
+  return {
+    success: true,
+    duration: formatDuration(duration),
+    distance: formatDistance(distance),
+    durationSeconds: duration,
+    distanceMeters: distance,
+    directions: directions.join(' -> '),
+    steps,
+    places: places,
+    geometry,
+  };
+};
+
+// Mapbox Optimization and OSRM trip responses give each input stop a waypoint_index
+// which is its position within the optimized trip
+export const orderTripStops = (waypoints, stops) => {
+  const orderedStops = [];
+  waypoints.forEach((waypoint, inputIndex) => {
+    orderedStops[waypoint.waypoint_index] = stops[inputIndex];
+  });
+  return orderedStops;
+};
+
+export const toCoordinateList = (stops) => stops.map((s) => `${s.coords.lon},${s.coords.lat}`).join(';');
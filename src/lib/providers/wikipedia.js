@@ -0,0 +1,148 @@
+import { createHttpClient, describeError, mapWithConcurrency } from "../http";
+
+const http = createHttpClient('wikipedia');
+
+const SUMMARY_CONCURRENCY = 4;
+
+// Search suffix that steers results towards sights, in the edition's own language
+const attractionTerms = {
+  en: 'tourist attractions',
+  de: 'Sehenswürdigkeiten',
+  fr: 'attractions touristiques',
+  es: 'atracciones turísticas',
+  it: 'attrazioni turistiche',
+  nl: 'bezienswaardigheden',
+  pt: 'atrações turísticas',
+};
+
+// Language codes double as Wikipedia subdomains; anything that doesn't look like one gets English
+const getWikipediaUrl = (language) => `https://${/^[a-z]{2,3}$/.test(language) ? language : 'en'}.wikipedia.org`;
+
+// Smaller editions often lack an article, so a failed lookup is retried on English Wikipedia
+const withEnglishFallback = (lookup) => async (location, ...args) => {
+  const options = args[args.length - 1] || {};
+  const result = await lookup(location, ...args);
+  if (result.success || !options.language || options.language === 'en') {
+    return result;
+  }
+  return lookup(location, ...args.slice(0, -1), { ...options, language: 'en' });
+};
+
+// Fetch summaries for articles, a few at a time; a failed summary only drops that place
+const summarizeArticles = async (wikipediaUrl, titles, failureMessage) => {
+  const summaries = await mapWithConcurrency(titles, SUMMARY_CONCURRENCY, async (title) => {
+    const summaryUrl = `${wikipediaUrl}/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
+    try {
+      const summaryResponse = await http.get(summaryUrl);
+      return summaryResponse.data;
+    } catch (error) {
+      console.error(`Error fetching Wikipedia summary for ${title}:`, error);
+      return { error };
+    }
+  });
+
+  const places = summaries
+    .filter((summaryData) => !summaryData.error)
+    .map((summaryData) => ({
+      title: summaryData.title,
+      description: summaryData.extract,
+      url: summaryData.content_urls.desktop.page,
+      thumbnail: summaryData.thumbnail || null,
+      coords: summaryData.coordinates ? { lat: summaryData.coordinates.lat, lon: summaryData.coordinates.lon } : null,
+    }));
+
+  if (places.length === 0) {
+    return { success: false, message: failureMessage, reason: describeError(summaries[0].error) };
+  }
+
+  return {
+    success: true,
+    places,
+  };
+};
+
+// Function to get popular places to visit using Wikipedia API
+const getPopularPlaces = async (location, limit = 5, { language = 'en' } = {}) => {
+  const wikipediaUrl = getWikipediaUrl(language);
+  const searchTerms = attractionTerms[language] ? ` ${attractionTerms[language]}` : '';
+  const searchUrl = `${wikipediaUrl}/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(`${location}${searchTerms}`)}&srlimit=${Math.max(limit, 10)}&format=json&origin=*`;
+  try {
+    const response = await http.get(searchUrl);
+    const searchResults = response.data.query.search;
+
+    if (!searchResults || searchResults.length === 0) {
+      return { success: false, message: "No popular places found at the destination." };
+    }
+
+    return summarizeArticles(wikipediaUrl, searchResults.slice(0, limit).map(({ title }) => title), "Failed to get popular places from Wikipedia.");
+  } catch (error) {
+    console.error("Error fetching popular places from Wikipedia:", error);
+    return { success: false, message: "Failed to get popular places from Wikipedia.", reason: describeError(error) };
+  }
+};
+
+// Wikipedia's geosearch looks at most 10 km around a point
+const MAX_GEOSEARCH_RADIUS_METERS = 10000;
+
+// Articles about places within radiusMeters of a point, nearest first
+const getNearbyPlaces = async (coordinates, { radiusMeters = 1000, limit = 5, language = 'en' } = {}) => {
+  const wikipediaUrl = getWikipediaUrl(language);
+  const radius = Math.min(radiusMeters, MAX_GEOSEARCH_RADIUS_METERS);
+  const searchUrl = `${wikipediaUrl}/w/api.php?action=query&list=geosearch&gscoord=${encodeURIComponent(`${coordinates.lat}|${coordinates.lon}`)}&gsradius=${radius}&gslimit=${limit}&format=json&origin=*`;
+  try {
+    const response = await http.get(searchUrl);
+    const searchResults = response.data.query?.geosearch;
+
+    if (!searchResults || searchResults.length === 0) {
+      return { success: false, message: "No Wikipedia articles about places nearby." };
+    }
+
+    return summarizeArticles(wikipediaUrl, searchResults.map(({ title }) => title), "Failed to get nearby places from Wikipedia.");
+  } catch (error) {
+    console.error("Error fetching nearby places from Wikipedia:", error);
+    return { success: false, message: "Failed to get nearby places from Wikipedia.", reason: describeError(error) };
+  }
+};
+
+const getHistoricalInfo = async (location, { language = 'en' } = {}) => {
+  const wikipediaUrl = getWikipediaUrl(language);
+  try {
+    // First, search for the location page
+    const searchUrl = `${wikipediaUrl}/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(location)}&format=json&origin=*`;
+    const searchResponse = await http.get(searchUrl);
+    const pageId = searchResponse.data.query.search[0]?.pageid;
+
+    if (!pageId) {
+      return { success: false, message: "No historical information found." };
+    }
+
+    // Get the page content and URL
+    const contentUrl = `${wikipediaUrl}/w/api.php?action=query&prop=extracts&exintro=1&explaintext=1&pageids=${pageId}&format=json&origin=*`;
+    const titleUrl = `${wikipediaUrl}/w/api.php?action=query&prop=info&inprop=url&pageids=${pageId}&format=json&origin=*`;
+    const [contentResponse, titleResponse] = await Promise.all([http.get(contentUrl), http.get(titleUrl)]);
+    const extract = contentResponse.data.query.pages[pageId].extract;
+    const pageUrl = titleResponse.data.query.pages[pageId].fullurl;
+
+    return {
+      success: true,
+      history: {
+        summary: extract,
+        source: pageUrl
+      }
+    };
+  } catch (error) {
+    console.error("Error fetching historical information:", error);
+    return { success: false, message: "Failed to fetch historical information.", reason: describeError(error) };
+  }
+};
+
+export const wikipediaAttractions = {
+  name: 'wikipedia',
+  getPopularPlaces: withEnglishFallback(getPopularPlaces),
+  getNearbyPlaces: withEnglishFallback(getNearbyPlaces),
+};
+
+export const wikipediaHistory = {
+  name: 'wikipedia',
+  getHistoricalInfo: withEnglishFallback(getHistoricalInfo),
+};
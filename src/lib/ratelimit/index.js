@@ -0,0 +1,72 @@
+import { createMemoryRateLimitStore } from "./memory";
+import { createMysqlRateLimitStore } from "./mysql";
+
+// Requests allowed per window, overridable with RATE_LIMIT_<KIND> and RATE_LIMIT_WINDOW_SECONDS
+const defaultLimits = {
+  ip: 20,
+  key: 120,
+  save: 30,
+};
+
+const getLimit = (kind) => {
+  const configured = process.env[`RATE_LIMIT_${kind.toUpperCase()}`];
+  return configured ? parseInt(configured, 10) : defaultLimits[kind];
+};
+
+const getWindowMs = () => parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60', 10) * 1000;
+
+// Every store has one function: increment(key, windowMs) -> { count, resetAt }
+// RATE_LIMIT_STORE=memory (default), mysql or none
+let store;
+const getStore = () => {
+  if (store === undefined) {
+    const configured = process.env.RATE_LIMIT_STORE || 'memory';
+    if (configured === 'none') {
+      store = null;
+    } else if (configured === 'mysql') {
+      store = createMysqlRateLimitStore();
+    } else {
+      store = createMemoryRateLimitStore();
+    }
+  }
+  return store;
+};
+
+// Count one request against `${kind}:${id}`. A failing store lets the request through rather than
+// taking the chat down with it.
+export const checkRateLimit = async (kind, id) => {
+  const limit = getLimit(kind);
+  const rateLimitStore = getStore();
+  if (!rateLimitStore || !limit) {
+    return { allowed: true };
+  }
+
+  try {
+    const { count, resetAt } = await rateLimitStore.increment(`${kind}:${id}`, getWindowMs());
+    return {
+      allowed: count <= limit,
+      limit,
+      remaining: Math.max(limit - count, 0),
+      resetAt,
+    };
+  } catch (error) {
+    console.error("Error checking rate limit:", error);
+    return { allowed: true };
+  }
+};
+
+// Headers telling clients how much of the window is left, and when to retry once it is used up
+export const rateLimitHeaders = ({ limit, remaining, resetAt, allowed }) => {
+  if (!limit) {
+    return {};
+  }
+  const headers = {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000)),
+  };
+  if (!allowed) {
+    headers['Retry-After'] = String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1));
+  }
+  return headers;
+};
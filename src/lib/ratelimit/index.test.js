@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// The store is picked once per module, so every test gets a fresh module and a fresh memory store
+let checkRateLimit;
+let rateLimitHeaders;
+beforeEach(async () => {
+  vi.stubEnv('RATE_LIMIT_STORE', 'memory');
+  vi.stubEnv('RATE_LIMIT_IP', '2');
+  vi.resetModules();
+  ({ checkRateLimit, rateLimitHeaders } = await import('./index'));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+});
+
+describe('checkRateLimit', () => {
+  it('allows requests up to the limit and then turns them away', async () => {
+    expect(await checkRateLimit('ip', '203.0.113.7')).toMatchObject({ allowed: true, limit: 2, remaining: 1 });
+    expect(await checkRateLimit('ip', '203.0.113.7')).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await checkRateLimit('ip', '203.0.113.7')).toMatchObject({ allowed: false, remaining: 0 });
+  });
+
+  it('counts each id and kind separately', async () => {
+    await checkRateLimit('ip', '203.0.113.7');
+    await checkRateLimit('ip', '203.0.113.7');
+
+    expect((await checkRateLimit('ip', '198.51.100.1')).allowed).toBe(true);
+    expect((await checkRateLimit('save', '203.0.113.7')).allowed).toBe(true);
+  });
+
+  it('starts counting again in the next window', async () => {
+    vi.useFakeTimers();
+    vi.stubEnv('RATE_LIMIT_WINDOW_SECONDS', '10');
+    await checkRateLimit('ip', '203.0.113.7');
+    await checkRateLimit('ip', '203.0.113.7');
+    expect((await checkRateLimit('ip', '203.0.113.7')).allowed).toBe(false);
+
+    vi.advanceTimersByTime(10000);
+    expect((await checkRateLimit('ip', '203.0.113.7')).allowed).toBe(true);
+  });
+
+  it('lets everything through when limiting is off', async () => {
+    vi.stubEnv('RATE_LIMIT_STORE', 'none');
+    vi.resetModules();
+    ({ checkRateLimit } = await import('./index'));
+
+    for (let i = 0; i < 5; i += 1) {
+      expect(await checkRateLimit('ip', '203.0.113.7')).toEqual({ allowed: true });
+    }
+  });
+});
+
+describe('rateLimitHeaders', () => {
+  it('reports the budget left and when to retry once it is used up', async () => {
+    vi.useFakeTimers({ now: 0 });
+    await checkRateLimit('ip', '203.0.113.7');
+    await checkRateLimit('ip', '203.0.113.7');
+    const rateLimit = await checkRateLimit('ip', '203.0.113.7');
+
+    expect(rateLimitHeaders(rateLimit)).toEqual({
+      'X-RateLimit-Limit': '2',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': '60',
+      'Retry-After': '60',
+    });
+    expect(rateLimitHeaders({ allowed: true })).toEqual({});
+  });
+});
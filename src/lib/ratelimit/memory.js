@@ -0,0 +1,29 @@
+// In-process fixed-window counters. Expired windows are swept once maxEntries is reached.
+export const createMemoryRateLimitStore = ({ maxEntries = 10000 } = {}) => {
+  const windows = new Map();
+
+  const sweep = (now) => {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  };
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        if (windows.size >= maxEntries) {
+          sweep(now);
+        }
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { getPool } from "../db";
+
+// Fixed-window counters in a MySQL table, shared by every server process; created on first use
+export const createMysqlRateLimitStore = ({ table = 'travel_rate_limits' } = {}) => {
+  let ready = null;
+  const pool = getPool();
+
+  const ensureTable = () => {
+    if (!ready) {
+      ready = pool.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          bucket_key VARCHAR(255) PRIMARY KEY,
+          count INT NOT NULL,
+          reset_at BIGINT NOT NULL
+        )`
+      ).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    name: 'mysql',
+    increment: async (key, windowMs) => {
+      await ensureTable();
+      const now = Date.now();
+      // count is assigned before reset_at, so both IFs see the old window
+      await pool.query(
+        `INSERT INTO ${table} (bucket_key, count, reset_at) VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           count = IF(reset_at <= ?, 1, count + 1),
+           reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)`,
+        [key, now + windowMs, now, now]
+      );
+      const [rows] = await pool.query(`SELECT count, reset_at FROM ${table} WHERE bucket_key = ?`, [key]);
+      return { count: rows[0].count, resetAt: Number(rows[0].reset_at) };
+    },
+  };
+};
@@ -0,0 +1,86 @@
+import { authenticateRequest, getClientIp } from "./auth";
+import { checkRateLimit, rateLimitHeaders } from "./ratelimit";
+
+const tooManyRequests = (rateLimit) => ({
+  response: Response.json(
+    { error: "Too many requests, please try again later." },
+    { status: 429, headers: rateLimitHeaders(rateLimit) }
+  ),
+});
+
+// API key check and rate limit shared by the chat, plan and export endpoints.
+// Returns { response } when the request is turned away, otherwise { rateLimit, keyId } for the response
+// headers and traces; keyId is null for anonymous requests.
+export const guardRequest = async (req) => {
+  const auth = authenticateRequest(req);
+  if (!auth.success) {
+    return { response: Response.json({ error: auth.message }, { status: 401 }) };
+  }
+
+  // Key holders share one budget wherever they call from; everyone else is limited per IP
+  const rateLimit = auth.keyId
+    ? await checkRateLimit('key', auth.keyId)
+    : await checkRateLimit('ip', getClientIp(req));
+  if (!rateLimit.allowed) {
+    return tooManyRequests(rateLimit);
+  }
+
+  return { rateLimit, keyId: auth.keyId };
+};
+
+// Rate limit for saving trips and sessions, which belong to the browser cookie rather than an API key.
+// Saves are counted per IP on their own budget, since the chat page saves after every response.
+// Returns { response } when the request is turned away, otherwise { rateLimit }.
+export const guardSave = async (req) => {
+  const rateLimit = await checkRateLimit('save', getClientIp(req));
+  return rateLimit.allowed ? { rateLimit } : tooManyRequests(rateLimit);
+};
+
+// The body as text, or null once it is over maxBytes. A larger Content-Length is turned away before
+// anything is read, and a body without one is read only until it passes the limit.
+const readBody = async (req, maxBytes) => {
+  if (parseInt(req.headers.get('content-length') || '0', 10) > maxBytes) {
+    return null;
+  }
+  if (!req.body) {
+    return '';
+  }
+
+  const reader = req.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    bytes += value.byteLength;
+    if (bytes > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Read a JSON body of at most maxBytes and validate it against a zod schema.
+// Returns { response } with a 413 or 400 when it is unusable, otherwise { data }.
+export const parseJsonBody = async (req, schema, { maxBytes, invalidMessage, tooLargeMessage = "Request is too large." }) => {
+  const body = await readBody(req, maxBytes);
+  if (body === null) {
+    return { response: Response.json({ error: tooLargeMessage }, { status: 413 }) };
+  }
+
+  let parsed;
+  try {
+    parsed = schema.safeParse(JSON.parse(body));
+  } catch {
+    return { response: Response.json({ error: "Request body must be JSON." }, { status: 400 }) };
+  }
+  if (!parsed.success) {
+    return { response: Response.json({ error: invalidMessage, issues: parsed.error.issues }, { status: 400 }) };
+  }
+
+  return { data: parsed.data };
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { z } from 'zod';
+import { parseJsonBody } from './requestGuard';
+
+const schema = z.object({ name: z.string() });
+const options = { maxBytes: 32, invalidMessage: 'Invalid thing.' };
+
+const post = (body, headers = {}) =>
+  new Request('http://localhost/api/thing', { method: 'POST', headers, body, duplex: 'half' });
+
+// A body sent in chunks without a Content-Length, like a chunked upload
+const streamed = (chunks, onPull) => {
+  let index = 0;
+  return new ReadableStream({
+    pull(controller) {
+      onPull?.(index);
+      if (index < chunks.length) {
+        controller.enqueue(new TextEncoder().encode(chunks[index]));
+        index += 1;
+      } else {
+        controller.close();
+      }
+    },
+  });
+};
+
+describe('parseJsonBody', () => {
+  it('returns the parsed body', async () => {
+    expect(await parseJsonBody(post('{"name":"Lyon"}'), schema, options)).toEqual({ data: { name: 'Lyon' } });
+  });
+
+  it('answers 400 for a body that is not JSON or does not match the schema', async () => {
+    const notJson = await parseJsonBody(post('{name'), schema, options);
+    expect(notJson.response.status).toBe(400);
+
+    const invalid = await parseJsonBody(post('{"name":1}'), schema, options);
+    expect(invalid.response.status).toBe(400);
+    expect((await invalid.response.json()).error).toBe('Invalid thing.');
+  });
+
+  it('turns away a declared Content-Length over the limit without reading the body', async () => {
+    const req = post(streamed(['{"name":"Lyon"}']), { 'Content-Length': '1000' });
+
+    const result = await parseJsonBody(req, schema, { ...options, tooLargeMessage: 'Thing is too large.' });
+
+    expect(result.response.status).toBe(413);
+    expect((await result.response.json()).error).toBe('Thing is too large.');
+    expect(req.bodyUsed).toBe(false);
+  });
+
+  it('stops reading a body without Content-Length once it passes the limit', async () => {
+    const pulls = [];
+    const chunks = ['{"name":"', 'a'.repeat(30), 'b'.repeat(30), '"}'];
+
+    const result = await parseJsonBody(post(streamed(chunks, (index) => pulls.push(index))), schema, options);
+
+    expect(result.response.status).toBe(413);
+    expect(Math.max(...pulls)).toBeLessThan(chunks.length - 1);
+  });
+
+  it('counts UTF-8 bytes rather than characters', async () => {
+    // 26 characters, 41 bytes
+    const body = `{"name":"${'é'.repeat(15)}"}`;
+    expect(body.length).toBeLessThanOrEqual(options.maxBytes);
+
+    const result = await parseJsonBody(post(body), schema, options);
+    expect(result.response.status).toBe(413);
+  });
+});
@@ -0,0 +1,56 @@
+import { lineLength, locateOnLine, pointAlongLine } from "./geo";
+
+// Kinds of stop a traveller can ask for; each POI provider maps them to its own search
+export const STOP_CATEGORIES = ['fuel', 'ev_charging', 'restaurant', 'cafe', 'rest_area'];
+
+const MAX_SAMPLES = 20;
+
+// Search points every spacingKm along a GeoJSON route, both ends included. Long routes get wider
+// spacing so the number of POI searches stays bounded. The search radius reaches halfway to the
+// neighbouring samples plus the allowed distance off the route, so no stretch is left unsearched.
+export const sampleRouteEvenly = (geometry, spacingKm, maxOffRouteMeters) => {
+  const totalKm = lineLength(geometry);
+  const spacing = Math.max(spacingKm, totalKm / (MAX_SAMPLES - 1));
+  const samples = [];
+  for (let km = 0; km < totalKm; km += spacing) {
+    samples.push({ alongKm: km, coords: pointAlongLine(geometry, km) });
+  }
+  samples.push({ alongKm: totalKm, coords: pointAlongLine(geometry, totalKm) });
+  return {
+    samples,
+    searchRadiusMeters: Math.round(Math.hypot((spacing * 1000) / 2, maxOffRouteMeters)),
+  };
+};
+
+// The same place turns up in neighbouring searches, so keep one entry per id (or name and position)
+const stopKey = (place) => place.id || `${place.name}:${place.coords.lat.toFixed(4)},${place.coords.lon.toFixed(4)}`;
+
+// Merge the search results into stops within maxOffRouteMeters of the route. When there are more
+// than maxStops, the ones closest to the route win; the result is ordered by distance along the route.
+export const selectStops = (geometry, places, { maxOffRouteMeters, maxStops }) => {
+  const unique = new Map();
+  places.forEach((place) => {
+    if (place.coords && !unique.has(stopKey(place))) {
+      unique.set(stopKey(place), place);
+    }
+  });
+
+  return [...unique.values()]
+    .map((place) => ({ ...place, ...locateOnLine(geometry, place.coords) }))
+    .filter((stop) => stop.offsetKm * 1000 <= maxOffRouteMeters)
+    .sort((a, b) => a.offsetKm - b.offsetKm)
+    .slice(0, maxStops)
+    .sort((a, b) => a.alongKm - b.alongKm);
+};
+
+// Points on the route either side of a stop, between which the detour through the stop is measured
+export const detourEndpoints = (geometry, alongKm, marginKm = 2) => {
+  const totalKm = lineLength(geometry);
+  const fromKm = Math.max(alongKm - marginKm, 0);
+  const toKm = Math.min(alongKm + marginKm, totalKm);
+  return {
+    from: pointAlongLine(geometry, fromKm),
+    to: pointAlongLine(geometry, toKm),
+    directKm: toKm - fromKm,
+  };
+};
@@ -0,0 +1,122 @@
+import { formatDistance, formatDuration } from "./format";
+import { lineLength, pointAlongLine } from "./geo";
+import { DEFAULT_LOCALE } from "./locale";
+
+// Modes where the traveller is at the wheel and needs rest breaks
+export const DRIVING_MODES = ['driving', 'driving-traffic'];
+
+// Steps at least this long get their own ETA; shorter ones are turns in between
+const MAJOR_STEP_SECONDS = 10 * 60;
+
+// A break this close to the destination is skipped, the traveller may as well arrive
+const MIN_REMAINING_SECONDS = 10 * 60;
+
+// REST_BREAK_AFTER_MINUTES (default 120) of continuous driving earns a REST_BREAK_MINUTES (default 15) break.
+// Requests may override both.
+export const getRestBreakSettings = ({ maxDrivingMinutes, breakMinutes } = {}) => ({
+  maxDrivingMinutes: maxDrivingMinutes || parseInt(process.env.REST_BREAK_AFTER_MINUTES || '120', 10),
+  breakMinutes: breakMinutes || parseInt(process.env.REST_BREAK_MINUTES || '15', 10),
+});
+
+// Driving time (seconds from departure, breaks excluded) at which each break starts
+const getBreakOffsets = (drivingSeconds, maxDrivingSeconds) => {
+  const offsets = [];
+  for (let offset = maxDrivingSeconds; offset < drivingSeconds - MIN_REMAINING_SECONDS; offset += maxDrivingSeconds) {
+    offsets.push(offset);
+  }
+  return offsets;
+};
+
+// Seconds from departure until the traveller has been moving for drivingSeconds, including breaks taken so far.
+// A break due at exactly that point counts as taken, so the next step starts after it.
+export const elapsedSecondsAt = (schedule, drivingSeconds) =>
+  drivingSeconds + schedule.breaks
+    .filter((b) => b.afterDrivingSeconds <= drivingSeconds)
+    .reduce((sum, b) => sum + b.durationSeconds, 0);
+
+// Distance along the route after drivingSeconds, assuming constant speed within each step
+const distanceAt = (steps, drivingSeconds) => {
+  let seconds = 0;
+  let meters = 0;
+  for (const step of steps) {
+    if (seconds + step.durationSeconds >= drivingSeconds) {
+      const fraction = step.durationSeconds > 0 ? (drivingSeconds - seconds) / step.durationSeconds : 0;
+      return meters + fraction * step.distanceMeters;
+    }
+    seconds += step.durationSeconds;
+    meters += step.distanceMeters;
+  }
+  return meters;
+};
+
+// Timed schedule for a route: departure, ETAs at major steps, rest breaks and arrival.
+// With arriveBy the departure is worked back from the deadline; otherwise it is departAt or now.
+// departsInPast is set when the deadline can no longer be met.
+export const buildSchedule = (route, { travelMode = 'driving', departAt, arriveBy, restBreaks = {}, locale = DEFAULT_LOCALE } = {}) => {
+  // Routes without turn-by-turn steps are treated as one long step
+  const steps = route.steps?.length > 0
+    ? route.steps
+    : [{ instruction: null, durationSeconds: route.durationSeconds, distanceMeters: route.distanceMeters }];
+
+  const settings = DRIVING_MODES.includes(travelMode) ? getRestBreakSettings(restBreaks) : null;
+  const breakOffsets = settings ? getBreakOffsets(route.durationSeconds, settings.maxDrivingMinutes * 60) : [];
+  const breakSeconds = settings ? settings.breakMinutes * 60 : 0;
+  const totalSeconds = route.durationSeconds + breakOffsets.length * breakSeconds;
+
+  // Durations are fractional seconds; times are rounded to the millisecond so arriveBy is met exactly
+  const departure = arriveBy
+    ? new Date(new Date(arriveBy).getTime() - Math.round(totalSeconds * 1000))
+    : new Date(departAt || Date.now());
+  const timeAt = (elapsedSeconds) => new Date(departure.getTime() + Math.round(elapsedSeconds * 1000)).toISOString();
+
+  // Geometry length and route distance differ slightly, so positions are placed proportionally
+  const kmPerMeter = route.geometry && route.distanceMeters > 0 ? lineLength(route.geometry) / route.distanceMeters : 0;
+
+  const breaks = breakOffsets.map((offset, index) => {
+    const distanceAlongMeters = distanceAt(steps, offset);
+    const startsAfter = offset + index * breakSeconds;
+    return {
+      afterDrivingSeconds: offset,
+      durationSeconds: breakSeconds,
+      at: timeAt(startsAfter),
+      until: timeAt(startsAfter + breakSeconds),
+      distanceAlongMeters,
+      distanceAlong: formatDistance(distanceAlongMeters, locale),
+      coords: kmPerMeter ? pointAlongLine(route.geometry, distanceAlongMeters * kmPerMeter) : null,
+    };
+  });
+  const schedule = { breaks };
+
+  const entries = [{ kind: 'depart', at: timeAt(0), distanceAlong: formatDistance(0, locale) }];
+  let drivingSeconds = 0;
+  let meters = 0;
+  steps.forEach((step, index) => {
+    if (index > 0 && step.instruction && step.durationSeconds >= MAJOR_STEP_SECONDS) {
+      entries.push({
+        kind: 'step',
+        at: timeAt(elapsedSecondsAt(schedule, drivingSeconds)),
+        instruction: step.instruction,
+        distanceAlong: formatDistance(meters, locale),
+      });
+    }
+    drivingSeconds += step.durationSeconds;
+    meters += step.distanceMeters;
+  });
+  breaks.forEach((b) =>
+    entries.push({ kind: 'break', at: b.at, until: b.until, distanceAlong: b.distanceAlong, duration: formatDuration(b.durationSeconds, locale) })
+  );
+  entries.push({ kind: 'arrive', at: timeAt(totalSeconds), distanceAlong: formatDistance(route.distanceMeters, locale) });
+  entries.sort((a, b) => a.at.localeCompare(b.at));
+
+  return {
+    departAt: departure.toISOString(),
+    arriveAt: timeAt(totalSeconds),
+    arriveBy: arriveBy ? new Date(arriveBy).toISOString() : null,
+    departsInPast: Boolean(arriveBy) && departure.getTime() < Date.now(),
+    totalSeconds,
+    totalDuration: formatDuration(totalSeconds, locale),
+    restBreaks: settings,
+    breaks,
+    entries,
+  };
+};
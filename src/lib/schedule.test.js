@@ -0,0 +1,98 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildSchedule, elapsedSecondsAt } from './schedule';
+
+const HOUR = 3600;
+
+// A straight drive east along the equator, split into one-hour steps at 100 km/h
+const route = (hours) => ({
+  durationSeconds: hours * HOUR,
+  distanceMeters: hours * 100000,
+  steps: Array.from({ length: Math.ceil(hours) }, (_, index) => ({
+    instruction: `Step ${index + 1}`,
+    durationSeconds: Math.min(1, hours - index) * HOUR,
+    distanceMeters: Math.min(1, hours - index) * 100000,
+  })),
+  geometry: { type: 'LineString', coordinates: [[0, 0], [hours * 0.9, 0]] },
+});
+
+const departAt = '2030-06-01T08:00:00.000Z';
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('rest breaks', () => {
+  it('adds a break after every two hours of driving', () => {
+    const schedule = buildSchedule(route(5), { departAt });
+
+    expect(schedule.breaks.map((b) => [b.at, b.until])).toEqual([
+      ['2030-06-01T10:00:00.000Z', '2030-06-01T10:15:00.000Z'],
+      ['2030-06-01T12:15:00.000Z', '2030-06-01T12:30:00.000Z'],
+    ]);
+    expect(schedule.arriveAt).toBe('2030-06-01T13:30:00.000Z');
+    expect(schedule.breaks[0].distanceAlongMeters).toBe(200000);
+    expect(schedule.breaks[0].coords.lon).toBeCloseTo(1.8, 1);
+  });
+
+  it('skips a break due just before arrival', () => {
+    const schedule = buildSchedule(route(4.1), { departAt });
+
+    expect(schedule.breaks).toHaveLength(1);
+  });
+
+  it('takes no breaks walking or cycling', () => {
+    const schedule = buildSchedule(route(5), { travelMode: 'walking', departAt });
+
+    expect(schedule.breaks).toEqual([]);
+    expect(schedule.restBreaks).toBeNull();
+    expect(schedule.arriveAt).toBe('2030-06-01T13:00:00.000Z');
+  });
+
+  it('uses the requested limits over the configured ones', () => {
+    vi.stubEnv('REST_BREAK_AFTER_MINUTES', '90');
+    vi.stubEnv('REST_BREAK_MINUTES', '20');
+
+    expect(buildSchedule(route(5), { departAt }).breaks.map((b) => b.durationSeconds)).toEqual([1200, 1200, 1200]);
+    const requested = buildSchedule(route(5), { departAt, restBreaks: { maxDrivingMinutes: 180, breakMinutes: 30 } });
+    expect(requested.breaks.map((b) => b.at)).toEqual(['2030-06-01T11:00:00.000Z']);
+    expect(requested.restBreaks).toEqual({ maxDrivingMinutes: 180, breakMinutes: 30 });
+  });
+
+  it('times the steps after a break from when the break ends', () => {
+    const schedule = buildSchedule(route(3), { departAt });
+
+    expect(elapsedSecondsAt(schedule, 2 * HOUR)).toBe(2 * HOUR + 15 * 60);
+    expect(schedule.entries.map((e) => [e.kind, e.at])).toEqual([
+      ['depart', '2030-06-01T08:00:00.000Z'],
+      ['step', '2030-06-01T09:00:00.000Z'],
+      ['break', '2030-06-01T10:00:00.000Z'],
+      ['step', '2030-06-01T10:15:00.000Z'],
+      ['arrive', '2030-06-01T11:15:00.000Z'],
+    ]);
+  });
+});
+
+describe('arrive by', () => {
+  it('works the departure back from the deadline, breaks included', () => {
+    const schedule = buildSchedule(route(5), { arriveBy: '2030-06-01T18:00:00+02:00' });
+
+    expect(schedule.departAt).toBe('2030-06-01T10:30:00.000Z');
+    expect(schedule.arriveAt).toBe('2030-06-01T16:00:00.000Z');
+    expect(schedule.arriveBy).toBe('2030-06-01T16:00:00.000Z');
+    expect(schedule.departsInPast).toBe(false);
+  });
+
+  it('says when the deadline can no longer be met', () => {
+    const arriveBy = new Date(Date.now() + HOUR * 1000).toISOString();
+    const schedule = buildSchedule(route(2), { arriveBy });
+
+    expect(schedule.departsInPast).toBe(true);
+    expect(schedule.arriveAt).toBe(arriveBy);
+  });
+
+  it('takes arriveBy over departAt', () => {
+    const schedule = buildSchedule(route(1), { departAt, arriveBy: '2030-06-01T20:00:00Z' });
+
+    expect(schedule.departAt).toBe('2030-06-01T19:00:00.000Z');
+  });
+});
@@ -0,0 +1,65 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Chat sessions in a local JSON file, for development without a database.
+// Writes are chained so concurrent requests never interleave.
+export const createFileSessionStore = ({ filePath = path.join(process.cwd(), '.data', 'sessions.json') } = {}) => {
+  let pending = Promise.resolve();
+
+  const readAll = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const update = (change) => {
+    const next = pending.then(async () => {
+      const sessions = await readAll();
+      const { sessions: updated, result } = change(sessions);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(updated));
+      return result;
+    });
+    pending = next.catch(() => {});
+    return next;
+  };
+
+  const summarize = ({ id, title, createdAt, updatedAt }) => ({ id, title, createdAt, updatedAt });
+  const isMatch = (userId, id) => (s) => s.userId === userId && s.id === id;
+
+  return {
+    name: 'file',
+    list: async (userId) =>
+      (await readAll())
+        .filter((s) => s.userId === userId)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(summarize),
+    get: async (userId, id) => {
+      const session = (await readAll()).find(isMatch(userId, id));
+      return session ? { ...summarize(session), messages: session.messages } : null;
+    },
+    // Counting happens inside the chained write, so concurrent saves cannot both take the last place
+    save: (userId, session, { maxSessions = Infinity } = {}) =>
+      update((sessions) => {
+        const existing = sessions.find(isMatch(userId, session.id));
+        if (!existing && sessions.filter((s) => s.userId === userId).length >= maxSessions) {
+          return { sessions, result: null };
+        }
+        const saved = { ...session, createdAt: existing ? existing.createdAt : session.createdAt };
+        return {
+          sessions: [...sessions.filter((s) => !isMatch(userId, session.id)(s)), { ...saved, userId }],
+          result: saved,
+        };
+      }),
+    remove: (userId, id) =>
+      update((sessions) => {
+        const remaining = sessions.filter((s) => !isMatch(userId, id)(s));
+        return { sessions: remaining, result: remaining.length < sessions.length };
+      }),
+  };
+};
@@ -0,0 +1,39 @@
+import { z } from "zod";
+import { MAX_SESSION_MESSAGES } from "../chatHistory";
+import { isDatabaseConfigured } from "../db";
+import { createFileSessionStore } from "./file";
+import { createMysqlSessionStore } from "./mysql";
+
+// Every store has the same functions:
+// - list(userId) -> [{ id, title, createdAt, updatedAt }], most recently updated first
+// - get(userId, id) -> { id, title, messages, createdAt, updatedAt } | null
+// - save(userId, session, { maxSessions }) -> session, creating it or replacing its title and messages,
+//   or null when it is new and the user already has maxSessions sessions
+// - remove(userId, id) -> boolean
+// SESSIONS_STORE=mysql or file; by default MySQL is used when the database is configured.
+let store = null;
+
+export const getSessionStore = () => {
+  if (!store) {
+    const configured = process.env.SESSIONS_STORE || (isDatabaseConfigured() ? 'mysql' : 'file');
+    store = configured === 'mysql'
+      ? createMysqlSessionStore()
+      : createFileSessionStore(process.env.SESSIONS_FILE ? { filePath: process.env.SESSIONS_FILE } : undefined);
+  }
+  return store;
+};
+
+export { MAX_SESSION_BYTES } from "../chatHistory";
+
+// Sessions one browser id may keep, so a single cookie cannot fill the store (SESSIONS_MAX_PER_USER)
+export const getMaxSessionsPerUser = () => parseInt(process.env.SESSIONS_MAX_PER_USER || '100', 10);
+
+// Session ids are made by the browser when a conversation starts, so saving is a plain upsert
+export const sessionIdSchema = z.string().uuid();
+
+export const saveSessionSchema = z.object({
+  title: z.string().trim().min(1).max(255).optional(),
+  messages: z.array(
+    z.object({ id: z.string(), role: z.string(), content: z.string() }).passthrough()
+  ).max(MAX_SESSION_MESSAGES),
+});
@@ -0,0 +1,80 @@
+import { getPool, withTransaction } from "../db";
+
+// Chat sessions in a MySQL table, created on first use.
+// Ids come from the browser, so they are only unique per user.
+export const createMysqlSessionStore = ({ table = 'chat_sessions' } = {}) => {
+  let ready = null;
+  const pool = getPool();
+
+  const ensureTable = () => {
+    if (!ready) {
+      ready = pool.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          user_id VARCHAR(64) NOT NULL,
+          id VARCHAR(36) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          messages LONGTEXT NOT NULL,
+          created_at BIGINT NOT NULL,
+          updated_at BIGINT NOT NULL,
+          PRIMARY KEY (user_id, id),
+          INDEX (user_id, updated_at)
+        )`
+      ).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  const toSession = (row, withMessages) => ({
+    id: row.id,
+    title: row.title,
+    ...(withMessages ? { messages: JSON.parse(row.messages) } : {}),
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+  });
+
+  return {
+    name: 'mysql',
+    list: async (userId) => {
+      await ensureTable();
+      const [rows] = await pool.query(
+        `SELECT id, title, created_at, updated_at FROM ${table} WHERE user_id = ? ORDER BY updated_at DESC`,
+        [userId]
+      );
+      return rows.map((row) => toSession(row, false));
+    },
+    get: async (userId, id) => {
+      await ensureTable();
+      const [rows] = await pool.query(`SELECT * FROM ${table} WHERE user_id = ? AND id = ?`, [userId, id]);
+      return rows.length ? toSession(rows[0], true) : null;
+    },
+    save: async (userId, session, { maxSessions = Infinity } = {}) => {
+      await ensureTable();
+      // Reading FOR UPDATE locks the user's rows, so concurrent saves cannot both take the last place
+      return withTransaction(async (connection) => {
+        const [rows] = await connection.query(
+          `SELECT id, created_at FROM ${table} WHERE user_id = ? FOR UPDATE`,
+          [userId]
+        );
+        const existing = rows.find((row) => row.id === session.id);
+        if (!existing && rows.length >= maxSessions) {
+          return null;
+        }
+        await connection.query(
+          `INSERT INTO ${table} (user_id, id, title, messages, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE title = VALUES(title), messages = VALUES(messages), updated_at = VALUES(updated_at)`,
+          [userId, session.id, session.title, JSON.stringify(session.messages), session.createdAt, session.updatedAt]
+        );
+        // An update keeps the row's creation time, like the file store
+        return { ...session, createdAt: existing ? Number(existing.created_at) : session.createdAt };
+      });
+    },
+    remove: async (userId, id) => {
+      await ensureTable();
+      const [result] = await pool.query(`DELETE FROM ${table} WHERE user_id = ? AND id = ?`, [userId, id]);
+      return result.affectedRows > 0;
+    },
+  };
+};
@@ -0,0 +1,55 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Traces as JSON lines in a local file, appended per request. Once the file holds a tenth more
+// than maxTraces it is rewritten with the newest maxTraces. Writes are chained so they never interleave.
+export const createFileTraceStore = ({ filePath = path.join(process.cwd(), '.data', 'traces.jsonl'), maxTraces = 1000 } = {}) => {
+  let pending = Promise.resolve();
+  let lineCount = null;
+
+  const readAll = async () => {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    // A line cut short by a crash is skipped rather than hiding every other trace
+    return content.split('\n').flatMap((line) => {
+      try {
+        return line ? [JSON.parse(line)] : [];
+      } catch {
+        return [];
+      }
+    });
+  };
+
+  const append = async (trace) => {
+    if (lineCount === null) {
+      lineCount = (await readAll()).length;
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(trace)}\n`);
+    lineCount += 1;
+
+    if (lineCount > maxTraces * 1.1) {
+      const newest = (await readAll()).slice(-maxTraces);
+      await fs.writeFile(filePath, newest.map((t) => `${JSON.stringify(t)}\n`).join(''));
+      lineCount = newest.length;
+    }
+  };
+
+  return {
+    name: 'file',
+    list: async () => (await readAll()).reverse(),
+    get: async (id) => (await readAll()).find((t) => t.id === id) || null,
+    save: (trace) => {
+      const next = pending.then(() => append(trace));
+      pending = next.catch(() => {});
+      return next;
+    },
+  };
+};
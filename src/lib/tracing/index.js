@@ -0,0 +1,165 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import { createFileTraceStore } from "./file";
+
+// Every store has the same functions:
+// - list() -> [trace], newest first
+// - get(id) -> trace | null
+// - save(trace)
+// TRACES_STORE=file (default) keeps traces in .data/traces.jsonl (or TRACES_FILE); none turns them off.
+let store;
+
+export const getTraceStore = () => {
+  if (store === undefined) {
+    store = process.env.TRACES_STORE === 'none'
+      ? null
+      : createFileTraceStore({
+        ...(process.env.TRACES_FILE ? { filePath: process.env.TRACES_FILE } : {}),
+        maxTraces: parseInt(process.env.TRACES_MAX || '1000', 10),
+      });
+  }
+  return store;
+};
+
+const MAX_TEXT_CHARS = 500;
+
+const truncate = (text) => (text && text.length > MAX_TEXT_CHARS ? `${text.slice(0, MAX_TEXT_CHARS)}…` : text || '');
+
+// The trace of the request (and tool call) currently running, so deep callers such as the
+// HTTP client can record into it without every function passing it along
+const storage = new AsyncLocalStorage();
+
+// A trace for one API request. input holds what the caller asked for, e.g. the last chat message.
+export const startTrace = (fields) => ({
+  id: crypto.randomUUID(),
+  startedAt: Date.now(),
+  status: 'running',
+  ...fields,
+  steps: [],
+  toolCalls: [],
+  upstream: [],
+  modelErrors: [],
+});
+
+export const runWithTrace = (trace, fn) => storage.run({ trace, toolCall: null }, fn);
+
+// Outcome of one upstream HTTP call, attributed to the tool call that made it when there is one
+export const recordUpstreamCall = (call) => {
+  const context = storage.getStore();
+  if (context) {
+    (context.toolCall || context.trace).upstream.push(call);
+  }
+};
+
+// Lookups answered from the cache make no upstream call, so count them to explain the gap
+export const recordCacheHit = (source) => {
+  const toolCall = storage.getStore()?.toolCall;
+  if (toolCall) {
+    toolCall.cacheHits[source] = (toolCall.cacheHits[source] || 0) + 1;
+  }
+};
+
+export const recordModelError = (modelId, error) => {
+  storage.getStore()?.trace.modelErrors.push({ model: modelId, message: error?.message || String(error), at: Date.now() });
+};
+
+// One model call (streamText/generateText step): what it said, which tools it asked for and its token usage
+export const recordStep = (trace, step) => {
+  trace.steps.push({
+    stepType: step.stepType,
+    finishReason: step.finishReason,
+    text: truncate(step.text),
+    toolCalls: step.toolCalls.map(({ toolCallId, toolName, args }) => ({ toolCallId, toolName, args })),
+    usage: step.usage,
+    finishedAt: Date.now(),
+  });
+};
+
+// Tool results are typed objects, or { text } for messages and errors
+const describeResult = (result) => ({
+  resultType: result?.type || 'text',
+  ...(result?.type ? {} : { text: truncate(result?.text) }),
+  ...(result?.failedSections?.length ? { failedSections: result.failedSections.map((s) => s.section) } : {}),
+});
+
+// Wrap a tool's execute so each call is recorded with its arguments, latency, outcome and upstream calls
+export const traceTool = (trace, toolName, execute) => async (args) => {
+  const toolCall = { toolName, args, startedAt: Date.now(), upstream: [], cacheHits: {} };
+  trace.toolCalls.push(toolCall);
+  try {
+    const result = await storage.run({ trace, toolCall }, () => execute(args));
+    Object.assign(toolCall, { outcome: 'ok', ...describeResult(result) });
+    return result;
+  } catch (error) {
+    Object.assign(toolCall, { outcome: 'error', error: error?.message || String(error) });
+    throw error;
+  } finally {
+    toolCall.durationMs = Date.now() - toolCall.startedAt;
+  }
+};
+
+const tokenCount = (value) => (Number.isFinite(value) ? value : 0);
+
+// Token usage summed over all steps; providers that do not report it count as zero
+const sumUsage = (steps) =>
+  steps.reduce(
+    (total, { usage }) => ({
+      promptTokens: total.promptTokens + tokenCount(usage?.promptTokens),
+      completionTokens: total.completionTokens + tokenCount(usage?.completionTokens),
+      totalTokens: total.totalTokens + tokenCount(usage?.totalTokens),
+    }),
+    { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+  );
+
+// Close the trace and store it. Never throws: a failed write must not fail the request.
+export const finishTrace = async (trace, { error } = {}) => {
+  trace.finishedAt = Date.now();
+  trace.durationMs = trace.finishedAt - trace.startedAt;
+  trace.status = error ? 'error' : 'ok';
+  if (error) {
+    trace.error = error?.message || String(error);
+  }
+  trace.usage = sumUsage(trace.steps);
+
+  const traceStore = getTraceStore();
+  if (!traceStore) {
+    return;
+  }
+  try {
+    await traceStore.save(trace);
+  } catch (saveError) {
+    console.error("Error saving trace:", saveError);
+  }
+};
+
+const countUpstream = (trace) => {
+  const calls = [...trace.upstream, ...trace.toolCalls.flatMap((t) => t.upstream)];
+  return { upstreamCalls: calls.length, upstreamFailures: calls.filter((c) => c.outcome !== 'ok').length };
+};
+
+// List entry for the admin page
+export const summarizeTrace = (trace) => ({
+  id: trace.id,
+  startedAt: trace.startedAt,
+  endpoint: trace.endpoint,
+  status: trace.status,
+  model: trace.model || null,
+  input: trace.input,
+  durationMs: trace.durationMs,
+  usage: trace.usage,
+  tools: trace.toolCalls.map((t) => t.toolName),
+  ...countUpstream(trace),
+});
+
+// Requests and token usage per model, for tracking costs
+export const totalsByModel = (traces) =>
+  traces
+    .filter((trace) => trace.model)
+    .reduce((totals, trace) => {
+      const entry = totals[trace.model] || (totals[trace.model] = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+      entry.requests += 1;
+      entry.promptTokens += tokenCount(trace.usage?.promptTokens);
+      entry.completionTokens += tokenCount(trace.usage?.completionTokens);
+      entry.totalTokens += tokenCount(trace.usage?.totalTokens);
+      return totals;
+    }, {});
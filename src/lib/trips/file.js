@@ -0,0 +1,58 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Saved trips in a local JSON file, for development without a database.
+// Writes are chained so concurrent requests never interleave.
+export const createFileTripStore = ({ filePath = path.join(process.cwd(), '.data', 'trips.json') } = {}) => {
+  let pending = Promise.resolve();
+
+  const readAll = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const update = (change) => {
+    const next = pending.then(async () => {
+      const trips = await readAll();
+      const { trips: updated, result } = change(trips);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(updated, null, 2));
+      return result;
+    });
+    pending = next.catch(() => {});
+    return next;
+  };
+
+  const summarize = ({ id, title, inputs, createdAt }) => ({ id, title, inputs, createdAt });
+
+  return {
+    name: 'file',
+    list: async (userId) =>
+      (await readAll())
+        .filter((t) => t.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(summarize),
+    get: async (userId, id) => {
+      const trip = (await readAll()).find((t) => t.userId === userId && t.id === id);
+      return trip ? { ...summarize(trip), plan: trip.plan } : null;
+    },
+    // Counting happens inside the chained write, so concurrent saves cannot both take the last place
+    save: (userId, trip, { maxTrips = Infinity } = {}) =>
+      update((trips) =>
+        trips.filter((t) => t.userId === userId).length >= maxTrips
+          ? { trips, result: null }
+          : { trips: [...trips, { ...trip, userId }], result: trip }
+      ),
+    remove: (userId, id) =>
+      update((trips) => {
+        const remaining = trips.filter((t) => !(t.userId === userId && t.id === id));
+        return { trips: remaining, result: remaining.length < trips.length };
+      }),
+  };
+};
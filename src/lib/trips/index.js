@@ -0,0 +1,43 @@
+import crypto from "crypto";
+import { z } from "zod";
+import { isDatabaseConfigured } from "../db";
+import { createFileTripStore } from "./file";
+import { createMysqlTripStore } from "./mysql";
+
+// Every store has the same functions:
+// - list(userId) -> [{ id, title, inputs, createdAt }]
+// - get(userId, id) -> { id, title, inputs, plan, createdAt } | null
+// - save(userId, trip, { maxTrips }) -> trip, or null when the user already has maxTrips trips
+// - remove(userId, id) -> boolean
+// TRIPS_STORE=mysql or file; by default MySQL is used when the database is configured.
+let store = null;
+
+export const getTripStore = () => {
+  if (!store) {
+    const configured = process.env.TRIPS_STORE || (isDatabaseConfigured() ? 'mysql' : 'file');
+    store = configured === 'mysql'
+      ? createMysqlTripStore()
+      : createFileTripStore(process.env.TRIPS_FILE ? { filePath: process.env.TRIPS_FILE } : undefined);
+  }
+  return store;
+};
+
+// Large enough for a plan with full directions, small enough to keep the store sane
+export const MAX_TRIP_BYTES = 1024 * 1024;
+
+// Trips one browser id may keep, so a single cookie cannot fill the store (TRIPS_MAX_PER_USER)
+export const getMaxTripsPerUser = () => parseInt(process.env.TRIPS_MAX_PER_USER || '100', 10);
+
+export const saveTripSchema = z.object({
+  title: z.string().trim().min(1).max(255).optional(),
+  inputs: z.record(z.unknown()),
+  plan: z.object({ type: z.string() }).passthrough(),
+});
+
+export const createTrip = ({ title, inputs, plan }) => ({
+  id: crypto.randomUUID(),
+  title: title || (plan.origin && plan.destination ? `${plan.origin.name} to ${plan.destination.name}` : 'Saved trip'),
+  inputs,
+  plan,
+  createdAt: Date.now(),
+});
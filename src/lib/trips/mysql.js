@@ -0,0 +1,75 @@
+import { getPool, withTransaction } from "../db";
+
+// Saved trips in a MySQL table, created on first use
+export const createMysqlTripStore = ({ table = 'saved_trips' } = {}) => {
+  let ready = null;
+  const pool = getPool();
+
+  const ensureTable = () => {
+    if (!ready) {
+      ready = pool.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          id VARCHAR(36) PRIMARY KEY,
+          user_id VARCHAR(64) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          inputs LONGTEXT NOT NULL,
+          plan LONGTEXT NOT NULL,
+          created_at BIGINT NOT NULL,
+          INDEX (user_id, created_at)
+        )`
+      ).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  const toTrip = (row, withPlan) => ({
+    id: row.id,
+    title: row.title,
+    inputs: JSON.parse(row.inputs),
+    ...(withPlan ? { plan: JSON.parse(row.plan) } : {}),
+    createdAt: Number(row.created_at),
+  });
+
+  return {
+    name: 'mysql',
+    list: async (userId) => {
+      await ensureTable();
+      const [rows] = await pool.query(
+        `SELECT id, title, inputs, created_at FROM ${table} WHERE user_id = ? ORDER BY created_at DESC`,
+        [userId]
+      );
+      return rows.map((row) => toTrip(row, false));
+    },
+    get: async (userId, id) => {
+      await ensureTable();
+      const [rows] = await pool.query(`SELECT * FROM ${table} WHERE user_id = ? AND id = ?`, [userId, id]);
+      return rows.length ? toTrip(rows[0], true) : null;
+    },
+    save: async (userId, trip, { maxTrips = Infinity } = {}) => {
+      await ensureTable();
+      // Counting FOR UPDATE locks the user's rows, so concurrent saves cannot both take the last place
+      return withTransaction(async (connection) => {
+        const [rows] = await connection.query(
+          `SELECT COUNT(*) AS saved FROM ${table} WHERE user_id = ? FOR UPDATE`,
+          [userId]
+        );
+        if (Number(rows[0].saved) >= maxTrips) {
+          return null;
+        }
+        await connection.query(
+          `INSERT INTO ${table} (id, user_id, title, inputs, plan, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+          [trip.id, userId, trip.title, JSON.stringify(trip.inputs), JSON.stringify(trip.plan), trip.createdAt]
+        );
+        return trip;
+      });
+    },
+    remove: async (userId, id) => {
+      await ensureTable();
+      const [result] = await pool.query(`DELETE FROM ${table} WHERE user_id = ? AND id = ?`, [userId, id]);
+      return result.affectedRows > 0;
+    },
+  };
+};
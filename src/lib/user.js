@@ -0,0 +1,24 @@
+import crypto from "crypto";
+import { cookies } from "next/headers";
+
+// Anonymous per-browser id so saved data can be scoped without accounts
+const USER_COOKIE = 'travel_user_id';
+const ONE_YEAR = 60 * 60 * 24 * 365;
+
+// Only usable inside route handlers, where cookies can be set on the response
+export const getOrCreateUserId = () => {
+  const cookieStore = cookies();
+  const existing = cookieStore.get(USER_COOKIE)?.value;
+  if (existing) {
+    return existing;
+  }
+
+  const userId = crypto.randomUUID();
+  cookieStore.set(USER_COOKIE, userId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: ONE_YEAR,
+    path: '/',
+  });
+  return userId;
+};
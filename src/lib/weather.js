@@ -0,0 +1,67 @@
+import { haversineDistance } from "./geo";
+
+const SAMPLE_SPACING_KM = 100;
+const MAX_SAMPLES = 8;
+
+// Points along a GeoJSON route roughly every SAMPLE_SPACING_KM, always including both ends.
+// Each point carries the fraction of the route covered, so its arrival time can be estimated.
+export const sampleRoute = (geometry, origin, destination) => {
+  const coordinates = geometry?.coordinates?.map(([lon, lat]) => ({ lat, lon })) || [origin, destination];
+
+  const cumulative = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineDistance(coordinates[i - 1], coordinates[i]));
+  }
+  const totalKm = cumulative[cumulative.length - 1];
+  const count = Math.min(MAX_SAMPLES, Math.max(2, Math.ceil(totalKm / SAMPLE_SPACING_KM) + 1));
+
+  const samples = [];
+  let index = 0;
+  for (let i = 0; i < count - 1; i++) {
+    const targetKm = (totalKm * i) / (count - 1);
+    while (index < cumulative.length - 1 && cumulative[index] < targetKm) {
+      index++;
+    }
+    samples.push({ coords: coordinates[index], fraction: totalKm > 0 ? cumulative[index] / totalKm : 0 });
+  }
+  samples.push({ coords: destination, fraction: 1 });
+  return samples;
+};
+
+// WMO weather codes used by Open-Meteo
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+const HEAVY_RAIN_CODES = [65, 67, 82];
+const THUNDERSTORM_CODES = [95, 96, 99];
+const FREEZING_CODES = [56, 57, 66, 67];
+
+// Thresholds for flagging a forecast as hazardous for travel
+const HEAVY_RAIN_MM_PER_HOUR = 7.6;
+const EXTREME_HEAT_C = 35;
+const EXTREME_COLD_C = -15;
+const STRONG_WIND_KMH = 60;
+
+export const detectHazards = (forecast) => {
+  const hazards = [];
+  if (SNOW_CODES.includes(forecast.weatherCode) || forecast.snowfallCm > 0) {
+    hazards.push('snow');
+  }
+  if (HEAVY_RAIN_CODES.includes(forecast.weatherCode) || forecast.precipitationMm >= HEAVY_RAIN_MM_PER_HOUR) {
+    hazards.push('heavy rain');
+  }
+  if (FREEZING_CODES.includes(forecast.weatherCode)) {
+    hazards.push('freezing rain');
+  }
+  if (THUNDERSTORM_CODES.includes(forecast.weatherCode)) {
+    hazards.push('thunderstorm');
+  }
+  if (forecast.temperatureC >= EXTREME_HEAT_C) {
+    hazards.push('extreme heat');
+  }
+  if (forecast.temperatureC <= EXTREME_COLD_C) {
+    hazards.push('extreme cold');
+  }
+  if (forecast.windSpeedKmh >= STRONG_WIND_KMH) {
+    hazards.push('strong wind');
+  }
+  return hazards;
+};
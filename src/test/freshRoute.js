@@ -0,0 +1,26 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, vi } from "vitest";
+
+// Loads a route module anew before each test, with env(dir) stubbed for a temporary directory and an
+// in-memory rate limiter. Stores and limiters are picked once per module, so every test starts empty.
+// The environment and the directory are restored after each test. Returns { route } filled in per test.
+export const withFreshRoute = (importRoute, env) => {
+  const current = {};
+
+  beforeEach(async () => {
+    current.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-test-'));
+    Object.entries({ RATE_LIMIT_STORE: 'memory', ...env(current.dir) })
+      .forEach(([name, value]) => vi.stubEnv(name, value));
+    vi.resetModules();
+    current.route = await importRoute();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    fs.rmSync(current.dir, { recursive: true, force: true });
+  });
+
+  return current;
+};
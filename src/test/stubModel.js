@@ -0,0 +1,73 @@
+import http from "http";
+
+// OpenAI-compatible chat completions server standing in for a model in tests, reached as "local:<name>"
+// with LOCAL_LLM_URL set to its url. The model name picks its behaviour:
+// - "broken" answers every request with an error
+// - "slow" never answers, so callers run into their timeout
+// - "cutoff" starts streaming an answer and drops the connection halfway
+// - anything else calls toolName with toolArgs when the request offers tools, then answers
+//   "Stub summary: <tool result>" once it has the result; without tools it answers "Stub reply."
+export const startStubModel = async ({ toolName = 'get_directions', toolArgs = { origin: 'Paris', destination: 'Lyon' } } = {}) => {
+  const requests = [];
+
+  const reply = (body, res) => {
+    const last = body.messages[body.messages.length - 1];
+    const callsTool = Boolean(body.tools) && last.role !== 'tool';
+    const message = callsTool
+      ? { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: toolName, arguments: JSON.stringify(toolArgs) } }] }
+      : { role: 'assistant', content: last.role === 'tool' ? `Stub summary: ${last.content.slice(0, 60)}` : 'Stub reply.' };
+    const finishReason = callsTool ? 'tool_calls' : 'stop';
+
+    if (!body.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'stub', object: 'chat.completion', created: 0, model: body.model,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 },
+      }));
+      return;
+    }
+
+    const delta = message.tool_calls
+      ? { role: 'assistant', tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) }
+      : message;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    [{ delta, finish_reason: null }, { delta: {}, finish_reason: finishReason }].forEach((choice) => {
+      res.write(`data: ${JSON.stringify({ id: 'stub', object: 'chat.completion.chunk', created: 0, model: body.model, choices: [{ index: 0, ...choice }] })}\n\n`);
+    });
+    res.end('data: [DONE]\n\n');
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+      if (body.model === 'broken') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'The stub model is broken.', type: 'invalid_request_error' } }));
+      } else if (body.model === 'cutoff') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ id: 'stub', object: 'chat.completion.chunk', created: 0, model: body.model, choices: [{ index: 0, delta: { role: 'assistant', content: 'Stub' }, finish_reason: null }] })}\n\n`);
+        setTimeout(() => res.destroy(), 50);
+      } else if (body.model !== 'slow') {
+        reply(body, res);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    // Models asked for, in order
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
@@ -0,0 +1,21 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+// Tests run against the offline stand-ins: local travel providers, no cache, traces or rate limits
+export default defineConfig({
+  resolve: {
+    alias: { '@': path.join(root, 'src') },
+  },
+  test: {
+    include: ['src/**/*.test.js'],
+    env: {
+      TRAVEL_PROVIDER: 'local',
+      CACHE_BACKEND: 'none',
+      TRACES_STORE: 'none',
+      RATE_LIMIT_STORE: 'none',
+    },
+  },
+});